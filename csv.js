@@ -0,0 +1,91 @@
+// CSV formatting and parsing (RFC 4180: comma separated, fields quoted with double quotes).
+//
+// Used by the admin exports and bulk imports. Exported values are made safe for spreadsheets:
+// text starting with a formula character is prefixed with an apostrophe, so a cell like
+// "=HYPERLINK(...)" is shown as text instead of being evaluated.
+
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with the trailing CRLF) from an array of values
+const formatCsvRow = (values) => `${values.map(formatValue).join(',')}\r\n`;
+
+// Parse CSV text into an array of rows (arrays of strings). A leading byte order mark and
+// empty lines are skipped; quoted fields may contain commas, quotes ("") and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+// Objects keyed by the (trimmed) header of the first row; missing cells are left out
+const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  return rows.map(row => Object.fromEntries(
+    row.slice(0, columns.length).map((value, index) => [columns[index], value])
+  ));
+};
+
+module.exports = {
+  formatCsvRow,
+  parseCsv,
+  parseCsvObjects
+};
@@ -0,0 +1,108 @@
+// API message localization.
+//
+// Responses carry a stable, machine-readable `code`; the `message` next to it is translated
+// from the catalogs in locales/<locale>.json. Catalog entries may contain {param} placeholders.
+// The locale is the user's saved preference, otherwise the best match of the Accept-Language
+// header, otherwise DEFAULT_LOCALE.
+
+const SUPPORTED_LOCALES = ['tr', 'en'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'tr';
+
+const CATALOGS = Object.fromEntries(
+  SUPPORTED_LOCALES.map(locale => [locale, require(`./locales/${locale}.json`)])
+);
+
+const format = (template, params) => template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+  const value = params[name];
+  if (value === undefined || value === null) {
+    return placeholder;
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+});
+
+// Missing translations fall back to the default locale, then to the code itself
+const translate = (locale, code, params = {}) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const template = catalog[code] !== undefined ? catalog[code] : CATALOGS[DEFAULT_LOCALE][code];
+  return template === undefined ? code : format(template, params);
+};
+
+// Pick the supported locale with the highest q-value, e.g. "en-US,en;q=0.9,tr;q=0.8" -> 'en'
+const negotiateLocale = (header) => {
+  if (!header) {
+    return DEFAULT_LOCALE;
+  }
+
+  const ranges = header.split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const qualityOption = options.map(option => option.trim()).find(option => option.startsWith('q='));
+      return {
+        language: tag.trim().toLowerCase().split('-')[0],
+        quality: qualityOption ? Number(qualityOption.slice(2)) : 1,
+        index
+      };
+    })
+    .filter(range => range.language && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const match = ranges.find(range => SUPPORTED_LOCALES.includes(range.language));
+  return match ? match.language : DEFAULT_LOCALE;
+};
+
+// Validation errors are built as { field, code, params } (see validation.js). Other keys,
+// like the row number of an import error, are kept.
+const localizeError = (locale, { field, code, params = {}, ...rest }) => ({
+  ...rest,
+  field,
+  code,
+  message: translate(locale, `validation.${code}`, {
+    ...params,
+    field,
+    type: params.type && translate(locale, `type.${params.type}`)
+  })
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { success, code, messageParams, errors, ...rest } -> { success, code, message, errors, ...rest }
+const localizeBody = (locale, body) => {
+  if (!isPlainObject(body) || (typeof body.success !== 'boolean' && typeof body.code !== 'string')) {
+    return body;
+  }
+
+  const { success, code = success === false ? 'error' : 'ok', messageParams, errors, message, ...rest } = body;
+  const localizedErrors = Array.isArray(errors) ? errors.map(error => localizeError(locale, error)) : undefined;
+
+  return {
+    ...(success !== undefined && { success }),
+    code,
+    message: code === 'validation_failed' && localizedErrors && localizedErrors.length > 0
+      ? localizedErrors[0].message
+      : translate(locale, code, messageParams),
+    ...(localizedErrors && { errors: localizedErrors }),
+    ...rest
+  };
+};
+
+// Sets req.locale and translates every JSON response sent with res.json.
+// authenticateToken may replace req.locale with the user's preference before the response is sent.
+const localize = (req, res, next) => {
+  req.locale = negotiateLocale(req.headers['accept-language']);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.vary('Accept-Language');
+    res.set('Content-Language', req.locale);
+    return json(localizeBody(req.locale, body));
+  };
+  next();
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  negotiateLocale,
+  localize
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Identifiers for users, developers, contacts, contact requests, jobs and applications.
+// IDs are UUIDv7 strings: a 48-bit millisecond timestamp followed by 74 random bits, so
+// they sort by creation time (like the Date.now() IDs they replace) but cannot collide
+// or be guessed from one another.
+
+// `timestamp` is only passed when converting existing rows, to keep their ordering
+const generateId = (timestamp = Date.now()) => {
+  const bytes = crypto.randomBytes(16);
+  bytes.writeUIntBE(timestamp, 0, 6);
+  bytes[6] = (bytes[6] & 0x0f) | 0x70; // version 7
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+module.exports = {
+  generateId
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mail transports share one interface: { name, send({ to, subject, text, html }) => Promise }
+// The active transport is selected with MAIL_TRANSPORT (smtp, file or console).
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Developer Directory <no-reply@developer-directory.local>';
+
+// Console transport: prints messages to stdout (default for local development)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`From: ${MAIL_FROM}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+    return { accepted: [message.to] };
+  }
+});
+
+// File transport: writes each message as a JSON file (useful for tests and local inspection)
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || path.join(__dirname, 'data', 'mail')) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ from: MAIL_FROM, ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { accepted: [message.to], filePath };
+  }
+});
+
+// SMTP transport (nodemailer), configured through SMTP_* environment variables
+const createSmtpTransport = (options = {}) => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT || 587, 10),
+    secure: (options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true'),
+    auth: (options.user || process.env.SMTP_USER) ? {
+      user: options.user || process.env.SMTP_USER,
+      pass: options.password || process.env.SMTP_PASSWORD
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message })
+  };
+};
+
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport;
+
+// Send an email through the active transport
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport.send(message);
+};
+
+// Replace the active transport (e.g. with a custom implementation)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransport,
+  sendMail,
+  setTransport
+};
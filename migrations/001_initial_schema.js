@@ -0,0 +1,62 @@
+// Baseline schema: user accounts, developer profiles and daily contact records.
+// Uses IF NOT EXISTS so databases created before migrations existed can adopt it.
+module.exports = {
+  up: async (connection) => {
+    // Create users table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        userId VARCHAR(255) PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        role ENUM('student', 'company', 'admin') NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_email (email),
+        INDEX idx_role (role)
+      )
+    `);
+
+    // Create developers table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developers (
+        id VARCHAR(255) PRIMARY KEY,
+        userId VARCHAR(255) UNIQUE NOT NULL,
+        firstName VARCHAR(255) NOT NULL,
+        lastName VARCHAR(255) NOT NULL,
+        workType ENUM('remote', 'onsite', 'hybrid') NOT NULL,
+        field ENUM('web', 'mobil', 'yz', 'backend', 'frontend', 'fullstack') NOT NULL,
+        github VARCHAR(500),
+        linkedin VARCHAR(500),
+        email VARCHAR(255) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_userId (userId),
+        INDEX idx_workType (workType),
+        INDEX idx_field (field)
+      )
+    `);
+
+    // Create contacts table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id VARCHAR(255) PRIMARY KEY,
+        userId VARCHAR(255) NOT NULL,
+        developerId VARCHAR(255) NOT NULL,
+        date DATE NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_userId_date (userId, date),
+        INDEX idx_developerId (developerId),
+        UNIQUE KEY unique_contact (userId, developerId, date)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS contacts');
+    await connection.execute('DROP TABLE IF EXISTS developers');
+    await connection.execute('DROP TABLE IF EXISTS users');
+  }
+};
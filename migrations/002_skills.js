@@ -0,0 +1,34 @@
+// Skill tags and the developer <-> skill join table
+module.exports = {
+  up: async (connection) => {
+    // Create skills table (normalized technology tags)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS skills (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_name (name)
+      )
+    `);
+
+    // Create developer_skills join table
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developer_skills (
+        developerId VARCHAR(255) NOT NULL,
+        skillId INT NOT NULL,
+        level ENUM('beginner', 'intermediate', 'advanced', 'expert') NOT NULL DEFAULT 'intermediate',
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (developerId, skillId),
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        FOREIGN KEY (skillId) REFERENCES skills(id) ON DELETE CASCADE,
+        INDEX idx_skillId (skillId)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS developer_skills');
+    await connection.execute('DROP TABLE IF EXISTS skills');
+  }
+};
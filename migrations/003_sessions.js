@@ -0,0 +1,37 @@
+// Login sessions and rotating refresh tokens
+module.exports = {
+  up: async (connection) => {
+    // Create sessions table (one row per login, revoked on logout)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        userId VARCHAR(255) NOT NULL,
+        userAgent VARCHAR(500),
+        ip VARCHAR(45),
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastUsedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revokedAt DATETIME NULL,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_userId (userId)
+      )
+    `);
+
+    // Create refresh_tokens table (only SHA-256 hashes are stored, rotated on every refresh)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        tokenHash CHAR(64) PRIMARY KEY,
+        sessionId VARCHAR(64) NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (sessionId) REFERENCES sessions(id) ON DELETE CASCADE,
+        INDEX idx_sessionId (sessionId)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS refresh_tokens');
+    await connection.execute('DROP TABLE IF EXISTS sessions');
+  }
+};
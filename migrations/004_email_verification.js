@@ -0,0 +1,30 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Email verification state and single-use account tokens
+module.exports = {
+  up: async (connection) => {
+    // Accounts created before email verification existed are treated as verified
+    if (await addColumnIfMissing(connection, 'users', 'emailVerifiedAt', 'DATETIME NULL AFTER role')) {
+      await connection.execute('UPDATE users SET emailVerifiedAt = createdAt');
+    }
+
+    // Create user_tokens table (single-use password reset and email verification tokens)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        tokenHash CHAR(64) PRIMARY KEY,
+        userId VARCHAR(255) NOT NULL,
+        type ENUM('password_reset', 'email_verification') NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_userId_type (userId, type)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS user_tokens');
+    await dropColumnIfExists(connection, 'users', 'emailVerifiedAt');
+  }
+};
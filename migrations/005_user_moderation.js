@@ -0,0 +1,16 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Suspension and forced password reset flags for admin user management
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'users', 'suspendedAt', 'DATETIME NULL AFTER emailVerifiedAt');
+    await addColumnIfMissing(connection, 'users', 'suspendedReason', 'VARCHAR(500) NULL AFTER suspendedAt');
+    await addColumnIfMissing(connection, 'users', 'passwordResetRequired', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER suspendedReason');
+  },
+
+  down: async (connection) => {
+    await dropColumnIfExists(connection, 'users', 'passwordResetRequired');
+    await dropColumnIfExists(connection, 'users', 'suspendedReason');
+    await dropColumnIfExists(connection, 'users', 'suspendedAt');
+  }
+};
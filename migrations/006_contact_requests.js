@@ -0,0 +1,41 @@
+// Contact requests between companies and developers with message threads
+module.exports = {
+  up: async (connection) => {
+    // Create contact_requests table (a company's request to get in touch with a developer)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS contact_requests (
+        id VARCHAR(255) PRIMARY KEY,
+        companyUserId VARCHAR(255) NOT NULL,
+        developerId VARCHAR(255) NOT NULL,
+        status ENUM('pending', 'accepted', 'declined') NOT NULL DEFAULT 'pending',
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        respondedAt DATETIME NULL,
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_contact_request (companyUserId, developerId),
+        INDEX idx_developerId_status (developerId, status)
+      )
+    `);
+
+    // Create contact_messages table (conversation thread of a contact request)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS contact_messages (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        requestId VARCHAR(255) NOT NULL,
+        senderUserId VARCHAR(255) NOT NULL,
+        body TEXT NOT NULL,
+        readAt DATETIME NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (requestId) REFERENCES contact_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (senderUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_requestId (requestId)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS contact_messages');
+    await connection.execute('DROP TABLE IF EXISTS contact_requests');
+  }
+};
@@ -0,0 +1,58 @@
+// Contact quota plans, company plan assignments and one-off quota bonuses
+module.exports = {
+  up: async (connection) => {
+    // Create plans table (contact quota plans; NULL limit means unlimited)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        dailyContactLimit INT NULL,
+        monthlyContactLimit INT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Default plans (existing rows are left untouched so admin changes are kept)
+    await connection.execute(`
+      INSERT IGNORE INTO plans (id, name, dailyContactLimit, monthlyContactLimit) VALUES
+        ('free', 'Free', 10, 100),
+        ('pro', 'Pro', 50, 1000),
+        ('enterprise', 'Enterprise', 200, NULL)
+    `);
+
+    // Create company_subscriptions table (companies without a row are on the free plan)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS company_subscriptions (
+        userId VARCHAR(255) PRIMARY KEY,
+        planId VARCHAR(50) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        FOREIGN KEY (planId) REFERENCES plans(id)
+      )
+    `);
+
+    // Create quota_bonuses table (one-off extra contacts for a given day or month)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS quota_bonuses (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId VARCHAR(255) NOT NULL,
+        period ENUM('daily', 'monthly') NOT NULL,
+        periodStart DATE NOT NULL,
+        amount INT NOT NULL,
+        reason VARCHAR(500),
+        grantedBy VARCHAR(255),
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_userId_period (userId, period, periodStart)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS quota_bonuses');
+    await connection.execute('DROP TABLE IF EXISTS company_subscriptions');
+    await connection.execute('DROP TABLE IF EXISTS plans');
+  }
+};
@@ -0,0 +1,30 @@
+// Company profiles with admin verification
+module.exports = {
+  up: async (connection) => {
+    // Create companies table (profile of a company user, verified by admins)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS companies (
+        userId VARCHAR(255) PRIMARY KEY,
+        legalName VARCHAR(255) NOT NULL,
+        website VARCHAR(500),
+        size ENUM('1-10', '11-50', '51-200', '201-1000', '1000+'),
+        sector VARCHAR(100),
+        location VARCHAR(255),
+        logoUrl VARCHAR(500),
+        verificationStatus ENUM('pending', 'verified', 'rejected') NOT NULL DEFAULT 'pending',
+        verificationNote VARCHAR(500),
+        verifiedAt DATETIME NULL,
+        verifiedBy VARCHAR(255) NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_verificationStatus (verificationStatus),
+        INDEX idx_sector (sector)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS companies');
+  }
+};
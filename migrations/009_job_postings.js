@@ -0,0 +1,52 @@
+// Job postings and student applications
+module.exports = {
+  up: async (connection) => {
+    // Create job_postings table (field/workType share the developers vocabularies)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS job_postings (
+        id VARCHAR(255) PRIMARY KEY,
+        companyUserId VARCHAR(255) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NOT NULL,
+        field ENUM('web', 'mobil', 'yz', 'backend', 'frontend', 'fullstack') NOT NULL,
+        workType ENUM('remote', 'onsite', 'hybrid') NOT NULL,
+        location VARCHAR(255),
+        salaryMin INT NULL,
+        salaryMax INT NULL,
+        salaryCurrency CHAR(3) NOT NULL DEFAULT 'TRY',
+        status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+        expiresAt DATETIME NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_companyUserId (companyUserId),
+        INDEX idx_status_expiresAt (status, expiresAt),
+        INDEX idx_field (field),
+        INDEX idx_workType (workType)
+      )
+    `);
+
+    // Create job_applications table (a student applies with their developer profile)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS job_applications (
+        id VARCHAR(255) PRIMARY KEY,
+        jobId VARCHAR(255) NOT NULL,
+        developerId VARCHAR(255) NOT NULL,
+        coverLetter TEXT,
+        status ENUM('applied', 'reviewing', 'interview', 'rejected', 'hired') NOT NULL DEFAULT 'applied',
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (jobId) REFERENCES job_postings(id) ON DELETE CASCADE,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_application (jobId, developerId),
+        INDEX idx_developerId (developerId),
+        INDEX idx_jobId_status (jobId, status)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS job_applications');
+    await connection.execute('DROP TABLE IF EXISTS job_postings');
+  }
+};
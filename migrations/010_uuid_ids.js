@@ -0,0 +1,140 @@
+const { generateId } = require('../ids');
+
+// Replace Date.now() IDs of existing rows with UUIDv7 IDs (see ids.js).
+// Old and new IDs are kept in legacy_ids, which lets down() restore them. The API also reads it
+// (storage.legacyIds) to redirect old profile and job links; the memory storage driver never
+// had numeric IDs, so it does not mirror the table.
+// Users with a rewritten userId get a new access token on their next refresh.
+
+const INSERT_BATCH_SIZE = 500;
+
+// Every column holding an entity's ID. Contacts made through a contact request share the
+// request's ID, so contact requests are converted first and carry those contacts along.
+const ENTITIES = [
+  {
+    entity: 'user',
+    table: 'users',
+    column: 'userId',
+    references: [
+      ['developers', 'userId'],
+      ['sessions', 'userId'],
+      ['user_tokens', 'userId'],
+      ['contacts', 'userId'],
+      ['contact_requests', 'companyUserId'],
+      ['contact_messages', 'senderUserId'],
+      ['company_subscriptions', 'userId'],
+      ['quota_bonuses', 'userId'],
+      ['quota_bonuses', 'grantedBy'],
+      ['companies', 'userId'],
+      ['companies', 'verifiedBy'],
+      ['job_postings', 'companyUserId']
+    ]
+  },
+  {
+    entity: 'developer',
+    table: 'developers',
+    column: 'id',
+    references: [
+      ['developer_skills', 'developerId'],
+      ['contacts', 'developerId'],
+      ['contact_requests', 'developerId'],
+      ['job_applications', 'developerId']
+    ]
+  },
+  {
+    entity: 'contact_request',
+    table: 'contact_requests',
+    column: 'id',
+    references: [
+      ['contact_messages', 'requestId'],
+      ['contacts', 'id']
+    ]
+  },
+  { entity: 'contact', table: 'contacts', column: 'id', references: [] },
+  {
+    entity: 'job',
+    table: 'job_postings',
+    column: 'id',
+    references: [['job_applications', 'jobId']]
+  },
+  { entity: 'application', table: 'job_applications', column: 'id', references: [] }
+];
+
+// Legacy IDs are Date.now() values; anything out of the UUIDv7 timestamp range gets the current time
+const toTimestamp = (legacyId) => {
+  const timestamp = Number(legacyId);
+  return timestamp < 2 ** 48 ? timestamp : Date.now();
+};
+
+// Rewrite every column of an entity from one side of its legacy_ids mapping to the other
+const remapEntity = async (connection, { entity, table, column, references }, from, to) => {
+  for (const [referencingTable, referencingColumn] of [[table, column], ...references]) {
+    await connection.execute(
+      `UPDATE \`${referencingTable}\` t
+       JOIN legacy_ids m ON m.entity = ? AND m.${from} = t.\`${referencingColumn}\`
+       SET t.\`${referencingColumn}\` = m.${to}`,
+      [entity]
+    );
+  }
+};
+
+// Primary keys change together with the columns referencing them, so foreign key checks
+// are disabled for the session while remapping
+const withoutForeignKeyChecks = async (connection, fn) => {
+  await connection.execute('SET FOREIGN_KEY_CHECKS = 0');
+  await connection.beginTransaction();
+  try {
+    await fn();
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    await connection.execute('SET FOREIGN_KEY_CHECKS = 1');
+  }
+};
+
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS legacy_ids (
+        entity VARCHAR(50) NOT NULL,
+        legacyId VARCHAR(255) NOT NULL,
+        id CHAR(36) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (entity, legacyId),
+        UNIQUE KEY unique_entity_id (entity, id)
+      )
+    `);
+
+    await withoutForeignKeyChecks(connection, async () => {
+      for (const definition of ENTITIES) {
+        const [rows] = await connection.execute(
+          `SELECT \`${definition.column}\` as legacyId FROM \`${definition.table}\`
+           WHERE \`${definition.column}\` REGEXP '^[0-9]+$'`
+        );
+
+        // New IDs take their timestamp from the legacy ID, so rows keep their ordering
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+          const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+          await connection.execute(
+            `INSERT INTO legacy_ids (entity, legacyId, id) VALUES ${batch.map(() => '(?, ?, ?)').join(', ')}`,
+            batch.flatMap(({ legacyId }) => [definition.entity, legacyId, generateId(toTimestamp(legacyId))])
+          );
+        }
+
+        await remapEntity(connection, definition, 'legacyId', 'id');
+      }
+    });
+  },
+
+  down: async (connection) => {
+    await withoutForeignKeyChecks(connection, async () => {
+      for (const definition of [...ENTITIES].reverse()) {
+        await remapEntity(connection, definition, 'id', 'legacyId');
+      }
+    });
+
+    await connection.execute('DROP TABLE IF EXISTS legacy_ids');
+  }
+};
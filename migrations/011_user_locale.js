@@ -0,0 +1,12 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Preferred language of API messages and account emails (NULL: use Accept-Language)
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'users', 'locale', 'VARCHAR(5) NULL AFTER passwordResetRequired');
+  },
+
+  down: async (connection) => {
+    await dropColumnIfExists(connection, 'users', 'locale');
+  }
+};
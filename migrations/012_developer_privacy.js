@@ -0,0 +1,33 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Developer profile privacy: profile visibility, per-field visibility of contact details
+// and companies blocked by the developer. The defaults keep the previous behavior.
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'developers', 'visibility', "ENUM('public', 'companies', 'hidden') NOT NULL DEFAULT 'public' AFTER email");
+    await addColumnIfMissing(connection, 'developers', 'emailVisibility', "ENUM('public', 'contacts', 'private') NOT NULL DEFAULT 'contacts' AFTER visibility");
+    await addColumnIfMissing(connection, 'developers', 'githubVisibility', "ENUM('public', 'contacts', 'private') NOT NULL DEFAULT 'contacts' AFTER emailVisibility");
+    await addColumnIfMissing(connection, 'developers', 'linkedinVisibility', "ENUM('public', 'contacts', 'private') NOT NULL DEFAULT 'contacts' AFTER githubVisibility");
+
+    // Create developer_blocks table (companies that may not see or contact a developer)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developer_blocks (
+        developerId VARCHAR(255) NOT NULL,
+        companyUserId VARCHAR(255) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (developerId, companyUserId),
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_companyUserId (companyUserId)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS developer_blocks');
+    await dropColumnIfExists(connection, 'developers', 'linkedinVisibility');
+    await dropColumnIfExists(connection, 'developers', 'githubVisibility');
+    await dropColumnIfExists(connection, 'developers', 'emailVisibility');
+    await dropColumnIfExists(connection, 'developers', 'visibility');
+  }
+};
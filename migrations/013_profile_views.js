@@ -0,0 +1,23 @@
+// Company views of developer profiles, one row per company, developer and day
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS profile_views (
+        companyUserId VARCHAR(255) NOT NULL,
+        developerId VARCHAR(255) NOT NULL,
+        date DATE NOT NULL,
+        views INT NOT NULL DEFAULT 1,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastViewedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (companyUserId, developerId, date),
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_developerId_date (developerId, date)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS profile_views');
+  }
+};
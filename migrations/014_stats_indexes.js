@@ -0,0 +1,24 @@
+const { addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+// Indexes for the date range queries of GET /api/admin/stats
+const INDEXES = [
+  ['users', 'idx_createdAt', 'createdAt'],
+  ['developers', 'idx_createdAt', 'createdAt'],
+  ['contacts', 'idx_date', 'date'],
+  ['contact_requests', 'idx_createdAt', 'createdAt'],
+  ['profile_views', 'idx_date', 'date']
+];
+
+module.exports = {
+  up: async (connection) => {
+    for (const [table, index, columns] of INDEXES) {
+      await addIndexIfMissing(connection, table, index, columns);
+    }
+  },
+
+  down: async (connection) => {
+    for (const [table, index] of INDEXES) {
+      await dropIndexIfExists(connection, table, index);
+    }
+  }
+};
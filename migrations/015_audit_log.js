@@ -0,0 +1,28 @@
+// Append-only log of sensitive actions (logins, moderation, deletions, contact reveals).
+// Actors and targets are not foreign keys: entries must outlive the users and records they mention.
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id CHAR(36) PRIMARY KEY,
+        actorUserId VARCHAR(255) NULL,
+        action VARCHAR(100) NOT NULL,
+        targetType VARCHAR(50) NULL,
+        targetId VARCHAR(255) NULL,
+        ip VARCHAR(45) NULL,
+        userAgent VARCHAR(500) NULL,
+        changes JSON NULL,
+        metadata JSON NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_actorUserId_createdAt (actorUserId, createdAt),
+        INDEX idx_target_createdAt (targetType, targetId, createdAt),
+        INDEX idx_action_createdAt (action, createdAt),
+        INDEX idx_createdAt (createdAt)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,60 @@
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+// Soft deletion of users and developer profiles (deletedAt / deletedBy), purged after a retention period.
+// Contacts keep their rows when a purge removes the company or the developer: the foreign keys
+// become ON DELETE SET NULL, so quota accounting and statistics are not rewritten.
+
+const SOFT_DELETE_TABLES = ['users', 'developers'];
+const CONTACT_REFERENCES = [
+  ['userId', 'users(userId)'],
+  ['developerId', 'developers(id)']
+];
+
+// The foreign keys of 001_initial_schema have generated names
+const findForeignKey = async (connection, table, column) => {
+  const [keys] = await connection.execute(
+    `SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table, column]
+  );
+  return keys.length > 0 ? keys[0].CONSTRAINT_NAME : null;
+};
+
+const replaceContactForeignKey = async (connection, column, reference, { nullable, onDelete }) => {
+  const name = await findForeignKey(connection, 'contacts', column);
+  if (name) {
+    await connection.execute(`ALTER TABLE contacts DROP FOREIGN KEY \`${name}\``);
+  }
+  await connection.execute(`ALTER TABLE contacts MODIFY ${column} VARCHAR(255) ${nullable ? 'NULL' : 'NOT NULL'}`);
+  await connection.execute(
+    `ALTER TABLE contacts ADD CONSTRAINT \`fk_contacts_${column}\` FOREIGN KEY (${column}) REFERENCES ${reference} ON DELETE ${onDelete}`
+  );
+};
+
+module.exports = {
+  up: async (connection) => {
+    for (const table of SOFT_DELETE_TABLES) {
+      await addColumnIfMissing(connection, table, 'deletedAt', 'DATETIME NULL');
+      await addColumnIfMissing(connection, table, 'deletedBy', 'VARCHAR(255) NULL AFTER deletedAt');
+      await addIndexIfMissing(connection, table, 'idx_deletedAt', 'deletedAt');
+    }
+
+    for (const [column, reference] of CONTACT_REFERENCES) {
+      await replaceContactForeignKey(connection, column, reference, { nullable: true, onDelete: 'SET NULL' });
+    }
+  },
+
+  // Contacts of purged users or profiles cannot point anywhere again and are removed
+  down: async (connection) => {
+    await connection.execute('DELETE FROM contacts WHERE userId IS NULL OR developerId IS NULL');
+    for (const [column, reference] of CONTACT_REFERENCES) {
+      await replaceContactForeignKey(connection, column, reference, { nullable: false, onDelete: 'CASCADE' });
+    }
+
+    for (const table of SOFT_DELETE_TABLES) {
+      await dropIndexIfExists(connection, table, 'idx_deletedAt');
+      await dropColumnIfExists(connection, table, 'deletedBy');
+      await dropColumnIfExists(connection, table, 'deletedAt');
+    }
+  }
+};
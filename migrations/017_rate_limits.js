@@ -0,0 +1,18 @@
+// Rate limit counters for RATE_LIMIT_STORE=database (see rate-limit.js): one fixed window per key,
+// shared by every server instance. Expired rows are purged periodically.
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        limitKey VARCHAR(255) PRIMARY KEY,
+        count INT UNSIGNED NOT NULL,
+        resetAt DATETIME(3) NOT NULL,
+        INDEX idx_resetAt (resetAt)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS rate_limits');
+  }
+};
@@ -0,0 +1,65 @@
+// Company workspace: named shortlists of developers, private notes on developers and saved
+// developer searches. Everything belongs to one company and is removed with it.
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS shortlists (
+        id VARCHAR(255) PRIMARY KEY,
+        companyUserId VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        UNIQUE KEY unique_shortlist_name (companyUserId, name)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS shortlist_developers (
+        shortlistId VARCHAR(255) NOT NULL,
+        developerId VARCHAR(255) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shortlistId, developerId),
+        FOREIGN KEY (shortlistId) REFERENCES shortlists(id) ON DELETE CASCADE,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_developerId (developerId)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developer_notes (
+        companyUserId VARCHAR(255) NOT NULL,
+        developerId VARCHAR(255) NOT NULL,
+        note TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (companyUserId, developerId),
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_developerId (developerId)
+      )
+    `);
+
+    // filters holds the validated GET /api/developers filters
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id VARCHAR(255) PRIMARY KEY,
+        companyUserId VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        filters JSON NOT NULL,
+        lastRunAt DATETIME NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (companyUserId) REFERENCES users(userId) ON DELETE CASCADE,
+        UNIQUE KEY unique_saved_search_name (companyUserId, name)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS saved_searches');
+    await connection.execute('DROP TABLE IF EXISTS developer_notes');
+    await connection.execute('DROP TABLE IF EXISTS shortlist_developers');
+    await connection.execute('DROP TABLE IF EXISTS shortlists');
+  }
+};
@@ -0,0 +1,36 @@
+// In-app notifications and per-user notification preferences.
+// Users without a preferences row get the defaults (weekly digest, every type enabled).
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id VARCHAR(255) PRIMARY KEY,
+        userId VARCHAR(255) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        data JSON NULL,
+        readAt DATETIME NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE,
+        INDEX idx_userId_createdAt (userId, createdAt),
+        INDEX idx_userId_readAt (userId, readAt)
+      )
+    `);
+
+    // mutedTypes: notification types the user does not want to receive
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        userId VARCHAR(255) PRIMARY KEY,
+        digestFrequency ENUM('off', 'daily', 'weekly') NOT NULL DEFAULT 'weekly',
+        mutedTypes JSON NULL,
+        lastDigestAt DATETIME NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(userId) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS notification_preferences');
+    await connection.execute('DROP TABLE IF EXISTS notifications');
+  }
+};
@@ -0,0 +1,81 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Developer profile enrichment: headline, bio, location, experience and availability on the
+// profile, plus education, work history and portfolio project entries removed with it.
+const PROFILE_COLUMNS = [
+  ['headline', 'VARCHAR(255) NULL AFTER email'],
+  ['bio', 'TEXT NULL AFTER headline'],
+  ['city', 'VARCHAR(100) NULL AFTER bio'],
+  ['country', 'VARCHAR(100) NULL AFTER city'],
+  ['yearsOfExperience', 'TINYINT UNSIGNED NULL AFTER country'],
+  ['availableFrom', 'DATE NULL AFTER yearsOfExperience']
+];
+
+module.exports = {
+  up: async (connection) => {
+    for (const [column, definition] of PROFILE_COLUMNS) {
+      await addColumnIfMissing(connection, 'developers', column, definition);
+    }
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developer_education (
+        id VARCHAR(255) PRIMARY KEY,
+        developerId VARCHAR(255) NOT NULL,
+        school VARCHAR(255) NOT NULL,
+        degree VARCHAR(255) NULL,
+        fieldOfStudy VARCHAR(255) NULL,
+        startDate DATE NULL,
+        endDate DATE NULL,
+        description TEXT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_developerId (developerId)
+      )
+    `);
+
+    // endDate NULL means the position is current
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developer_experience (
+        id VARCHAR(255) PRIMARY KEY,
+        developerId VARCHAR(255) NOT NULL,
+        company VARCHAR(255) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        location VARCHAR(255) NULL,
+        startDate DATE NOT NULL,
+        endDate DATE NULL,
+        description TEXT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_developerId (developerId)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS developer_projects (
+        id VARCHAR(255) PRIMARY KEY,
+        developerId VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        url VARCHAR(500) NULL,
+        repositoryUrl VARCHAR(500) NULL,
+        startDate DATE NULL,
+        endDate DATE NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (developerId) REFERENCES developers(id) ON DELETE CASCADE,
+        INDEX idx_developerId (developerId)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS developer_projects');
+    await connection.execute('DROP TABLE IF EXISTS developer_experience');
+    await connection.execute('DROP TABLE IF EXISTS developer_education');
+    for (const [column] of [...PROFILE_COLUMNS].reverse()) {
+      await dropColumnIfExists(connection, 'developers', column);
+    }
+  }
+};
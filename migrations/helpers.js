@@ -0,0 +1,65 @@
+// Shared helpers for migration files (not a migration itself: it has no version prefix)
+
+const columnExists = async (connection, table, column) => {
+  const [columns] = await connection.execute(
+    'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return columns.length > 0;
+};
+
+// Add a column unless it exists. Databases created before migrations existed may already have it.
+// Returns true when the column was added.
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (await columnExists(connection, table, column)) {
+    return false;
+  }
+
+  await connection.execute(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+};
+
+const dropColumnIfExists = async (connection, table, column) => {
+  if (!(await columnExists(connection, table, column))) {
+    return false;
+  }
+
+  await connection.execute(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  return true;
+};
+
+const indexExists = async (connection, table, index) => {
+  const [indexes] = await connection.execute(
+    'SELECT INDEX_NAME FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return indexes.length > 0;
+};
+
+// `columns` is the column list of the index, e.g. 'developerId, date'
+const addIndexIfMissing = async (connection, table, index, columns) => {
+  if (await indexExists(connection, table, index)) {
+    return false;
+  }
+
+  await connection.execute(`ALTER TABLE \`${table}\` ADD INDEX \`${index}\` (${columns})`);
+  return true;
+};
+
+const dropIndexIfExists = async (connection, table, index) => {
+  if (!(await indexExists(connection, table, index))) {
+    return false;
+  }
+
+  await connection.execute(`ALTER TABLE \`${table}\` DROP INDEX \`${index}\``);
+  return true;
+};
+
+module.exports = {
+  columnExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  indexExists,
+  addIndexIfMissing,
+  dropIndexIfExists
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+// Versioned schema migrations.
+// Each file in migrations/ named <version>_<name>.js exports async up(connection) and down(connection).
+// Applied versions are recorded in the schema_migrations table.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Load migration files sorted by version
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version, name, file, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (connection) => {
+  const [rows] = await connection.execute(
+    'SELECT version, name, appliedAt FROM schema_migrations ORDER BY CAST(version AS UNSIGNED) ASC'
+  );
+  return rows;
+};
+
+// Run fn with a dedicated connection while holding a named lock, so two
+// processes (e.g. two deploys) never migrate the same database at once
+const withMigrationLock = async (fn) => {
+  const connection = await db.pool.getConnection();
+  try {
+    const [[{ locked }]] = await connection.execute('SELECT GET_LOCK(?, ?) as locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (locked !== 1) {
+      throw new Error('Could not acquire the migration lock. Is another migration running?');
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.execute('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Status of every known migration, plus applied versions with no matching file
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+  const connection = await db.pool.getConnection();
+  try {
+    await ensureMigrationsTable(connection);
+    const applied = await getAppliedMigrations(connection);
+    const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+    const knownVersions = new Set(migrations.map(migration => Number(migration.version)));
+
+    return {
+      migrations: migrations.map(migration => {
+        const row = appliedByVersion.get(Number(migration.version));
+        return {
+          version: migration.version,
+          name: migration.name,
+          applied: Boolean(row),
+          appliedAt: row ? row.appliedAt : null
+        };
+      }),
+      unknown: applied.filter(row => !knownVersions.has(Number(row.version)))
+    };
+  } finally {
+    connection.release();
+  }
+};
+
+const getPendingMigrations = async () => {
+  const { migrations } = await getMigrationStatus();
+  return migrations.filter(migration => !migration.applied);
+};
+
+// Apply all pending migrations in order. Returns the applied migrations.
+const migrate = async () => withMigrationLock(async (connection) => {
+  const applied = new Set((await getAppliedMigrations(connection)).map(row => Number(row.version)));
+  const pending = loadMigrations().filter(migration => !applied.has(Number(migration.version)));
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.version}_${migration.name}...`);
+    // MySQL commits DDL implicitly, so a migration cannot be wrapped in a transaction;
+    // it is only recorded once it has fully succeeded
+    await migration.up(connection);
+    await connection.execute(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+  }
+
+  return pending;
+});
+
+// Revert the most recently applied migrations. Returns the reverted migrations.
+const rollback = async (steps = 1) => withMigrationLock(async (connection) => {
+  const migrationsByVersion = new Map(loadMigrations().map(migration => [Number(migration.version), migration]));
+  const applied = (await getAppliedMigrations(connection)).reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const row of applied) {
+    const migration = migrationsByVersion.get(Number(row.version));
+    if (!migration) {
+      throw new Error(`Cannot roll back migration ${row.version}_${row.name}: migration file not found`);
+    }
+
+    console.log(`Reverting migration ${migration.version}_${migration.name}...`);
+    await migration.down(connection);
+    await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+    reverted.push(migration);
+  }
+
+  return reverted;
+});
+
+// Throw if the database has pending migrations (used on server startup)
+const assertSchemaUpToDate = async () => {
+  const { migrations, unknown } = await getMigrationStatus();
+  const pending = migrations.filter(migration => !migration.applied);
+
+  if (unknown.length > 0) {
+    console.warn(`Database has migrations unknown to this version: ${unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+  }
+
+  if (pending.length > 0) {
+    const error = new Error(
+      `Database schema is behind by ${pending.length} migration(s): ${pending.map(migration => `${migration.version}_${migration.name}`).join(', ')}. Run "npm run migrate".`
+    );
+    error.code = 'SCHEMA_BEHIND';
+    throw error;
+  }
+};
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  assertSchemaUpToDate
+};
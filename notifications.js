@@ -0,0 +1,132 @@
+const { storage } = require('./storage');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+const { sendMail } = require('./mail');
+
+// Notification rendering and digests.
+//
+// Notifications are stored as { type, data } and rendered in the reader's locale from the
+// notification.<type> catalog entries, or notification.<type>.<status> when data has a status.
+// Digests summarize a user's unread notifications and are handed to a delivery channel.
+// Channels share one interface: { name, deliver({ user, subject, text, notifications }) => Promise }
+// The active channel is selected with DIGEST_CHANNEL (email or log).
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Digest frequencies ('off' sends none). DEFAULT_DIGEST_FREQUENCY must match the notification_preferences table.
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_PERIOD_DAYS = { daily: 1, weekly: 7 };
+const DEFAULT_DIGEST_FREQUENCY = 'weekly';
+
+// Notifications listed in one digest; the rest are counted
+const MAX_DIGEST_ITEMS = 20;
+
+const renderNotification = (locale, { type, data }) => {
+  const params = data || {};
+  return translate(locale, params.status ? `notification.${type}.${params.status}` : `notification.${type}`, params);
+};
+
+// { subject, text } of a digest. `total` counts every unread notification, `notifications` holds
+// the newest ones to list.
+const renderDigest = ({ user, notifications, total, frequency, locale }) => {
+  const lines = notifications.slice(0, MAX_DIGEST_ITEMS).map(notification => `- ${renderNotification(locale, notification)}`);
+  const more = total - lines.length;
+
+  return {
+    subject: translate(locale, `digest.${frequency}.subject`, { count: total }),
+    text: [
+      translate(locale, 'digest.greeting', { name: user.name }),
+      '',
+      ...lines,
+      ...(more > 0 ? [translate(locale, 'digest.more', { count: more })] : []),
+      '',
+      translate(locale, 'digest.footer', { link: `${APP_URL}/notifications` })
+    ].join('\n')
+  };
+};
+
+// Email channel: sends the digest through the mail transport (see mail.js)
+const createEmailChannel = () => ({
+  name: 'email',
+  deliver: ({ user, subject, text }) => sendMail({ to: user.email, subject, text })
+});
+
+// Log channel: prints digests to stdout instead of delivering them
+const createLogChannel = () => ({
+  name: 'log',
+  deliver: async ({ user, subject, notifications }) => {
+    console.log(`Digest for ${user.email}: ${subject} (${notifications.length} notifications)`);
+  }
+});
+
+const createChannel = (type = process.env.DIGEST_CHANNEL || 'email') => {
+  switch (type) {
+    case 'email':
+      return createEmailChannel();
+    case 'log':
+      return createLogChannel();
+    default:
+      throw new Error(`Unknown digest channel: ${type}`);
+  }
+};
+
+let channel;
+
+// Deliver a rendered digest through the active channel
+const deliverDigest = async (digest) => {
+  if (!channel) {
+    channel = createChannel();
+  }
+  return channel.deliver(digest);
+};
+
+// Replace the active channel (e.g. with a push or chat integration)
+const setChannel = (customChannel) => {
+  channel = customChannel;
+};
+
+// Send the daily and weekly digests that are due. A user gets at most one digest per period, listing
+// the notifications still unread since the previous one; users without new ones get none.
+// Returns the number of digests sent. Failures are logged per user.
+const sendDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const [frequency, days] of Object.entries(DIGEST_PERIOD_DAYS)) {
+    const sentBefore = new Date(now.getTime() - days * DAY_MS);
+    const recipients = await storage.notifications.listDigestRecipients({
+      frequency,
+      defaultFrequency: DEFAULT_DIGEST_FREQUENCY,
+      sentBefore
+    });
+
+    for (const user of recipients) {
+      try {
+        const { total, notifications } = await storage.notifications.listUnreadSince(
+          user.userId, user.lastDigestAt || sentBefore, MAX_DIGEST_ITEMS
+        );
+        const digest = renderDigest({ user, notifications, total, frequency, locale: user.locale || DEFAULT_LOCALE });
+        await deliverDigest({ user, notifications, ...digest });
+        await storage.notifications.markDigestSent(user.userId, now);
+        sent += 1;
+      } catch (error) {
+        console.error('Error sending notification digest:', error);
+      }
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  DEFAULT_DIGEST_FREQUENCY,
+  MAX_DIGEST_ITEMS,
+  renderNotification,
+  renderDigest,
+  createEmailChannel,
+  createLogChannel,
+  createChannel,
+  deliverDigest,
+  setChannel,
+  sendDigests
+};
@@ -0,0 +1,182 @@
+// Rate limiting: fixed-window request counters and progressive lockouts.
+//
+// Counter stores share one interface (every method returns a promise):
+//   increment(key, windowMs)  count a hit; returns { count, resetAt } of the key's current window,
+//                             starting a new window of windowMs when there is none
+//   get(key)                  { count, resetAt } of the current window, or null
+//   reset(key)                end the key's window
+// The active store is selected with RATE_LIMIT_STORE: 'memory' (default, counts per process) or
+// 'database' (the rate_limits table of the storage driver, shared by every server instance).
+// setStore() installs a custom implementation, e.g. one backed by Redis.
+//
+// Limited responses carry the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds) and
+// RateLimit-Policy headers, plus Retry-After when the request is rejected.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const DATABASE_PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Memory store: counters live in the process; expired windows are swept every minute
+const createMemoryStore = () => {
+  const windows = new Map();
+  const current = (key) => {
+    const window = windows.get(key);
+    return window && window.resetAt > Date.now() ? window : null;
+  };
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const window = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      window.count += 1;
+      windows.set(key, window);
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+    get: async (key) => {
+      const window = current(key);
+      return window ? { count: window.count, resetAt: new Date(window.resetAt) } : null;
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+};
+
+// Database store: the storage driver's rateLimits repository, with expired rows purged periodically
+const createDatabaseStore = () => {
+  const { storage } = require('./storage');
+
+  setInterval(() => {
+    storage.rateLimits.purgeExpired().catch(error => console.error('Error purging rate limits:', error));
+  }, DATABASE_PURGE_INTERVAL_MS).unref();
+
+  return {
+    name: 'database',
+    increment: (key, windowMs) => storage.rateLimits.increment(key, windowMs),
+    get: (key) => storage.rateLimits.get(key),
+    reset: (key) => storage.rateLimits.reset(key)
+  };
+};
+
+const createStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'database':
+      return createDatabaseStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+};
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Replace the active store (e.g. with a custom implementation)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+// When several limiters apply to a request, the headers describe the one closest to its limit
+const setRateLimitHeaders = (res, { max, windowMs, count, resetAt }) => {
+  const remaining = Math.max(0, max - count);
+  if (res.locals.rateLimitRemaining !== undefined && res.locals.rateLimitRemaining < remaining) {
+    return;
+  }
+
+  res.locals.rateLimitRemaining = remaining;
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(secondsUntil(resetAt)),
+    'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`
+  });
+};
+
+const sendRetryLater = (res, code, seconds) => {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ success: false, code, messageParams: { seconds } });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each value of key(req) (the client IP by
+// default). Requests without a key are not limited. Store errors are logged and let the request through.
+const rateLimit = ({ name, max, windowMs, key = (req) => req.ip }) => async (req, res, next) => {
+  const id = key(req);
+  if (!id) {
+    return next();
+  }
+
+  let window;
+  try {
+    window = await getStore().increment(`${name}:${id}`, windowMs);
+  } catch (error) {
+    console.error('Error checking rate limit:', error);
+    return next();
+  }
+
+  setRateLimitHeaders(res, { max, windowMs, ...window });
+  if (window.count > max) {
+    return sendRetryLater(res, 'rate_limited', secondsUntil(window.resetAt));
+  }
+  next();
+};
+
+// Progressive lockout of an identifier (e.g. an account's email) after repeated failures.
+// From the `threshold`th failure on, each failure locks the identifier for baseMs, doubling with
+// every further failure up to maxMs. Failures are forgotten `windowMs` after the first one or on reset().
+const createLockout = ({ name, threshold, baseMs, maxMs, windowMs }) => {
+  const failuresKey = (id) => `${name}:failures:${id}`;
+  const lockKey = (id) => `${name}:lock:${id}`;
+
+  return {
+    // Seconds until the lock ends, 0 when not locked
+    check: async (id) => {
+      const lock = await getStore().get(lockKey(id));
+      return lock ? secondsUntil(lock.resetAt) : 0;
+    },
+
+    // Count a failure; returns the seconds of the lock it starts (0 below the threshold)
+    recordFailure: async (id) => {
+      const { count } = await getStore().increment(failuresKey(id), windowMs);
+      if (count < threshold) {
+        return 0;
+      }
+
+      const durationMs = Math.min(baseMs * 2 ** (count - threshold), maxMs);
+      await getStore().reset(lockKey(id));
+      const lock = await getStore().increment(lockKey(id), durationMs);
+      return secondsUntil(lock.resetAt);
+    },
+
+    reset: async (id) => {
+      await getStore().reset(failuresKey(id));
+      await getStore().reset(lockKey(id));
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createDatabaseStore,
+  createStore,
+  setStore,
+  rateLimit,
+  createLockout,
+  sendRetryLater
+};
@@ -0,0 +1,150 @@
+const { generateId } = require('./ids');
+
+// Real-time events over Server-Sent Events.
+//
+// Every open stream belongs to one signed-in user and subscribes to a set of topics, optionally
+// narrowed to developer fields. Events are { topic, data } plus their audience:
+//   userId   only that user's streams
+//   roles    streams of users with one of these roles (everyone when omitted)
+//   field    streams following this developer field (streams without a field filter get all)
+// Events go through a broker so every server instance can deliver them to its own streams.
+// Brokers share one interface: { name, publish(event) => Promise, subscribe(handler) }
+// The default 'local' broker only reaches streams of the current process; setBroker() installs
+// a shared one, e.g. backed by Redis pub/sub.
+
+const TOPICS = ['notification', 'profile_viewed', 'contact_quota_changed', 'new_developer'];
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Milliseconds an EventSource waits before reconnecting
+const RECONNECT_DELAY_MS = 5 * 1000;
+// Longest timer delay Node supports (longer ones fire at once). Streams expiring later close
+// after this delay instead and the client reconnects.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+const streams = new Set();
+
+const writeEvent = (res, { id, topic, data }) => {
+  res.write(`id: ${id}\nevent: ${topic}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const isInAudience = (stream, { topic, userId, roles, field }) => {
+  if (!stream.topics.includes(topic)) {
+    return false;
+  }
+  if (userId) {
+    return stream.user.userId === userId;
+  }
+  if (roles && !roles.includes(stream.user.role)) {
+    return false;
+  }
+  return !field || !stream.fields || stream.fields.includes(field);
+};
+
+// Deliver an event to the matching streams of this process
+const dispatch = (event) => {
+  for (const stream of streams) {
+    if (isInAudience(stream, event)) {
+      writeEvent(stream.res, { ...event, data: stream.format(event) });
+    }
+  }
+};
+
+// Local broker: events stay in the process
+const createLocalBroker = () => {
+  const handlers = [];
+  return {
+    name: 'local',
+    publish: async (event) => {
+      handlers.forEach(handler => handler(event));
+    },
+    subscribe: (handler) => {
+      handlers.push(handler);
+    }
+  };
+};
+
+const createBroker = (type = process.env.REALTIME_BROKER || 'local') => {
+  switch (type) {
+    case 'local':
+      return createLocalBroker();
+    default:
+      throw new Error(`Unknown realtime broker: ${type}`);
+  }
+};
+
+let broker;
+
+const getBroker = () => {
+  if (!broker) {
+    broker = createBroker();
+    broker.subscribe(dispatch);
+  }
+  return broker;
+};
+
+// Replace the active broker (e.g. with one shared by several server instances)
+const setBroker = (customBroker) => {
+  broker = customBroker;
+  broker.subscribe(dispatch);
+};
+
+// Publish an event to its audience. Best-effort: a broker failure is logged and not thrown.
+const publish = async (event) => {
+  try {
+    await getBroker().publish({ id: generateId(), ...event });
+  } catch (error) {
+    console.error('Error publishing realtime event:', error);
+  }
+};
+
+// Number of open streams of a user in this process
+const countStreams = (userId) => [...streams].filter(stream => stream.user.userId === userId).length;
+
+// Turn the response into an event stream for `user`. format(event) returns the data sent for an
+// event, e.g. localized for the reader. The stream ends when the client disconnects, when close()
+// is called or at `expiresAt` (e.g. when the access token expires; the client reconnects with a
+// fresh one). Returns { close }.
+const openStream = (req, res, { user, topics, fields = null, expiresAt = null, format = (event) => event.data }) => {
+  const stream = { user, topics, fields, format, res };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  writeEvent(res, { id: generateId(), topic: 'ready', data: { topics, fields } });
+  streams.add(stream);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  const expiry = expiresAt && setTimeout(
+    () => close(),
+    Math.min(Math.max(0, expiresAt.getTime() - Date.now()), MAX_TIMER_DELAY_MS)
+  );
+
+  const close = () => {
+    if (!streams.delete(stream)) {
+      return;
+    }
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    res.end();
+  };
+
+  req.on('close', close);
+  return { close };
+};
+
+module.exports = {
+  TOPICS,
+  createLocalBroker,
+  createBroker,
+  setBroker,
+  publish,
+  countStreams,
+  openStream
+};
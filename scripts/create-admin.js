@@ -0,0 +1,65 @@
+// Bootstrap an admin account (admins cannot self-register through the API).
+//
+// Usage: npm run create-admin -- --email admin@example.com --name "Admin" --password "secret123"
+// Values can also be provided with ADMIN_EMAIL, ADMIN_NAME and ADMIN_PASSWORD.
+// An existing user with the given email is promoted to admin instead (lifting a suspension or soft deletion).
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const { generateId } = require('../ids');
+const { assertSchemaUpToDate } = require('../migrator');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const email = (args.email || process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const name = (args.name || process.env.ADMIN_NAME || 'Admin').trim();
+  const password = args.password || process.env.ADMIN_PASSWORD;
+
+  if (!email) {
+    console.error('Email is required (--email or ADMIN_EMAIL)');
+    process.exit(1);
+  }
+
+  db.initializePool();
+  await assertSchemaUpToDate();
+
+  const [users] = await db.pool.execute('SELECT userId, role FROM users WHERE email = ?', [email]);
+
+  if (users.length > 0) {
+    await db.pool.execute(
+      "UPDATE users SET role = 'admin', emailVerifiedAt = COALESCE(emailVerifiedAt, NOW()), suspendedAt = NULL, suspendedReason = NULL, deletedAt = NULL, deletedBy = NULL WHERE userId = ?",
+      [users[0].userId]
+    );
+    console.log(`User ${email} promoted to admin`);
+  } else {
+    if (!password || password.length < 8) {
+      console.error('A password of at least 8 characters is required (--password or ADMIN_PASSWORD)');
+      process.exit(1);
+    }
+
+    const userId = generateId();
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await db.pool.execute(
+      "INSERT INTO users (userId, email, password, name, role, emailVerifiedAt) VALUES (?, ?, ?, ?, 'admin', NOW())",
+      [userId, email, hashedPassword, name]
+    );
+    console.log(`Admin user ${email} created`);
+  }
+
+  await db.pool.end();
+};
+
+main().catch((error) => {
+  console.error('Error creating admin:', error);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// Schema migration CLI.
+//
+// Usage:
+//   npm run migrate                       Apply all pending migrations
+//   npm run migrate:rollback              Revert the last applied migration
+//   npm run migrate:rollback -- --steps 3 Revert the last 3 migrations
+//   npm run migrate:status                Show applied and pending migrations
+const db = require('../db');
+const { migrate, rollback, getMigrationStatus } = require('../migrator');
+
+const parseSteps = (argv) => {
+  const index = argv.indexOf('--steps');
+  if (index === -1) {
+    return 1;
+  }
+  const steps = parseInt(argv[index + 1], 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps must be a positive integer');
+  }
+  return steps;
+};
+
+const commands = {
+  up: async () => {
+    const applied = await migrate();
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+  },
+
+  rollback: async (argv) => {
+    const reverted = await rollback(parseSteps(argv));
+    console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'No migrations to roll back');
+  },
+
+  status: async () => {
+    const { migrations, unknown } = await getMigrationStatus();
+    for (const migration of migrations) {
+      const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+      console.log(`${migration.version}_${migration.name}  ${state}`);
+    }
+    for (const row of unknown) {
+      console.log(`${row.version}_${row.name}  applied, but migration file is missing`);
+    }
+  }
+};
+
+const main = async () => {
+  const [command = 'up', ...argv] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use up, rollback or status.`);
+    process.exit(1);
+  }
+
+  await db.createDatabaseIfNotExists();
+  db.initializePool();
+  await commands[command](argv);
+  await db.pool.end();
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -3,74 +3,357 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { pool, createDatabaseIfNotExists, initializePool, initializeDatabase, testConnection } = require('./db');
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { generateId } = require('./ids');
+const { sendMail } = require('./mail');
+const { validate, validateValues, partial, fieldError, sendValidationError } = require('./validation');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, translate, negotiateLocale, localize } = require('./i18n');
+const { formatCsvRow, parseCsvObjects } = require('./csv');
+const { rateLimit, createLockout, sendRetryLater } = require('./rate-limit');
+const { DIGEST_FREQUENCIES, DEFAULT_DIGEST_FREQUENCY, renderNotification, sendDigests } = require('./notifications');
+const { TOPICS: EVENT_TOPICS, publish, countStreams, openStream } = require('./realtime');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Token lifetimes: short-lived access tokens, long-lived rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Account emails: links point to the frontend, tokens are single use and expire
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const INVITATION_TTL_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// User roles. Admin accounts are created by existing admins or the create-admin script only.
+const VALID_ROLES = ['student', 'company', 'admin'];
+const SELF_REGISTER_ROLES = ['student', 'company'];
+
+// Allowed values for developer profile enums (must match the developers table)
+const VALID_WORK_TYPES = ['remote', 'onsite', 'hybrid'];
+const VALID_FIELDS = ['web', 'mobil', 'yz', 'backend', 'frontend', 'fullstack'];
+
+// Developer profile privacy (must match the developers table)
+// Profiles: 'public', 'companies' (signed-in companies only) or 'hidden' (left out of every listing).
+// Contact fields: 'public', 'contacts' (companies the developer is connected to) or 'private'.
+const PROFILE_VISIBILITIES = ['public', 'companies', 'hidden'];
+const FIELD_VISIBILITIES = ['public', 'contacts', 'private'];
+const CONTACT_FIELDS = ['email', 'github', 'linkedin'];
+
+// Developer listing: sortable columns and page size bounds
+const DEVELOPER_SORT_COLUMNS = ['createdAt', 'firstName', 'lastName'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Skill tags
+const VALID_SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const DEFAULT_SKILL_LEVEL = 'intermediate';
+const MAX_SKILLS_PER_PROFILE = 30;
+const MAX_SKILL_NAME_LENGTH = 100;
+
+// Developer profile details and sections (education, experience, projects)
+const MAX_BIO_LENGTH = 5000;
+const MAX_YEARS_OF_EXPERIENCE = 60;
+const MAX_PROFILE_SECTION_ENTRIES = 50;
+const MAX_SECTION_DESCRIPTION_LENGTH = 5000;
+
+// Job postings and applications
+const JOB_STATUSES = ['open', 'closed'];
+const APPLICATION_STATUSES = ['applied', 'reviewing', 'interview', 'rejected', 'hired'];
+const MAX_JOB_DESCRIPTION_LENGTH = 10000;
+const MAX_COVER_LETTER_LENGTH = 5000;
+
+// Contact quotas: companies without a subscription are on the default plan
+const DEFAULT_PLAN_ID = 'free';
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+// Company profiles. Companies awaiting verification get capped contact quotas.
+const VALID_COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1000+'];
+const COMPANY_VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+const UNVERIFIED_COMPANY_LIMITS = { daily: 3, monthly: 10 };
+
+// Company workspace: shortlists of developers, private notes and saved developer searches
+const MAX_SHORTLISTS_PER_COMPANY = 50;
+const MAX_SHORTLIST_SIZE = 500;
+const MAX_SAVED_SEARCHES_PER_COMPANY = 50;
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+const MAX_DEVELOPER_NOTE_LENGTH = 5000;
+
+// Notification types users can mute. Digests of unread notifications are checked every
+// DIGEST_INTERVAL_MINUTES; 0 disables them (e.g. on all but one server instance).
+const NOTIFICATION_TYPES = ['contact_request', 'contact_request_response', 'application_status', 'matching_developer'];
+const DIGEST_INTERVAL_MINUTES = parseInt(process.env.DIGEST_INTERVAL_MINUTES || '60', 10);
+
+// Open event streams per user (per server instance)
+const MAX_EVENT_STREAMS_PER_USER = 5;
+
+// Contact requests
+const CONTACT_REQUEST_STATUSES = ['pending', 'accepted', 'declined'];
+const MAX_CONTACT_MESSAGE_LENGTH = 2000;
+
+// Profile analytics: date range defaults to the last 30 days
+const ANALYTICS_GRANULARITIES = ['day', 'week'];
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 366;
+
+// Admin statistics: time series over at most two years, top lists of DEFAULT_STATS_LIMIT entries
+const STATS_GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 731;
+const DEFAULT_STATS_LIMIT = 10;
+const MAX_STATS_LIMIT = 50;
+
+// Admin exports are streamed in batches; imports are limited in rows and body size
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_BODY_LIMIT = '2mb';
+
+// Soft-deleted users and developer profiles are purged after the retention period.
+// The purge runs on startup and then every PURGE_INTERVAL_HOURS.
+const DELETED_RETENTION_DAYS = parseInt(process.env.DELETED_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_HOURS = parseInt(process.env.PURGE_INTERVAL_HOURS, 10) || 6;
+
+// Rate limits: requests per window (see RATE LIMITING). IP limits leave room for many users behind one NAT.
+const MINUTE_MS = 60 * 1000;
+const RATE_LIMITS = {
+  login: { max: 50, windowMs: 15 * MINUTE_MS },
+  register: { max: 20, windowMs: 60 * MINUTE_MS },
+  passwordReset: { max: 20, windowMs: 60 * MINUTE_MS },
+  passwordResetEmail: { max: 3, windowMs: 60 * MINUTE_MS },
+  authToken: { max: 60, windowMs: 15 * MINUTE_MS },
+  verificationEmail: { max: 3, windowMs: 60 * MINUTE_MS },
+  publicApi: { max: 300, windowMs: MINUTE_MS }
+};
+
+// Failed logins lock the account from the 5th failure on: 1 minute, doubling up to an hour.
+// Failures are forgotten a day after the first one, or on a successful login or password reset.
+const LOGIN_LOCKOUT = { threshold: 5, baseMs: MINUTE_MS, maxMs: 60 * MINUTE_MS, windowMs: 24 * 60 * MINUTE_MS };
+
 // Trust proxy for Render deployment
 app.set('trust proxy', 1);
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'] }));
+app.use(localize);
+// Bulk imports (see ADMIN IMPORT ROUTES) are larger than other request bodies and may be CSV
+app.use('/api/admin/import', bodyParser.json({ limit: IMPORT_BODY_LIMIT }), bodyParser.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Initialize database on startup
+// Initialize storage on startup (MySQL checks the connection and schema, see storage/)
 let dbInitialized = false;
 const startServer = async () => {
   try {
-    // First, create database if it doesn't exist
-    console.log('Checking database...');
-    await createDatabaseIfNotExists();
-    
-    // Initialize connection pool
-    initializePool();
-    
-    // Test connection
-    const connected = await testConnection();
-    if (!connected) {
-      console.error('Failed to connect to database. Server will not start.');
-      process.exit(1);
-    }
-
-    // Initialize tables
-    console.log('Initializing database tables...');
-    await initializeDatabase();
+    await storage.init();
     dbInitialized = true;
 
     app.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
     });
+
+    purgeDeletedRecords();
+    setInterval(purgeDeletedRecords, PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+
+    if (DIGEST_INTERVAL_MINUTES > 0) {
+      const runDigests = () => sendDigests().catch(error => console.error('Error sending notification digests:', error));
+      runDigests();
+      setInterval(runDigests, DIGEST_INTERVAL_MINUTES * 60 * 1000).unref();
+    }
   } catch (error) {
     console.error('Error starting server:', error);
     process.exit(1);
   }
 };
 
+// Refresh tokens are random strings; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens carry the session id (sid) so they can be revoked server-side
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.userId, email: user.email, role: user.role, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Store a new refresh token for the session and return its plain value
+const createRefreshToken = async (sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await storage.sessions.createRefreshToken({ tokenHash: hashToken(refreshToken), sessionId, expiresAt });
+  return refreshToken;
+};
+
+// Start a new session for the user and issue an access/refresh token pair
+const createSession = async (user, req) => {
+  const sessionId = crypto.randomBytes(24).toString('hex');
+  const userAgent = req.headers['user-agent'] ? req.headers['user-agent'].slice(0, 500) : null;
+  await storage.sessions.create({ id: sessionId, userId: user.userId, userAgent, ip: req.ip || null });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: await createRefreshToken(sessionId),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Create a single-use account token (password reset / email verification).
+// Earlier unused tokens of the same type are invalidated.
+const createUserToken = async (userId, type, ttlMs) => {
+  await storage.userTokens.invalidate(userId, type);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await storage.userTokens.create({ tokenHash: hashToken(token), userId, type, expiresAt: new Date(Date.now() + ttlMs) });
+  return token;
+};
+
+// Mark an account token as used and return its userId, or null if it is invalid, used or expired
+const consumeUserToken = (token, type) => storage.userTokens.consume(hashToken(token), type);
+
+// Account emails use the user's saved locale, otherwise `fallbackLocale` (usually the request's)
+const sendVerificationEmail = async (user, fallbackLocale = DEFAULT_LOCALE) => {
+  const token = await createUserToken(user.userId, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  const locale = user.locale || fallbackLocale;
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'email.verification.subject'),
+    text: translate(locale, 'email.verification.text', { name: user.name, link, hours: EMAIL_VERIFICATION_TTL_HOURS })
+  });
+};
+
+const sendPasswordResetEmail = async (user, fallbackLocale = DEFAULT_LOCALE) => {
+  const token = await createUserToken(user.userId, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const locale = user.locale || fallbackLocale;
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'email.password_reset.subject'),
+    text: translate(locale, 'email.password_reset.text', { name: user.name, link, minutes: PASSWORD_RESET_TTL_MINUTES })
+  });
+};
+
+// Accounts created by an admin import get a link to choose their password (a long-lived reset token)
+const sendInvitationEmail = async (user, fallbackLocale = DEFAULT_LOCALE) => {
+  const token = await createUserToken(user.userId, 'password_reset', INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const locale = user.locale || fallbackLocale;
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'email.invitation.subject'),
+    text: translate(locale, 'email.invitation.text', { name: user.name, link, days: INVITATION_TTL_DAYS })
+  });
+};
+
+// Resolve the user of an access token.
+// Besides the JWT signature, the session must still be active and the user must still exist.
+// Returns { user } or { status, code } describing why the token was rejected.
+const resolveAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { status: 403, code: 'invalid_token' };
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!payload.sid) {
+    return { status: 403, code: 'invalid_token' };
+  }
+
+  const session = await storage.sessions.findWithUser(payload.sid, payload.userId);
+
+  if (!session || session.revokedAt) {
+    return { status: 401, code: 'session_revoked' };
+  }
+
+  if (session.suspendedAt) {
+    return { status: 403, code: 'account_suspended' };
+  }
+
+  // Role is read from the database so role changes take effect immediately
+  return {
+    user: {
+      userId: session.userId,
+      email: session.email,
+      role: session.role,
+      emailVerified: Boolean(session.emailVerifiedAt),
+      locale: session.locale,
+      sessionId: payload.sid
+    }
+  };
+};
+
+const setRequestUser = (req, user) => {
+  req.user = user;
+  // A saved language preference wins over Accept-Language
+  if (user.locale) {
+    req.locale = user.locale;
+  }
+};
+
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ success: false, message: 'Access token required' });
+    return res.status(401).json({ success: false, code: 'access_token_required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+  try {
+    const { user, status, code } = await resolveAccessToken(token);
+    if (!user) {
+      return res.status(status).json({ success: false, code });
     }
-    req.user = user;
+
+    setRequestUser(req, user);
     next();
-  });
+  } catch (error) {
+    console.error('Error authenticating token:', error);
+    return res.status(500).json({ success: false, code: 'authentication_failed' });
+  }
+};
+
+// For public routes: sets req.user when a valid token is sent, otherwise continues anonymously (req.user = null)
+const identifyUser = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  req.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user } = await resolveAccessToken(token);
+    if (user) {
+      setRequestUser(req, user);
+    }
+    next();
+  } catch (error) {
+    console.error('Error authenticating token:', error);
+    return res.status(500).json({ success: false, code: 'authentication_failed' });
+  }
+};
+
+// Check if user has verified their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified && req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, code: 'email_verification_required' });
+  }
+  next();
 };
 
 // Check if user is student
 const isStudent = (req, res, next) => {
   if (req.user.role !== 'student') {
-    return res.status(403).json({ success: false, message: 'Access denied. Student role required.' });
+    return res.status(403).json({ success: false, code: 'student_role_required' });
   }
   next();
 };
@@ -78,7 +361,7 @@ const isStudent = (req, res, next) => {
 // Check if user is company
 const isCompany = (req, res, next) => {
   if (req.user.role !== 'company') {
-    return res.status(403).json({ success: false, message: 'Access denied. Company role required.' });
+    return res.status(403).json({ success: false, code: 'company_role_required' });
   }
   next();
 };
@@ -86,172 +369,381 @@ const isCompany = (req, res, next) => {
 // Check if user is admin
 const isAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
-    return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+    return res.status(403).json({ success: false, code: 'admin_role_required' });
   }
   next();
 };
 
-// Rate limiting: Check if company can view developer (max 10 per day)
-const checkContactLimit = async (req, res, next) => {
-  // Only apply limit to companies
-  if (req.user.role !== 'company') {
+// Links to an entity by its numeric ID from before migration 010_uuid_ids are permanently
+// redirected to its current ID. findVisible(id, user) returns the entity when the route would
+// serve it to the user; deleted or hidden ones, like other IDs, continue to the route (a 404).
+const LEGACY_ID_PATTERN = /^[0-9]+$/;
+
+const redirectLegacyId = (entity, findVisible) => async (req, res, next) => {
+  if (!LEGACY_ID_PATTERN.test(req.params.id)) {
     return next();
   }
 
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const [contacts] = await pool.execute(
-      'SELECT COUNT(*) as count FROM contacts WHERE userId = ? AND date = ?',
-      [req.user.userId, today]
-    );
+    const id = await storage.legacyIds.resolve(entity, req.params.id);
+    if (!id || !(await findVisible(id, req.user))) {
+      return next();
+    }
+    res.redirect(301, req.originalUrl.replace(`/${req.params.id}`, `/${id}`));
+  } catch (error) {
+    console.error('Error resolving legacy id:', error);
+    next();
+  }
+};
 
-    if (contacts[0].count >= 10) {
-      return res.status(429).json({
-        success: false,
-        message: 'Günlük görüntüleme limitinize ulaştınız. Yarın tekrar deneyebilirsiniz.'
-      });
+// ==================== RATE LIMITING ====================
+
+// Per client IP (req.ip honours the trusted proxy)
+const limitByIp = (name) => rateLimit({ name, ...RATE_LIMITS[name] });
+
+// Per account: the email named in the (validated) request body, or the signed-in user
+const limitByEmail = (name) => rateLimit({ name, ...RATE_LIMITS[name], key: req => req.body.email });
+const limitByUser = (name) => rateLimit({ name, ...RATE_LIMITS[name], key: req => req.user.userId });
+
+// Public API: per signed-in user (after identifyUser or authenticateToken), otherwise per IP
+const publicApiLimit = rateLimit({
+  name: 'publicApi',
+  ...RATE_LIMITS.publicApi,
+  key: req => (req.user ? `user:${req.user.userId}` : `ip:${req.ip}`)
+});
+
+// Progressive lockout of login emails (see LOGIN_LOCKOUT)
+const loginLockout = createLockout({ name: 'login', ...LOGIN_LOCKOUT });
+
+// ==================== AUDIT LOG HELPERS ====================
+
+const AUDIT_ACTIONS = [
+  'auth.login', 'auth.login_failed',
+  'user.create', 'user.import', 'user.role_change', 'user.suspend', 'user.unsuspend', 'user.force_password_reset', 'user.delete',
+  'user.restore',
+  'developer.import', 'developer.delete', 'developer.restore',
+  'company.verification', 'company.plan_change',
+  'contact.reveal',
+  'system.purge'
+];
+
+// Changed fields between two versions of a record: { field: { from, to } }.
+// With `after` null (a deletion) every field of `before` is listed.
+const diffValues = (before, after) => {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    const same = from instanceof Date || to instanceof Date
+      ? new Date(from).getTime() === new Date(to).getTime()
+      : from === to;
+    if (!same) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
     }
+  }
+  return changes;
+};
 
-    next();
-  } catch (error) {
-    console.error('Error checking contact limit:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Görüntüleme limiti kontrol edilirken hata oluştu'
+// Append an entry to the audit log with the request's IP and user agent (`req` is null for
+// scheduled jobs). The actor defaults to the signed-in user. Failures are logged and never
+// fail the audited action.
+const recordAudit = async (req, {
+  action, actorUserId = req && req.user ? req.user.userId : null, targetType = null, targetId = null, changes = null, metadata = null
+}) => {
+  try {
+    await storage.auditLog.record({
+      id: generateId(),
+      actorUserId,
+      action,
+      targetType,
+      targetId,
+      ip: (req && req.ip) || null,
+      userAgent: req && req.headers['user-agent'] ? req.headers['user-agent'].slice(0, 500) : null,
+      changes,
+      metadata
     });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
   }
 };
 
-// ==================== AUTHENTICATION ROUTES ====================
+// ==================== DATA RETENTION ====================
 
-// Register
-app.post('/api/auth/register', async (req, res) => {
+// Permanently delete users and developer profiles soft-deleted more than DELETED_RETENTION_DAYS ago.
+// Their contacts are kept for quota accounting and statistics (see migration 016_soft_delete).
+const purgeDeletedRecords = async () => {
+  const deletedBefore = new Date(Date.now() - DELETED_RETENTION_DAYS * DAY_MS);
   try {
-    const { email, password, name, role } = req.body;
+    const developers = await storage.developers.purgeDeleted(deletedBefore);
+    const users = await storage.users.purgeDeleted(deletedBefore);
+    if (developers > 0 || users > 0) {
+      await recordAudit(null, { action: 'system.purge', metadata: { users, developers, deletedBefore } });
+    }
+    return { users, developers };
+  } catch (error) {
+    console.error('Error purging deleted records:', error);
+    return null;
+  }
+};
 
-    if (!email || !password || !name || !role) {
-      return res.status(400).json({
-        success: false,
-        message: 'Tüm alanlar zorunludur'
-      });
+// ==================== NOTIFICATION HELPERS ====================
+
+// Create an in-app notification unless the user muted its type. `data` holds what the
+// notification.<type> catalog entries need, captured when the event happens.
+// Best-effort like recordAudit: a failure is logged and does not fail the action.
+const notify = async (userId, type, data) => {
+  try {
+    const preferences = await storage.notifications.findPreferences(userId);
+    if (preferences && (preferences.mutedTypes || []).includes(type)) {
+      return;
     }
+    const id = generateId();
+    await storage.notifications.create({ id, userId, type, data });
+    await publish({ topic: 'notification', userId, data: await storage.notifications.findById(id) });
+  } catch (error) {
+    console.error('Error creating notification:', error);
+  }
+};
 
-    if (!['student', 'company', 'admin'].includes(role)) {
-      return res.status(400).json({
+// Whether a developer matches saved listing filters (developerFilterQuery values), like storage.developers.list
+const matchesDeveloperFilters = (developer, { field, workType, q, skills, match = 'all' }) => {
+  if ((field && !field.includes(developer.field)) || (workType && !workType.includes(developer.workType))) {
+    return false;
+  }
+
+  if (q) {
+    const search = q.toLowerCase();
+    const names = [developer.firstName, developer.lastName, `${developer.firstName} ${developer.lastName}`];
+    if (!names.some(name => name.toLowerCase().includes(search))) {
+      return false;
+    }
+  }
+
+  if (skills && skills.length > 0) {
+    const developerSlugs = new Set(developer.skills.map(skill => skill.slug));
+    const wanted = [...new Set(skills.map(slugifySkill))];
+    const found = wanted.filter(slug => developerSlugs.has(slug)).length;
+    return match === 'all' ? found === wanted.length : found > 0;
+  }
+  return true;
+};
+
+// Tell companies about a new profile matching one of their saved searches (once per company).
+// Hidden profiles are not announced.
+const notifyMatchingSearches = async (developer) => {
+  if (developer.visibility === 'hidden') {
+    return;
+  }
+
+  try {
+    const notified = new Set();
+    for (const search of await storage.savedSearches.listAll()) {
+      if (!notified.has(search.companyUserId) && matchesDeveloperFilters(developer, search.filters)) {
+        notified.add(search.companyUserId);
+        await notify(search.companyUserId, 'matching_developer', {
+          developerId: developer.id,
+          developerName: `${developer.firstName} ${developer.lastName}`,
+          savedSearchId: search.id,
+          savedSearchName: search.name
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Error notifying saved searches:', error);
+  }
+};
+
+// Announce a new profile to the event streams of users it is visible to (like getProfileAccess)
+const publishNewDeveloper = async (developer) => {
+  if (developer.visibility === 'hidden') {
+    return;
+  }
+  await publish({
+    topic: 'new_developer',
+    roles: developer.visibility === 'companies' ? ['company', 'admin'] : undefined,
+    field: developer.field,
+    data: serializeDeveloper(developer, 'public')
+  });
+};
+
+// ==================== AUTHENTICATION ROUTES ====================
+
+// Validation rules shared by the auth and admin user routes (see validation.js)
+const emailRule = { type: 'string', required: true, maxLength: 255, format: 'email', lowercase: true };
+const passwordRule = {
+  type: 'string',
+  required: true,
+  trim: false,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: MAX_PASSWORD_LENGTH,
+  format: 'password'
+};
+const userNameRule = { type: 'string', required: true, maxLength: 255 };
+const tokenRule = { type: 'string', required: true, maxLength: 255 };
+const localeRule = { type: 'string', nullable: true, lowercase: true, enum: SUPPORTED_LOCALES };
+
+const registerSchema = {
+  email: emailRule,
+  password: passwordRule,
+  name: userNameRule,
+  role: { type: 'string', required: true, enum: VALID_ROLES },
+  locale: localeRule
+};
+
+// Register
+app.post('/api/auth/register', limitByIp('register'), validate({ body: registerSchema }), async (req, res) => {
+  try {
+    const { email, password, name, role, locale = null } = req.body;
+
+    if (!SELF_REGISTER_ROLES.includes(role)) {
+      return res.status(403).json({
         success: false,
-        message: 'Geçersiz rol. student, company veya admin olmalıdır.'
+        code: 'admin_registration_forbidden'
       });
     }
 
-    // Check if user already exists
-    const [existingUsers] = await pool.execute(
-      'SELECT userId FROM users WHERE email = ?',
-      [email.trim().toLowerCase()]
-    );
-
-    if (existingUsers.length > 0) {
+    // Check if user already exists (soft-deleted accounts keep their email until purged)
+    if (await storage.users.findByEmail(email, { includeDeleted: true })) {
       return res.status(400).json({
         success: false,
-        message: 'Bu email adresi zaten kullanılıyor'
+        code: 'email_in_use'
       });
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
-    const userId = Date.now().toString();
+    const userId = generateId();
 
     // Insert user
-    await pool.execute(
-      'INSERT INTO users (userId, email, password, name, role) VALUES (?, ?, ?, ?, ?)',
-      [userId, email.trim().toLowerCase(), hashedPassword, name.trim(), role]
-    );
+    await storage.users.create({
+      userId,
+      email,
+      password: hashedPassword,
+      name,
+      role,
+      locale
+    });
 
-    // Generate token
-    const token = jwt.sign(
-      { userId, email: email.trim().toLowerCase(), role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Verification email failures must not block registration; it can be resent later
+    try {
+      await sendVerificationEmail({ userId, email, name, locale }, req.locale);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Start session
+    const tokens = await createSession({ userId, email, role }, req);
 
     res.status(201).json({
       success: true,
-      message: 'Kayıt başarılı',
-      token,
+      code: 'registered',
+      ...tokens,
       user: {
         userId,
-        email: email.trim().toLowerCase(),
-        name: name.trim(),
-        role
+        email,
+        name,
+        role,
+        emailVerified: false,
+        locale
       }
     });
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({
       success: false,
-      message: 'Kayıt sırasında bir hata oluştu'
+      code: 'register_failed'
     });
   }
 });
 
-// Login
-app.post('/api/auth/login', async (req, res) => {
+// Passwords are only checked for presence: existing accounts may predate the password rules
+const loginSchema = {
+  email: { type: 'string', required: true, maxLength: 255, lowercase: true },
+  password: { type: 'string', required: true, trim: false, maxLength: MAX_PASSWORD_LENGTH }
+};
+
+// Login. Wrong credentials count towards a progressive lockout of the email (see LOGIN_LOCKOUT);
+// a locked email is refused before the password is checked.
+app.post('/api/auth/login', limitByIp('login'), validate({ body: loginSchema }), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email ve şifre gereklidir'
-      });
+    const lockedSeconds = await loginLockout.check(email);
+    if (lockedSeconds > 0) {
+      await recordAudit(req, { action: 'auth.login_failed', metadata: { email, reason: 'locked_out' } });
+      return sendRetryLater(res, 'account_locked', lockedSeconds);
     }
 
     // Find user
-    const [users] = await pool.execute(
-      'SELECT userId, email, password, name, role FROM users WHERE email = ?',
-      [email.trim().toLowerCase()]
-    );
+    const user = await storage.users.findByEmail(email);
+
+    // Failed attempts are audited with the reason (the response does not tell them apart)
+    const auditFailure = (reason) => recordAudit(req, {
+      action: 'auth.login_failed',
+      targetType: user ? 'user' : null,
+      targetId: user ? user.userId : null,
+      metadata: { email, reason }
+    });
 
-    if (users.length === 0) {
+    if (!user) {
+      await auditFailure('unknown_email');
+      await loginLockout.recordFailure(email);
       return res.status(401).json({
         success: false,
-        message: 'Geçersiz email veya şifre'
+        code: 'invalid_credentials'
       });
     }
 
-    const user = users[0];
-
     // Verify password
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      await auditFailure('invalid_password');
+      await loginLockout.recordFailure(email);
       return res.status(401).json({
         success: false,
-        message: 'Geçersiz email veya şifre'
+        code: 'invalid_credentials'
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.userId, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.suspendedAt) {
+      await auditFailure('account_suspended');
+      return res.status(403).json({
+        success: false,
+        code: 'account_suspended'
+      });
+    }
+
+    if (user.passwordResetRequired) {
+      await auditFailure('password_reset_required');
+      return res.status(403).json({
+        success: false,
+        code: 'password_reset_required',
+        passwordResetRequired: true
+      });
+    }
+
+    // Start session
+    await loginLockout.reset(email);
+    const tokens = await createSession(user, req);
+    await recordAudit(req, { action: 'auth.login', actorUserId: user.userId, targetType: 'user', targetId: user.userId });
 
     res.json({
       success: true,
-      message: 'Giriş başarılı',
-      token,
+      code: 'logged_in',
+      ...tokens,
       user: {
         userId: user.userId,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt)
       }
     });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Giriş sırasında bir hata oluştu'
+      code: 'login_failed'
     });
   }
 });
@@ -259,617 +751,4305 @@ app.post('/api/auth/login', async (req, res) => {
 // Get current user
 app.get('/api/auth/me', authenticateToken, async (req, res) => {
   try {
-    const [users] = await pool.execute(
-      'SELECT userId, email, name, role FROM users WHERE userId = ?',
-      [req.user.userId]
-    );
+    const user = await storage.users.findById(req.user.userId);
 
-    if (users.length === 0) {
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'Kullanıcı bulunamadı'
+        code: 'user_not_found'
       });
     }
 
     res.json({
       success: true,
-      user: users[0]
+      user: {
+        userId: user.userId,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
+        locale: user.locale
+      }
     });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Kullanıcı bilgileri alınırken hata oluştu'
+      code: 'user_fetch_failed'
     });
   }
 });
 
-// ==================== DEVELOPER ROUTES ====================
-
-// Get all developers (public - company can see without login, but contact info hidden)
-app.get('/api/developers', async (req, res) => {
+// Update the current user's preferences. locale: null returns to Accept-Language negotiation.
+app.patch('/api/auth/me', authenticateToken, validate({ body: { locale: { ...localeRule, required: true } } }), async (req, res) => {
   try {
-    const [developers] = await pool.execute(
-      'SELECT * FROM developers ORDER BY createdAt DESC'
-    );
-
-    const token = req.headers['authorization']?.split(' ')[1];
-    let filteredDevelopers = developers;
-
-    // If not authenticated, hide contact info
-    if (!token) {
-      filteredDevelopers = developers.map(dev => ({
-        ...dev,
-        email: undefined,
-        github: undefined,
-        linkedin: undefined
-      }));
-    } else {
-      try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        // Only students and admins can see contact info
-        // Companies (even if logged in) cannot see contact info without contacting
-        if (decoded.role === 'company') {
-          filteredDevelopers = developers.map(dev => ({
-            ...dev,
-            email: undefined,
-            github: undefined,
-            linkedin: undefined
-          }));
-        }
-        // Admin and student can see all info
-      } catch (err) {
-        // Invalid token, hide contact info
-        filteredDevelopers = developers.map(dev => ({
-          ...dev,
-          email: undefined,
-          github: undefined,
-          linkedin: undefined
-        }));
-      }
-    }
+    const { locale } = req.body;
+    await storage.users.setLocale(req.user.userId, locale);
+    req.locale = locale || negotiateLocale(req.headers['accept-language']);
 
-    res.json({ success: true, data: filteredDevelopers });
+    res.json({
+      success: true,
+      code: 'preferences_updated',
+      user: { locale }
+    });
   } catch (error) {
-    console.error('Error fetching developers:', error);
-    res.status(500).json({ success: false, message: 'Geliştiriciler getirilirken hata oluştu' });
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'preferences_update_failed'
+    });
   }
 });
 
-// Get single developer (public - company can see without login, but contact info hidden)
-app.get('/api/developers/:id', async (req, res) => {
+// Exchange a refresh token for a new access/refresh token pair.
+// Each refresh token is single use; presenting a used one revokes the whole session.
+app.post('/api/auth/refresh', limitByIp('authToken'), validate({ body: { refreshToken: tokenRule } }), async (req, res) => {
   try {
-    const [developers] = await pool.execute(
-      'SELECT * FROM developers WHERE id = ?',
-      [req.params.id]
-    );
-
-    if (developers.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Geliştirici bulunamadı'
-      });
-    }
-
-    const developer = developers[0];
-    const token = req.headers['authorization']?.split(' ')[1];
-    let responseDeveloper = { ...developer };
-
-    // If not authenticated, hide contact info
-    if (!token) {
-      responseDeveloper = {
-        ...developer,
-        email: undefined,
-        github: undefined,
-        linkedin: undefined
-      };
-    } else {
-      try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        // Only students and admins can see contact info
-        // Companies cannot see contact info without contacting
-        if (decoded.role === 'company') {
-          responseDeveloper = {
-            ...developer,
-            email: undefined,
-            github: undefined,
-            linkedin: undefined
-          };
-        }
-        // Admin and student can see all info
-      } catch (err) {
-        responseDeveloper = {
-          ...developer,
-          email: undefined,
-          github: undefined,
-          linkedin: undefined
-        };
-      }
-    }
-
-    res.json({ success: true, data: responseDeveloper });
-  } catch (error) {
-    console.error('Error fetching developer:', error);
-    res.status(500).json({ success: false, message: 'Geliştirici getirilirken hata oluştu' });
-  }
-});
+    const { refreshToken } = req.body;
 
-// Create developer profile (only students)
-app.post('/api/developers', authenticateToken, isStudent, async (req, res) => {
-  try {
-    const { firstName, lastName, workType, field, github, linkedin, email } = req.body;
+    const tokenHash = hashToken(refreshToken);
+    const stored = await storage.sessions.findRefreshToken(tokenHash);
 
-    // Validation
-    if (!firstName || !lastName || !workType || !field || !email) {
-      return res.status(400).json({
+    if (!stored) {
+      return res.status(401).json({
         success: false,
-        message: 'Ad, soyad, çalışma şekli, alan ve email zorunludur'
+        code: 'invalid_refresh_token'
       });
     }
 
-    const validWorkTypes = ['remote', 'onsite', 'hybrid'];
-    if (!validWorkTypes.includes(workType)) {
-      return res.status(400).json({
+    if (stored.suspendedAt) {
+      return res.status(403).json({
         success: false,
-        message: 'Çalışma şekli remote, onsite veya hybrid olmalıdır'
+        code: 'account_suspended'
       });
     }
 
-    const validFields = ['web', 'mobil', 'yz', 'backend', 'frontend', 'fullstack'];
-    if (!validFields.includes(field)) {
-      return res.status(400).json({
+    if (stored.revokedAt || new Date(stored.expiresAt) <= new Date()) {
+      return res.status(401).json({
         success: false,
-        message: 'Alan geçerli bir değer olmalıdır (web, mobil, yz, backend, frontend, fullstack)'
+        code: 'session_expired'
       });
     }
 
-    // Check if user already has a profile
-    const [existingProfiles] = await pool.execute(
-      'SELECT id FROM developers WHERE userId = ?',
-      [req.user.userId]
-    );
+    // Mark as used atomically so concurrent refreshes cannot both succeed
+    const marked = await storage.sessions.useRefreshToken(tokenHash);
 
-    if (existingProfiles.length > 0) {
-      return res.status(400).json({
+    if (stored.usedAt || !marked) {
+      // Token reuse means it may have been stolen: revoke the session
+      await storage.sessions.revoke(stored.sessionId);
+      return res.status(401).json({
         success: false,
-        message: 'Zaten bir profil oluşturmuşsunuz. Profilinizi güncelleyebilirsiniz.'
+        code: 'refresh_token_reused'
       });
     }
 
-    const id = Date.now().toString();
+    await storage.sessions.touch(stored.sessionId);
 
-    // Insert developer
-    await pool.execute(
-      'INSERT INTO developers (id, userId, firstName, lastName, workType, field, github, linkedin, email) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [id, req.user.userId, firstName.trim(), lastName.trim(), workType, field, github ? github.trim() : null, linkedin ? linkedin.trim() : null, email.trim().toLowerCase()]
-    );
+    res.json({
+      success: true,
+      token: signAccessToken(stored, stored.sessionId),
+      refreshToken: await createRefreshToken(stored.sessionId),
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'token_refresh_failed'
+    });
+  }
+});
 
-    // Get created developer
-    const [newDevelopers] = await pool.execute(
-      'SELECT * FROM developers WHERE id = ?',
-      [id]
-    );
+// Logout (revokes the current session)
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await storage.sessions.revoke(req.user.sessionId);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Profil başarıyla oluşturuldu',
-      data: newDevelopers[0]
+      code: 'logged_out'
     });
   } catch (error) {
-    console.error('Error creating developer:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
-      message: 'Profil oluşturulurken hata oluştu'
+      code: 'logout_failed'
     });
   }
 });
 
-// Update developer profile (only students, own profile)
-app.put('/api/developers/:id', authenticateToken, isStudent, async (req, res) => {
+// Logout from all devices (revokes every session of the current user)
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
   try {
-    // Check if developer exists and belongs to user
-    const [developers] = await pool.execute(
-      'SELECT * FROM developers WHERE id = ?',
-      [req.params.id]
-    );
+    const revokedSessions = await storage.sessions.revokeAllForUser(req.user.userId);
 
-    if (developers.length === 0) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      code: 'logged_out_all',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'logout_failed'
+    });
+  }
+});
+
+// List active sessions of the current user
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await storage.sessions.listActive(req.user.userId);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      code: 'sessions_fetch_failed'
+    });
+  }
+});
+
+// Request a password reset email.
+// Always responds with success so the endpoint cannot be used to discover registered emails.
+app.post('/api/auth/forgot-password', limitByIp('passwordReset'), validate({ body: { email: emailRule } }), limitByEmail('passwordResetEmail'), async (req, res) => {
+  try {
+    const user = await storage.users.findByEmail(req.body.email);
+
+    if (user) {
+      await sendPasswordResetEmail(user, req.locale);
+    }
+
+    res.json({
+      success: true,
+      code: 'password_reset_email_sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'forgot_password_failed'
+    });
+  }
+});
+
+// Reset password with a token from the reset email (revokes all sessions)
+app.post('/api/auth/reset-password', limitByIp('authToken'), validate({ body: { token: tokenRule, password: passwordRule } }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeUserToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_reset_link'
+      });
+    }
+
+    // Also marks the email as verified, since the reset link was received there
+    await storage.users.resetPassword(userId, await bcrypt.hash(password, 10));
+    await storage.sessions.revokeAllForUser(userId);
+
+    // The account can be signed into again right away, even if failed logins locked it
+    const user = await storage.users.findById(userId);
+    if (user) {
+      await loginLockout.reset(user.email);
+    }
+
+    res.json({
+      success: true,
+      code: 'password_reset'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'password_reset_failed'
+    });
+  }
+});
+
+// Verify email address with a token from the verification email
+app.post('/api/auth/verify-email', limitByIp('authToken'), validate({ body: { token: tokenRule } }), async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_verification_link'
+      });
+    }
+
+    await storage.users.markEmailVerified(userId);
+
+    res.json({
+      success: true,
+      code: 'email_verified'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'email_verification_failed'
+    });
+  }
+});
+
+// Resend the verification email for the current user
+app.post('/api/auth/resend-verification', authenticateToken, limitByUser('verificationEmail'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        code: 'email_already_verified'
+      });
+    }
+
+    await sendVerificationEmail(await storage.users.findById(req.user.userId), req.locale);
+
+    res.json({
+      success: true,
+      code: 'verification_email_sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'verification_email_failed'
+    });
+  }
+});
+
+// ==================== SKILL HELPERS ====================
+
+// Normalize a skill name into its unique slug ("Node.js" -> "node.js", "React Native" -> "react-native")
+const slugifySkill = (name) => name.trim().toLowerCase().replace(/\s+/g, '-');
+
+// The `skills` payload of POST/PUT /api/developers: plain names or { name, level } objects
+const skillsRule = {
+  type: 'array',
+  maxItems: MAX_SKILLS_PER_PROFILE,
+  items: {
+    type: 'object',
+    preprocess: item => (typeof item === 'string' ? { name: item } : item),
+    properties: {
+      name: { type: 'string', required: true, maxLength: MAX_SKILL_NAME_LENGTH },
+      level: { type: 'string', enum: VALID_SKILL_LEVELS, default: DEFAULT_SKILL_LEVEL }
+    }
+  }
+};
+
+// Skills as one spreadsheet cell ("React:advanced; Node.js:intermediate") for exports and imports
+const formatSkillList = (skills) => skills.map(({ name, level }) => `${name}:${level}`).join('; ');
+
+const parseSkillList = (text) => text.split(';')
+  .map(item => item.trim())
+  .filter(Boolean)
+  .map((item) => {
+    const separator = item.lastIndexOf(':');
+    return separator > 0
+      ? { name: item.slice(0, separator).trim(), level: item.slice(separator + 1).trim() }
+      : { name: item };
+  });
+
+// Add slugs to validated skills and drop duplicates (the last occurrence wins)
+const normalizeSkills = (skills) => {
+  const skillsBySlug = new Map();
+  for (const { name, level } of skills) {
+    skillsBySlug.set(slugifySkill(name), { name, slug: slugifySkill(name), level });
+  }
+  return [...skillsBySlug.values()];
+};
+
+// ==================== DEVELOPER PRIVACY HELPERS ====================
+
+// The single policy deciding what of a developer profile a user sees. Access levels:
+//   'full'     the developer and admins: every field and the privacy settings
+//   'contact'  companies connected to the developer (accepted contact request or an application)
+//   'public'   everyone else the profile is visible to
+//   null       the profile is hidden from the user (visibility setting or blocklist)
+// `relation` is the company's row from developers.findCompanyRelations.
+const getProfileAccess = (developer, user, relation = {}) => {
+  if (user && (user.role === 'admin' || user.userId === developer.userId)) {
+    return 'full';
+  }
+  if (relation.blocked) {
+    return null;
+  }
+  // Connections keep access to hidden profiles
+  if (relation.connected) {
+    return 'contact';
+  }
+  if (developer.visibility === 'hidden') {
+    return null;
+  }
+  if (developer.visibility === 'companies' && (!user || user.role !== 'company')) {
+    return null;
+  }
+  return 'public';
+};
+
+// Whether a contact field with the given visibility is released at an access level
+const isContactFieldVisible = (fieldVisibility, access) =>
+  access === 'full' || fieldVisibility === 'public' || (fieldVisibility === 'contacts' && access === 'contact');
+
+const serializeDeveloper = (developer, access) => {
+  const { visibility, emailVisibility, githubVisibility, linkedinVisibility, deletedAt, deletedBy, ...profile } = developer;
+  const fieldVisibility = { email: emailVisibility, github: githubVisibility, linkedin: linkedinVisibility };
+
+  // Only admins see soft-deleted profiles
+  if (access === 'full') {
+    return { ...profile, privacy: { visibility, fields: fieldVisibility }, ...(deletedAt && { deletedAt, deletedBy }) };
+  }
+
+  for (const field of CONTACT_FIELDS) {
+    if (!isContactFieldVisible(fieldVisibility[field], access)) {
+      profile[field] = undefined;
+    }
+  }
+  return profile;
+};
+
+// Apply the policy to developers for the current user (null when anonymous).
+// Returns the serialized profiles in the same order, with null for hidden ones.
+const presentDevelopers = async (user, developers) => {
+  const relations = user && user.role === 'company'
+    ? await storage.developers.findCompanyRelations(user.userId, developers.map(dev => dev.id))
+    : [];
+  const relationsById = new Map(relations.map(relation => [relation.id, relation]));
+
+  return developers.map(developer => {
+    const access = getProfileAccess(developer, user, relationsById.get(developer.id));
+    return access ? serializeDeveloper(developer, access) : null;
+  });
+};
+
+// The developer with the given ID, or null when it is missing or hidden from the user
+const findVisibleDeveloper = async (developerId, user) => {
+  const developer = await storage.developers.findById(developerId);
+  const [profile] = developer ? await presentDevelopers(user, [developer]) : [null];
+  return profile ? developer : null;
+};
+
+// Listing filters matching getProfileAccess (listings leave out hidden profiles, even for connections)
+const getListingVisibility = (user) => {
+  if (user && user.role === 'admin') {
+    return {};
+  }
+  if (user && user.role === 'company') {
+    return { visibilities: ['public', 'companies'], blockedCompanyUserId: user.userId };
+  }
+  return { visibilities: ['public'], ownerUserId: user ? user.userId : null };
+};
+
+// ==================== DEVELOPER ROUTES ====================
+
+// Page based pagination parameters shared by list endpoints
+const paginationQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+};
+
+// Listing filters and sorting (also stored by saved searches)
+const developerFilterQuery = {
+  field: { type: 'list', enum: VALID_FIELDS },
+  workType: { type: 'list', enum: VALID_WORK_TYPES },
+  q: { type: 'string', maxLength: 255 },
+  skills: { type: 'list' },
+  match: { type: 'string', enum: ['all', 'any'], default: 'all' },
+  sort: { type: 'string', enum: DEVELOPER_SORT_COLUMNS, default: 'createdAt' },
+  order: { type: 'string', lowercase: true, enum: ['asc', 'desc'] }
+};
+
+// Pagination of developer listings
+const developerPageQuery = {
+  cursor: { type: 'string' },
+  ...paginationQuery
+};
+
+const developerListQuery = { ...developerFilterQuery, ...developerPageQuery };
+
+const developerSchema = {
+  firstName: { type: 'string', required: true, maxLength: 255 },
+  lastName: { type: 'string', required: true, maxLength: 255 },
+  workType: { type: 'string', required: true, enum: VALID_WORK_TYPES },
+  field: { type: 'string', required: true, enum: VALID_FIELDS },
+  github: { type: 'string', nullable: true, maxLength: 500, format: 'url' },
+  linkedin: { type: 'string', nullable: true, maxLength: 500, format: 'url' },
+  email: emailRule,
+  headline: { type: 'string', nullable: true, maxLength: 255 },
+  bio: { type: 'string', nullable: true, maxLength: MAX_BIO_LENGTH },
+  city: { type: 'string', nullable: true, maxLength: 100 },
+  country: { type: 'string', nullable: true, maxLength: 100 },
+  yearsOfExperience: { type: 'integer', nullable: true, min: 0, max: MAX_YEARS_OF_EXPERIENCE },
+  availableFrom: { type: 'date', nullable: true },
+  skills: skillsRule
+};
+
+// Pagination cursors are opaque base64url strings holding the sort value and id of the last row
+const encodeCursor = (row, sortColumn) => {
+  const value = row[sortColumn] instanceof Date ? row[sortColumn].getTime() : row[sortColumn];
+  return Buffer.from(JSON.stringify({ v: value, id: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortColumn) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (v === undefined || v === null || typeof id !== 'string') {
+      return null;
+    }
+    if (sortColumn === 'createdAt') {
+      const date = new Date(v);
+      return Number.isNaN(date.getTime()) ? null : { value: date, id };
+    }
+    return typeof v === 'string' ? { value: v, id } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Respond with the developers matching `query` (developerListQuery values) for the current user.
+// Supports filtering (field, workType, q, skills + match), sorting (sort, order) and
+// page based (page, limit) or cursor based (cursor, limit) pagination.
+const sendDeveloperList = async (req, res, query) => {
+  const { q, skills, match, sort, order, page, limit: pageSize, cursor } = query;
+
+  if (cursor !== undefined && page !== undefined) {
+    return sendValidationError(res, [fieldError('cursor', 'conflicts_with', { other: 'page' })]);
+  }
+
+  const pageNumber = page || 1;
+  const filters = {
+    fields: query.field || null,
+    workTypes: query.workType || null,
+    q: q || null,
+    skillSlugs: skills ? [...new Set(skills.map(slugifySkill))] : [],
+    match,
+    sort,
+    direction: order || (sort === 'createdAt' ? 'desc' : 'asc'),
+    ...getListingVisibility(req.user)
+  };
+
+  let developers;
+  let pagination;
+
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(cursor, sort);
+    if (!decoded) {
+      return sendValidationError(res, [fieldError('cursor', 'invalid_format')]);
+    }
+
+    // One extra row tells whether there is a next page
+    const { total, developers: rows } = await storage.developers.list({ ...filters, limit: pageSize + 1, after: decoded });
+
+    const hasNextPage = rows.length > pageSize;
+    developers = rows.slice(0, pageSize);
+    pagination = {
+      total,
+      limit: pageSize,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(developers[developers.length - 1], sort) : null
+    };
+  } else {
+    const offset = (pageNumber - 1) * pageSize;
+    const { total, developers: rows } = await storage.developers.list({ ...filters, limit: pageSize + 1, offset });
+
+    const hasNextPage = rows.length > pageSize;
+    developers = rows.slice(0, pageSize);
+    pagination = {
+      total,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      hasNextPage,
+      nextPage: hasNextPage ? pageNumber + 1 : null,
+      // Allows switching to cursor pagination from the first page
+      nextCursor: hasNextPage ? encodeCursor(developers[developers.length - 1], sort) : null
+    };
+  }
+
+  res.json({ success: true, data: await presentDevelopers(req.user, developers), pagination });
+};
+
+// Get all developers (public; profiles and contact details follow the privacy policy)
+app.get('/api/developers', identifyUser, publicApiLimit, validate({ query: developerListQuery }), async (req, res) => {
+  try {
+    await sendDeveloperList(req, res, req.query);
+  } catch (error) {
+    console.error('Error fetching developers:', error);
+    res.status(500).json({ success: false, code: 'developers_fetch_failed' });
+  }
+});
+
+// Get single developer (public; profiles and contact details follow the privacy policy)
+app.get('/api/developers/:id', identifyUser, publicApiLimit, redirectLegacyId('developer', findVisibleDeveloper), async (req, res) => {
+  try {
+    const developer = await storage.developers.findById(req.params.id);
+    const [profile] = developer ? await presentDevelopers(req.user, [developer]) : [null];
+
+    // Profiles hidden from the user look like missing ones
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    // Company views feed the developer's analytics
+    if (req.user && req.user.role === 'company') {
+      const today = new Date().toISOString().split('T')[0];
+      await storage.profileViews.record({ companyUserId: req.user.userId, developerId: developer.id, date: today });
+      await publish({ topic: 'profile_viewed', userId: developer.userId, data: { developerId: developer.id, date: today } });
+    }
+
+    res.json({ success: true, data: { ...profile, ...(await loadProfileSections(developer.id)) } });
+  } catch (error) {
+    console.error('Error fetching developer:', error);
+    res.status(500).json({ success: false, code: 'developer_fetch_failed' });
+  }
+});
+
+// Create developer profile (only students)
+app.post('/api/developers', authenticateToken, requireVerifiedEmail, isStudent, validate({ body: developerSchema }), async (req, res) => {
+  try {
+    const { skills = [], ...profile } = req.body;
+    const values = formatDateColumns(profile, ['availableFrom']);
+
+    // Check if user already has a profile. A profile deleted by an admin can only be restored by an admin.
+    const existing = await storage.developers.findByUserId(req.user.userId, { includeDeleted: true });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        code: existing.deletedAt ? 'developer_profile_deleted' : 'developer_profile_exists'
+      });
+    }
+
+    const id = generateId();
+
+    // Insert developer and skills together
+    await storage.transaction(async (tx) => {
+      await tx.developers.create({
+        github: null,
+        linkedin: null,
+        ...values,
+        id,
+        userId: req.user.userId
+      });
+      await tx.skills.setForDeveloper(id, normalizeSkills(skills));
+    });
+
+    // Get created developer
+    const newDeveloper = await storage.developers.findById(id);
+    await notifyMatchingSearches(newDeveloper);
+    await publishNewDeveloper(newDeveloper);
+
+    res.status(201).json({
+      success: true,
+      code: 'profile_created',
+      data: serializeDeveloper(newDeveloper, 'full')
+    });
+  } catch (error) {
+    console.error('Error creating developer:', error);
+    res.status(500).json({
+      success: false,
+      code: 'profile_create_failed'
+    });
+  }
+});
+
+// Load the current student's own developer profile, or send an error response
+const findOwnDeveloper = async (req, res) => {
+  const developer = await storage.developers.findById(req.params.id);
+
+  if (!developer) {
+    res.status(404).json({ success: false, code: 'developer_not_found' });
+    return null;
+  }
+
+  if (developer.userId !== req.user.userId) {
+    res.status(403).json({ success: false, code: 'not_profile_owner' });
+    return null;
+  }
+
+  return developer;
+};
+
+// Update developer profile (only students, own profile)
+app.put('/api/developers/:id', authenticateToken, requireVerifiedEmail, isStudent, validate({ body: partial(developerSchema) }), async (req, res) => {
+  try {
+    const developer = await findOwnDeveloper(req, res);
+    if (!developer) {
+      return;
+    }
+
+    // Only the provided fields are updated; when provided, skills replace the existing skill set
+    const { skills, ...values } = req.body;
+    const updates = formatDateColumns(values, ['availableFrom']);
+
+    if (Object.keys(updates).length === 0 && skills === undefined) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    await storage.transaction(async (tx) => {
+      if (Object.keys(updates).length > 0) {
+        await tx.developers.update(developer.id, updates);
+      }
+      if (skills !== undefined) {
+        await tx.skills.setForDeveloper(developer.id, normalizeSkills(skills));
+      }
+    });
+
+    // Get updated developer
+    const updatedDeveloper = await storage.developers.findById(developer.id);
+
+    res.json({
+      success: true,
+      code: 'profile_updated',
+      data: serializeDeveloper(updatedDeveloper, 'full')
+    });
+  } catch (error) {
+    console.error('Error updating developer:', error);
+    res.status(500).json({
+      success: false,
+      code: 'profile_update_failed'
+    });
+  }
+});
+
+const fieldVisibilityRule = { type: 'string', enum: FIELD_VISIBILITIES };
+
+const privacySchema = {
+  visibility: { type: 'string', enum: PROFILE_VISIBILITIES },
+  fields: {
+    type: 'object',
+    properties: { email: fieldVisibilityRule, github: fieldVisibilityRule, linkedin: fieldVisibilityRule }
+  }
+};
+
+// Update privacy settings of the own profile (only students). Omitted settings are kept.
+app.put('/api/developers/:id/privacy', authenticateToken, isStudent, validate({ body: privacySchema }), async (req, res) => {
+  try {
+    const developer = await findOwnDeveloper(req, res);
+    if (!developer) {
+      return;
+    }
+
+    const { visibility, fields = {} } = req.body;
+    const updates = Object.fromEntries(
+      Object.entries(fields).map(([field, fieldVisibility]) => [`${field}Visibility`, fieldVisibility])
+    );
+    if (visibility) {
+      updates.visibility = visibility;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    await storage.developers.update(developer.id, updates);
+
+    res.json({
+      success: true,
+      code: 'privacy_updated',
+      data: serializeDeveloper(await storage.developers.findById(developer.id), 'full')
+    });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      code: 'privacy_update_failed'
+    });
+  }
+});
+
+// List companies blocked by the own profile (only students)
+app.get('/api/developers/:id/blocked-companies', authenticateToken, isStudent, async (req, res) => {
+  try {
+    const developer = await findOwnDeveloper(req, res);
+    if (!developer) {
+      return;
+    }
+
+    res.json({ success: true, data: await storage.developers.listBlockedCompanies(developer.id) });
+  } catch (error) {
+    console.error('Error fetching blocked companies:', error);
+    res.status(500).json({ success: false, code: 'blocked_companies_fetch_failed' });
+  }
+});
+
+// Block a company: it no longer sees the profile or can contact the developer, and
+// its pending contact request is declined. Blocking is not revealed to the company.
+app.post('/api/developers/:id/blocked-companies', authenticateToken, isStudent, validate({ body: { companyUserId: tokenRule } }), async (req, res) => {
+  try {
+    const developer = await findOwnDeveloper(req, res);
+    if (!developer) {
+      return;
+    }
+
+    const { companyUserId } = req.body;
+    const company = await storage.users.findById(companyUserId);
+
+    if (!company || company.role !== 'company') {
+      return res.status(404).json({
+        success: false,
+        code: 'company_not_found'
+      });
+    }
+
+    await storage.transaction(async (tx) => {
+      await tx.developers.blockCompany(developer.id, companyUserId);
+
+      const request = await tx.contactRequests.findByCompanyAndDeveloper(companyUserId, developer.id);
+      if (request && request.status === 'pending') {
+        await tx.contactRequests.respond(request.id, 'declined');
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      code: 'company_blocked',
+      data: await storage.developers.listBlockedCompanies(developer.id)
+    });
+  } catch (error) {
+    console.error('Error blocking company:', error);
+    res.status(500).json({
+      success: false,
+      code: 'company_block_failed'
+    });
+  }
+});
+
+// Unblock a company (only students, own profile)
+app.delete('/api/developers/:id/blocked-companies/:companyUserId', authenticateToken, isStudent, async (req, res) => {
+  try {
+    const developer = await findOwnDeveloper(req, res);
+    if (!developer) {
+      return;
+    }
+
+    if (!(await storage.developers.unblockCompany(developer.id, req.params.companyUserId))) {
+      return res.status(404).json({
+        success: false,
+        code: 'company_not_blocked'
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 'company_unblocked'
+    });
+  } catch (error) {
+    console.error('Error unblocking company:', error);
+    res.status(500).json({
+      success: false,
+      code: 'company_unblock_failed'
+    });
+  }
+});
+
+// ==================== PROFILE SECTION ROUTES ====================
+
+const sectionDateRule = { type: 'date', nullable: true };
+const sectionDescriptionRule = { type: 'string', nullable: true, maxLength: MAX_SECTION_DESCRIPTION_LENGTH };
+const sectionUrlRule = { type: 'string', nullable: true, maxLength: 500, format: 'url' };
+
+// Structured sections of a developer profile, served under /api/developers/:id/<path>.
+// Entries are listed newest first; an experience entry without endDate is the current position.
+const PROFILE_SECTIONS = {
+  education: {
+    repository: 'developerEducation',
+    schema: {
+      school: { type: 'string', required: true, maxLength: 255 },
+      degree: { type: 'string', nullable: true, maxLength: 255 },
+      fieldOfStudy: { type: 'string', nullable: true, maxLength: 255 },
+      startDate: sectionDateRule,
+      endDate: sectionDateRule,
+      description: sectionDescriptionRule
+    }
+  },
+  experience: {
+    repository: 'developerExperience',
+    schema: {
+      company: { type: 'string', required: true, maxLength: 255 },
+      title: { type: 'string', required: true, maxLength: 255 },
+      location: { type: 'string', nullable: true, maxLength: 255 },
+      startDate: { type: 'date', required: true },
+      endDate: sectionDateRule,
+      description: sectionDescriptionRule
+    }
+  },
+  projects: {
+    repository: 'developerProjects',
+    schema: {
+      name: { type: 'string', required: true, maxLength: 255 },
+      description: sectionDescriptionRule,
+      url: sectionUrlRule,
+      repositoryUrl: sectionUrlRule,
+      startDate: sectionDateRule,
+      endDate: sectionDateRule
+    }
+  }
+};
+
+const SECTION_DATE_COLUMNS = ['startDate', 'endDate'];
+
+// Every section of a profile, e.g. { education: [...], experience: [...], projects: [...] }
+const loadProfileSections = async (developerId) => {
+  const sections = {};
+  for (const [path, { repository }] of Object.entries(PROFILE_SECTIONS)) {
+    sections[path] = await storage[repository].listForDeveloper(developerId);
+  }
+  return sections;
+};
+
+// Dates are YYYY-MM-DD strings, so they compare as text
+const sectionDatesAreValid = (startDate, endDate) => !startDate || !endDate || startDate <= endDate;
+
+const sectionDatesError = () => fieldError('startDate', 'invalid_range', { other: 'endDate' });
+
+// Load an entry of the current student's own profile, or send an error response
+const findOwnSectionEntry = async (req, res, repository) => {
+  const developer = await findOwnDeveloper(req, res);
+  if (!developer) {
+    return null;
+  }
+
+  const entry = await storage[repository].findById(req.params.entryId);
+  if (!entry || entry.developerId !== developer.id) {
+    res.status(404).json({ success: false, code: 'profile_entry_not_found' });
+    return null;
+  }
+  return entry;
+};
+
+for (const [path, { repository, schema }] of Object.entries(PROFILE_SECTIONS)) {
+  // List the entries of a section (public; follows the profile's visibility like GET /api/developers/:id)
+  app.get(`/api/developers/:id/${path}`, identifyUser, publicApiLimit, async (req, res) => {
+    try {
+      const developer = await storage.developers.findById(req.params.id);
+      const [profile] = developer ? await presentDevelopers(req.user, [developer]) : [null];
+
+      if (!profile) {
+        return res.status(404).json({ success: false, code: 'developer_not_found' });
+      }
+
+      res.json({ success: true, data: await storage[repository].listForDeveloper(developer.id) });
+    } catch (error) {
+      console.error('Error fetching profile entries:', error);
+      res.status(500).json({ success: false, code: 'profile_entries_fetch_failed' });
+    }
+  });
+
+  // Add an entry to the own profile (only students)
+  app.post(`/api/developers/:id/${path}`, authenticateToken, requireVerifiedEmail, isStudent, validate({ body: schema }), async (req, res) => {
+    try {
+      const developer = await findOwnDeveloper(req, res);
+      if (!developer) {
+        return;
+      }
+
+      const values = formatDateColumns(req.body, SECTION_DATE_COLUMNS);
+      if (!sectionDatesAreValid(values.startDate, values.endDate)) {
+        return sendValidationError(res, [sectionDatesError()]);
+      }
+
+      if (await storage[repository].countForDeveloper(developer.id) >= MAX_PROFILE_SECTION_ENTRIES) {
+        return res.status(409).json({
+          success: false,
+          code: 'profile_entry_limit_reached',
+          messageParams: { max: MAX_PROFILE_SECTION_ENTRIES }
+        });
+      }
+
+      const id = generateId();
+      await storage[repository].create({ ...values, id, developerId: developer.id });
+
+      res.status(201).json({
+        success: true,
+        code: 'profile_entry_created',
+        data: await storage[repository].findById(id)
+      });
+    } catch (error) {
+      console.error('Error creating profile entry:', error);
+      res.status(500).json({ success: false, code: 'profile_entry_create_failed' });
+    }
+  });
+
+  // Update an entry of the own profile (only students). Omitted fields are kept.
+  app.put(`/api/developers/:id/${path}/:entryId`, authenticateToken, requireVerifiedEmail, isStudent, validate({ body: partial(schema) }), async (req, res) => {
+    try {
+      const entry = await findOwnSectionEntry(req, res, repository);
+      if (!entry) {
+        return;
+      }
+
+      const updates = formatDateColumns(req.body, SECTION_DATE_COLUMNS);
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          code: 'no_fields_to_update'
+        });
+      }
+
+      const { startDate, endDate } = { ...entry, ...updates };
+      if (!sectionDatesAreValid(startDate, endDate)) {
+        return sendValidationError(res, [sectionDatesError()]);
+      }
+
+      await storage[repository].update(entry.id, updates);
+
+      res.json({
+        success: true,
+        code: 'profile_entry_updated',
+        data: await storage[repository].findById(entry.id)
+      });
+    } catch (error) {
+      console.error('Error updating profile entry:', error);
+      res.status(500).json({ success: false, code: 'profile_entry_update_failed' });
+    }
+  });
+
+  // Delete an entry of the own profile (only students)
+  app.delete(`/api/developers/:id/${path}/:entryId`, authenticateToken, requireVerifiedEmail, isStudent, async (req, res) => {
+    try {
+      const entry = await findOwnSectionEntry(req, res, repository);
+      if (!entry) {
+        return;
+      }
+
+      await storage[repository].delete(entry.id);
+
+      res.json({ success: true, code: 'profile_entry_deleted' });
+    } catch (error) {
+      console.error('Error deleting profile entry:', error);
+      res.status(500).json({ success: false, code: 'profile_entry_delete_failed' });
+    }
+  });
+}
+
+// ==================== SKILL ROUTES ====================
+
+const skillListQuery = {
+  q: { type: 'string', maxLength: MAX_SKILL_NAME_LENGTH }
+};
+
+// List skills with usage counts (public, used for autocomplete and filters)
+app.get('/api/skills', identifyUser, publicApiLimit, validate({ query: skillListQuery }), async (req, res) => {
+  try {
+    const skills = await storage.skills.list(req.query.q || null);
+
+    res.json({ success: true, data: skills });
+  } catch (error) {
+    console.error('Error fetching skills:', error);
+    res.status(500).json({ success: false, code: 'skills_fetch_failed' });
+  }
+});
+
+// ==================== CONTACT HELPERS ====================
+
+// Build one quota window. A null limit means unlimited.
+const buildQuotaWindow = (baseLimit, bonus, used) => {
+  if (baseLimit === null) {
+    return { limit: null, baseLimit: null, bonus, used, remaining: null };
+  }
+  const limit = baseLimit + bonus;
+  return { limit, baseLimit, bonus, used, remaining: Math.max(0, limit - used) };
+};
+
+// Single source of truth for a company's contact quota on the given date (YYYY-MM-DD).
+// Usage counts unique developers per day, so each contacts row is one unit.
+// Pass transaction repositories to read consistently with a locked reservation.
+const getContactQuota = async (userId, date, repositories = storage) => {
+  const monthStart = `${date.slice(0, 7)}-01`;
+
+  const planId = (await repositories.plans.findSubscriptionPlanId(userId)) || DEFAULT_PLAN_ID;
+  const plan = await repositories.plans.findById(planId);
+  if (!plan) {
+    throw new Error(`Contact plan not found: ${planId}`);
+  }
+
+  const company = await repositories.companies.findByUserId(userId);
+  const verified = Boolean(company) && company.verificationStatus === 'verified';
+  const capLimit = (limit, cap) => {
+    if (verified) {
+      return limit;
+    }
+    return limit === null ? cap : Math.min(limit, cap);
+  };
+
+  const bonuses = await repositories.plans.sumBonuses(userId, date, monthStart);
+  const usage = await repositories.contacts.countUsage(userId, date, monthStart);
+
+  const daily = buildQuotaWindow(
+    capLimit(plan.dailyContactLimit, UNVERIFIED_COMPANY_LIMITS.daily),
+    bonuses.daily,
+    usage.daily
+  );
+  const monthly = buildQuotaWindow(
+    capLimit(plan.monthlyContactLimit, UNVERIFIED_COMPANY_LIMITS.monthly),
+    bonuses.monthly,
+    usage.monthly
+  );
+  const remainingValues = [daily.remaining, monthly.remaining].filter(value => value !== null);
+
+  return {
+    plan: { id: plan.id, name: plan.name },
+    verified,
+    daily,
+    monthly,
+    remaining: remainingValues.length > 0 ? Math.min(...remainingValues) : null
+  };
+};
+
+// The contact stats of a company (GET /api/contacts/stats and contact_quota_changed events)
+const formatContactStats = (quota) => ({
+  contactsToday: quota.daily.used,
+  remainingContacts: quota.remaining,
+  limit: quota.daily.limit,
+  plan: quota.plan,
+  daily: quota.daily,
+  monthly: quota.monthly
+});
+
+// Push a company's changed quota to its event streams
+const publishContactQuota = (userId, quota) =>
+  publish({ topic: 'contact_quota_changed', userId, data: formatContactStats(quota) });
+
+// Atomically record a contact against the company's quota.
+// Must run inside a transaction; locking the company's user row serializes concurrent reservations.
+// Returns { allowed, quota, exceeded } where exceeded is 'daily' or 'monthly'.
+const reserveContact = async (tx, userId, developerId, date, contactId) => {
+  await tx.users.lock(userId);
+
+  // Contacting the same developer again on the same day does not use quota
+  if (await tx.contacts.findForDay(userId, developerId, date)) {
+    return { allowed: true, quota: await getContactQuota(userId, date, tx) };
+  }
+
+  const quota = await getContactQuota(userId, date, tx);
+  for (const period of QUOTA_PERIODS) {
+    if (quota[period].remaining !== null && quota[period].remaining <= 0) {
+      return { allowed: false, quota, exceeded: period };
+    }
+  }
+
+  await tx.contacts.create({ id: contactId, userId, developerId, date });
+
+  return { allowed: true, quota: await getContactQuota(userId, date, tx) };
+};
+
+// Load a contact request if the user is one of its parties (the company or the developer)
+const findContactRequestForUser = async (requestId, user) => {
+  const request = await storage.contactRequests.findById(requestId);
+  if (!request) {
+    return null;
+  }
+
+  if (request.companyUserId !== user.userId && request.developerUserId !== user.userId) {
+    return null;
+  }
+  return request;
+};
+
+// Shape a contact request for the user. Contact details of both sides are only included once accepted,
+// and the developer's only as far as their privacy settings allow.
+const serializeContactRequest = (request, user) => {
+  const accepted = request.status === 'accepted';
+  // Developer details follow the privacy policy; blocking a company takes back its access
+  let developerAccess = 'public';
+  if (request.developerUserId === user.userId) {
+    developerAccess = 'full';
+  } else if (accepted && !request.companyBlocked) {
+    developerAccess = 'contact';
+  }
+  const developerField = (value, fieldVisibility) =>
+    (isContactFieldVisible(fieldVisibility, developerAccess) ? value : undefined);
+
+  return {
+    id: request.id,
+    status: request.status,
+    createdAt: request.createdAt,
+    updatedAt: request.updatedAt,
+    respondedAt: request.respondedAt,
+    company: {
+      userId: request.companyUserId,
+      name: request.companyName,
+      legalName: request.companyLegalName,
+      website: request.companyWebsite,
+      sector: request.companySector,
+      logoUrl: request.companyLogoUrl,
+      verified: request.companyVerificationStatus === 'verified',
+      email: accepted ? request.companyEmail : undefined
+    },
+    developer: {
+      id: request.developerId,
+      firstName: request.firstName,
+      lastName: request.lastName,
+      email: developerField(request.developerEmail, request.emailVisibility),
+      github: developerField(request.github, request.githubVisibility),
+      linkedin: developerField(request.linkedin, request.linkedinVisibility)
+    },
+    unreadCount: request.unreadCount
+  };
+};
+
+// ==================== CONTACT ROUTES ====================
+
+// The message is only required for new requests: accepted requests can be reopened without one
+const contactSchema = {
+  message: { type: 'string', maxLength: MAX_CONTACT_MESSAGE_LENGTH }
+};
+
+// Send a contact request to a developer (companies only, with daily rate limit).
+// Contact details are only released after the developer accepts the request.
+app.post('/api/developers/:id/contact', authenticateToken, requireVerifiedEmail, validate({ body: contactSchema }), async (req, res) => {
+  try {
+    // Get developer
+    const developer = await storage.developers.findById(req.params.id);
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    // Can't contact your own profile through this endpoint
+    if (developer.userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        code: 'cannot_view_own_profile'
+      });
+    }
+
+    // Students cannot view other students' profiles
+    if (req.user.role === 'student') {
+      return res.status(403).json({
+        success: false,
+        code: 'students_cannot_view_students'
+      });
+    }
+
+    // Admins see the full profile without sending a request
+    if (req.user.role === 'admin') {
+      await recordAudit(req, {
+        action: 'contact.reveal',
+        targetType: 'developer',
+        targetId: developer.id,
+        metadata: { via: 'admin' }
+      });
+      return res.json({
+        success: true,
+        code: 'profile_retrieved',
+        developer: serializeDeveloper(developer, 'full'),
+        remainingContacts: null
+      });
+    }
+
+    // Hidden and blocking profiles cannot be contacted
+    const [profile] = await presentDevelopers(req.user, [developer]);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    // Companies need a profile; rejected companies cannot contact developers
+    const company = await storage.companies.findByUserId(req.user.userId);
+
+    if (!company) {
+      return res.status(403).json({
+        success: false,
+        code: 'company_profile_required'
+      });
+    }
+
+    if (company.verificationStatus === 'rejected') {
+      return res.status(403).json({
+        success: false,
+        code: 'company_rejected'
+      });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+
+    const existingRequest = await storage.contactRequests.findByCompanyAndDeveloper(req.user.userId, developer.id);
+
+    // An accepted request releases contact details without using the daily limit again
+    if (existingRequest) {
+      if (existingRequest.status !== 'accepted') {
+        return res.status(409).json({
+          success: false,
+          code: 'contact_request_exists',
+          contactRequestId: existingRequest.id
+        });
+      }
+
+      await recordAudit(req, {
+        action: 'contact.reveal',
+        targetType: 'developer',
+        targetId: developer.id,
+        metadata: { via: 'accepted_contact_request', requestId: existingRequest.id }
+      });
+
+      return res.json({
+        success: true,
+        code: 'profile_retrieved',
+        developer: profile,
+        contactRequest: existingRequest,
+        remainingContacts: (await getContactQuota(req.user.userId, today)).remaining
+      });
+    }
+
+    const { message } = req.body;
+    if (!message) {
+      return sendValidationError(res, [fieldError('message', 'required')]);
+    }
+
+    const requestId = generateId();
+
+    const reservation = await storage.transaction(async (tx) => {
+      // The contacts row keeps quota accounting in one place
+      const result = await reserveContact(tx, req.user.userId, developer.id, today, requestId);
+      if (result.allowed) {
+        await tx.contactRequests.create({ id: requestId, companyUserId: req.user.userId, developerId: developer.id });
+        await tx.contactRequests.addMessage({ requestId, senderUserId: req.user.userId, body: message });
+      }
+      return result;
+    });
+
+    if (!reservation.allowed) {
+      return res.status(429).json({
+        success: false,
+        code: reservation.exceeded === 'monthly' ? 'monthly_limit_reached' : 'daily_limit_reached'
+      });
+    }
+
+    await notify(developer.userId, 'contact_request', {
+      requestId,
+      companyUserId: req.user.userId,
+      companyName: company.legalName
+    });
+    await publishContactQuota(req.user.userId, reservation.quota);
+
+    res.status(201).json({
+      success: true,
+      code: 'contact_request_sent',
+      developer: profile,
+      contactRequest: { id: requestId, status: 'pending' },
+      remainingContacts: reservation.quota.remaining
+    });
+  } catch (error) {
+    // Two concurrent requests for the same developer
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'contact_request_exists'
+      });
+    }
+    console.error('Error contacting developer:', error);
+    res.status(500).json({
+      success: false,
+      code: 'contact_failed'
+    });
+  }
+});
+
+// Get contact stats for current user (companies only)
+app.get('/api/contacts/stats', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const quota = await getContactQuota(req.user.userId, today);
+
+    res.json({
+      success: true,
+      stats: formatContactStats(quota)
+    });
+  } catch (error) {
+    console.error('Error fetching contact stats:', error);
+    res.status(500).json({
+      success: false,
+      code: 'stats_fetch_failed'
+    });
+  }
+});
+
+// ==================== DATE RANGE HELPERS ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Validated dates of DATE columns as YYYY-MM-DD; null and missing values are kept
+const formatDateColumns = (values, columns) => ({
+  ...values,
+  ...Object.fromEntries(columns.filter(column => values[column]).map(column => [column, toDateString(values[column])]))
+});
+
+// First day of the period a YYYY-MM-DD date belongs to (weeks start on Monday)
+const getPeriodStart = (date, granularity) => {
+  if (granularity === 'day') {
+    return date;
+  }
+  if (granularity === 'month') {
+    return `${date.slice(0, 7)}-01`;
+  }
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return toDateString(day);
+};
+
+// Every period from `from` to `to`, so periods without activity are reported with zero counts
+const listPeriods = (from, to, granularity) => {
+  const periods = [];
+  for (let day = new Date(`${from}T00:00:00Z`); toDateString(day) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    const period = getPeriodStart(toDateString(day), granularity);
+    if (periods[periods.length - 1] !== period) {
+      periods.push(period);
+    }
+  }
+  return periods;
+};
+
+// Validated `from`/`to` query dates as YYYY-MM-DD strings. `to` defaults to today and `from` to
+// `defaultDays` days up to `to`. Returns { from, to }, or { errors } when the range is invalid.
+const resolveDateRange = (query, { defaultDays, maxDays }) => {
+  const to = toDateString(query.to || new Date());
+  const from = query.from
+    ? toDateString(query.from)
+    : toDateString(new Date(Date.parse(to) - (defaultDays - 1) * DAY_MS));
+
+  if (from > to) {
+    return { errors: [fieldError('from', 'invalid_range', { other: 'to' })] };
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > maxDays) {
+    return { errors: [fieldError('from', 'range_too_long', { other: 'to', max: maxDays })] };
+  }
+  return { from, to };
+};
+
+// ==================== PROFILE ANALYTICS ROUTES ====================
+
+// Aggregate profile view rows (profileViews.listForDeveloper) and contacts of a developer.
+// Only verified companies are named: other company profiles are not public (see GET /api/companies/:userId),
+// so they are counted in `otherCompanies` and in the null sector.
+const buildProfileAnalytics = ({ views, contacts, from, to, granularity }) => {
+  const series = new Map(listPeriods(from, to, granularity).map(period => [
+    period,
+    { period, views: 0, companyIds: new Set(), contacts: 0 }
+  ]));
+  const companies = new Map();
+
+  for (const view of views) {
+    const entry = series.get(getPeriodStart(view.date, granularity));
+    entry.views += view.views;
+    entry.companyIds.add(view.companyUserId);
+
+    const company = companies.get(view.companyUserId) || {
+      userId: view.companyUserId,
+      verified: view.companyVerificationStatus === 'verified',
+      name: view.companyName,
+      legalName: view.companyLegalName,
+      sector: view.companySector,
+      logoUrl: view.companyLogoUrl,
+      views: 0,
+      lastViewedAt: view.lastViewedAt
+    };
+    company.views += view.views;
+    if (new Date(view.lastViewedAt) > new Date(company.lastViewedAt)) {
+      company.lastViewedAt = view.lastViewedAt;
+    }
+    companies.set(view.companyUserId, company);
+  }
+
+  for (const contact of contacts) {
+    series.get(getPeriodStart(contact.date, granularity)).contacts += 1;
+  }
+
+  const namedCompanies = [];
+  const otherCompanies = { companies: 0, views: 0 };
+  const sectors = new Map();
+
+  for (const { verified, ...company } of companies.values()) {
+    if (verified) {
+      namedCompanies.push(company);
+    } else {
+      otherCompanies.companies += 1;
+      otherCompanies.views += company.views;
+    }
+
+    const sector = verified ? company.sector : null;
+    const sectorEntry = sectors.get(sector) || { sector, companies: 0, views: 0 };
+    sectorEntry.companies += 1;
+    sectorEntry.views += company.views;
+    sectors.set(sector, sectorEntry);
+  }
+
+  const byViews = (a, b) => b.views - a.views;
+
+  return {
+    from,
+    to,
+    granularity,
+    totals: {
+      views: views.reduce((sum, view) => sum + view.views, 0),
+      companies: companies.size,
+      contacts: contacts.length
+    },
+    series: [...series.values()].map(({ companyIds, ...entry }) => ({ ...entry, companies: companyIds.size })),
+    companies: namedCompanies.sort(byViews),
+    otherCompanies,
+    sectors: [...sectors.values()].sort(byViews)
+  };
+};
+
+const analyticsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  granularity: { type: 'string', enum: ANALYTICS_GRANULARITIES, default: 'day' }
+};
+
+// Profile views and contacts over time for the own profile (only students)
+app.get('/api/developers/:id/analytics', authenticateToken, isStudent, validate({ query: analyticsQuery }), async (req, res) => {
+  try {
+    const developer = await findOwnDeveloper(req, res);
+    if (!developer) {
+      return;
+    }
+
+    const { granularity } = req.query;
+    const { from, to, errors } = resolveDateRange(req.query, {
+      defaultDays: DEFAULT_ANALYTICS_DAYS,
+      maxDays: MAX_ANALYTICS_DAYS
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const views = await storage.profileViews.listForDeveloper(developer.id, from, to);
+    const contacts = await storage.contacts.listForDeveloper(developer.id, from, to);
+
+    res.json({
+      success: true,
+      data: buildProfileAnalytics({ views, contacts, from, to, granularity })
+    });
+  } catch (error) {
+    console.error('Error fetching profile analytics:', error);
+    res.status(500).json({ success: false, code: 'analytics_fetch_failed' });
+  }
+});
+
+// Developers the company viewed, most recent first (companies only).
+// Profiles hidden from the company since then are returned as null.
+app.get('/api/contacts/history', authenticateToken, isCompany, validate({ query: paginationQuery }), async (req, res) => {
+  try {
+    const { page: pageNumber = 1, limit: pageSize } = req.query;
+    const offset = (pageNumber - 1) * pageSize;
+
+    const { total, views } = await storage.profileViews.listForCompany(req.user.userId, { limit: pageSize, offset });
+
+    const developers = await storage.developers.findByIds(views.map(view => view.developerId));
+    const profiles = await presentDevelopers(req.user, developers);
+    const profilesById = new Map(developers.map((dev, index) => [dev.id, profiles[index]]));
+
+    res.json({
+      success: true,
+      data: views.map(({ developerId, ...view }) => ({
+        ...view,
+        developer: profilesById.get(developerId) || null
+      })),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasNextPage: offset + views.length < total,
+        nextPage: offset + views.length < total ? pageNumber + 1 : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching view history:', error);
+    res.status(500).json({ success: false, code: 'view_history_fetch_failed' });
+  }
+});
+
+// ==================== CONTACT REQUEST ROUTES ====================
+
+const contactRequestListQuery = {
+  status: { type: 'string', enum: CONTACT_REQUEST_STATUSES }
+};
+
+// List contact requests: incoming for students, outgoing for companies
+app.get('/api/contact-requests', authenticateToken, validate({ query: contactRequestListQuery }), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const requests = await storage.contactRequests.listForUser(req.user.userId, {
+      asCompany: req.user.role === 'company',
+      status
+    });
+
+    res.json({
+      success: true,
+      data: requests.map(request => serializeContactRequest(request, req.user))
+    });
+  } catch (error) {
+    console.error('Error fetching contact requests:', error);
+    res.status(500).json({
+      success: false,
+      code: 'contact_requests_fetch_failed'
+    });
+  }
+});
+
+// Get a contact request with its message thread
+app.get('/api/contact-requests/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await findContactRequestForUser(req.params.id, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        code: 'contact_request_not_found'
+      });
+    }
+
+    const messages = await storage.contactRequests.listMessages(request.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...serializeContactRequest(request, req.user),
+        messages: messages.map(message => ({ ...message, mine: message.senderUserId === req.user.userId }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching contact request:', error);
+    res.status(500).json({
+      success: false,
+      code: 'contact_request_fetch_failed'
+    });
+  }
+});
+
+// Accept or decline a pending contact request (the developer only)
+const respondToContactRequest = (status) => async (req, res) => {
+  try {
+    const request = await findContactRequestForUser(req.params.id, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        code: 'contact_request_not_found'
+      });
+    }
+
+    if (request.developerUserId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        code: 'not_request_recipient'
+      });
+    }
+
+    if (!(await storage.contactRequests.respond(request.id, status))) {
+      return res.status(409).json({
+        success: false,
+        code: 'request_already_answered'
+      });
+    }
+
+    const updated = await findContactRequestForUser(request.id, req.user);
+
+    await notify(request.companyUserId, 'contact_request_response', {
+      requestId: request.id,
+      developerId: request.developerId,
+      developerName: `${request.firstName} ${request.lastName}`,
+      status
+    });
+
+    // Accepting releases the developer's contact details to the company
+    if (status === 'accepted') {
+      await recordAudit(req, {
+        action: 'contact.reveal',
+        targetType: 'developer',
+        targetId: request.developerId,
+        metadata: { via: 'contact_request', requestId: request.id, companyUserId: request.companyUserId }
+      });
+    }
+
+    res.json({
+      success: true,
+      code: status === 'accepted' ? 'contact_request_accepted' : 'contact_request_declined',
+      data: serializeContactRequest(updated, req.user)
+    });
+  } catch (error) {
+    console.error('Error responding to contact request:', error);
+    res.status(500).json({
+      success: false,
+      code: 'contact_request_respond_failed'
+    });
+  }
+};
+
+app.post('/api/contact-requests/:id/accept', authenticateToken, isStudent, respondToContactRequest('accepted'));
+app.post('/api/contact-requests/:id/decline', authenticateToken, isStudent, respondToContactRequest('declined'));
+
+const contactMessageSchema = {
+  body: { type: 'string', required: true, maxLength: MAX_CONTACT_MESSAGE_LENGTH }
+};
+
+// Send a message in an accepted contact request
+app.post('/api/contact-requests/:id/messages', authenticateToken, validate({ body: contactMessageSchema }), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const request = await findContactRequestForUser(req.params.id, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        code: 'contact_request_not_found'
+      });
+    }
+
+    // Blocked companies can no longer write, without being told about the block
+    if (request.status !== 'accepted' || request.companyBlocked) {
+      return res.status(409).json({
+        success: false,
+        code: 'request_not_accepted'
+      });
+    }
+
+    const message = await storage.contactRequests.addMessage({ requestId: request.id, senderUserId: req.user.userId, body });
+    // Keeps the conversation at the top of both inboxes
+    await storage.contactRequests.touch(request.id);
+
+    res.status(201).json({
+      success: true,
+      code: 'message_sent',
+      data: { ...message, mine: true }
+    });
+  } catch (error) {
+    console.error('Error sending contact message:', error);
+    res.status(500).json({
+      success: false,
+      code: 'message_send_failed'
+    });
+  }
+});
+
+// Mark all messages from the other party as read
+app.post('/api/contact-requests/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const request = await findContactRequestForUser(req.params.id, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        code: 'contact_request_not_found'
+      });
+    }
+
+    const markedAsRead = await storage.contactRequests.markRead(request.id, req.user.userId);
+
+    res.json({
+      success: true,
+      code: 'messages_marked_read',
+      markedAsRead
+    });
+  } catch (error) {
+    console.error('Error marking messages as read:', error);
+    res.status(500).json({
+      success: false,
+      code: 'messages_update_failed'
+    });
+  }
+});
+
+// ==================== COMPANY ROUTES ====================
+
+const companySchema = {
+  legalName: { type: 'string', required: true, maxLength: 255 },
+  website: { type: 'string', nullable: true, maxLength: 500, format: 'url' },
+  size: { type: 'string', nullable: true, enum: VALID_COMPANY_SIZES },
+  sector: { type: 'string', nullable: true, maxLength: 100 },
+  location: { type: 'string', nullable: true, maxLength: 255 },
+  logoUrl: { type: 'string', nullable: true, maxLength: 500, format: 'url' }
+};
+
+// Get own company profile (company only)
+app.get('/api/companies/me', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const company = await storage.companies.findByUserId(req.user.userId);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        code: 'company_profile_not_found'
+      });
+    }
+
+    res.json({ success: true, data: company });
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({ success: false, code: 'company_profile_fetch_failed' });
+  }
+});
+
+// Create company profile (company only). New profiles wait in the admin verification queue.
+app.post('/api/companies', authenticateToken, requireVerifiedEmail, isCompany, validate({ body: companySchema }), async (req, res) => {
+  try {
+    const values = req.body;
+
+    if (await storage.companies.findByUserId(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        code: 'company_profile_exists'
+      });
+    }
+
+    await storage.companies.create(req.user.userId, values);
+
+    res.status(201).json({
+      success: true,
+      code: 'company_profile_created',
+      data: await storage.companies.findByUserId(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error creating company:', error);
+    res.status(500).json({
+      success: false,
+      code: 'company_profile_create_failed'
+    });
+  }
+});
+
+// Update own company profile (company only).
+// Changing the legal name or website of a verified company sends it back to the verification queue.
+app.put('/api/companies/me', authenticateToken, requireVerifiedEmail, isCompany, validate({ body: partial(companySchema) }), async (req, res) => {
+  try {
+    const company = await storage.companies.findByUserId(req.user.userId);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        code: 'company_profile_not_found'
+      });
+    }
+
+    const values = req.body;
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    const identityChanged = (values.legalName !== undefined && values.legalName !== company.legalName) ||
+      (values.website !== undefined && values.website !== company.website);
+
+    await storage.companies.update(req.user.userId, values, {
+      resetVerification: identityChanged && company.verificationStatus !== 'pending'
+    });
+
+    res.json({
+      success: true,
+      code: 'company_profile_updated',
+      data: await storage.companies.findByUserId(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error updating company:', error);
+    res.status(500).json({
+      success: false,
+      code: 'company_profile_update_failed'
+    });
+  }
+});
+
+// Delete own company profile (company only)
+app.delete('/api/companies/me', authenticateToken, isCompany, async (req, res) => {
+  try {
+    if ((await storage.companies.delete(req.user.userId)) === 0) {
+      return res.status(404).json({
+        success: false,
+        code: 'company_profile_not_found'
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 'company_profile_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting company:', error);
+    res.status(500).json({
+      success: false,
+      code: 'company_profile_delete_failed'
+    });
+  }
+});
+
+// Get a company profile (verified companies are visible to all logged in users)
+app.get('/api/companies/:userId', authenticateToken, publicApiLimit, async (req, res) => {
+  try {
+    const company = await storage.companies.findProfile(req.params.userId);
+    const canSeeUnverified = req.user.role === 'admin' || req.user.userId === req.params.userId;
+    if (!company || (company.verificationStatus !== 'verified' && !canSeeUnverified)) {
+      return res.status(404).json({
+        success: false,
+        code: 'company_profile_not_found'
+      });
+    }
+
+    res.json({ success: true, data: company });
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({ success: false, code: 'company_profile_fetch_failed' });
+  }
+});
+
+// ==================== SHORTLIST ROUTES ====================
+
+// Shortlists, notes and saved searches are private to the company that created them; other
+// companies' records look like missing ones. None of them reveal contact details beyond the
+// privacy policy or count towards contact quotas or profile views.
+
+const workspaceNameRule = { type: 'string', required: true, maxLength: MAX_WORKSPACE_NAME_LENGTH };
+
+const findOwnShortlist = async (req, res) => {
+  const shortlist = await storage.shortlists.findById(req.params.id);
+
+  if (!shortlist || shortlist.companyUserId !== req.user.userId) {
+    res.status(404).json({ success: false, code: 'shortlist_not_found' });
+    return null;
+  }
+
+  return shortlist;
+};
+
+// Shortlisted developers visible to the company, most recently added first, with the company's notes
+const presentShortlist = async (shortlist, user) => {
+  const entries = await storage.shortlists.listEntries(shortlist.id);
+  const developerIds = entries.map(entry => entry.developerId);
+  const developersById = new Map((await storage.developers.findByIds(developerIds)).map(dev => [dev.id, dev]));
+  const developers = entries.map(entry => developersById.get(entry.developerId)).filter(Boolean);
+
+  const profiles = await presentDevelopers(user, developers);
+  const notes = await storage.developerNotes.findForDevelopers(user.userId, developerIds);
+  const notesById = new Map(notes.map(note => [note.developerId, note.note]));
+  const addedAtById = new Map(entries.map(entry => [entry.developerId, entry.addedAt]));
+
+  return {
+    ...shortlist,
+    developers: profiles.filter(Boolean).map(profile => ({
+      ...profile,
+      shortlistedAt: addedAtById.get(profile.id),
+      note: notesById.get(profile.id) || null
+    }))
+  };
+};
+
+// List own shortlists with developer counts (company only)
+app.get('/api/shortlists', authenticateToken, isCompany, async (req, res) => {
+  try {
+    res.json({ success: true, data: await storage.shortlists.listForCompany(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching shortlists:', error);
+    res.status(500).json({ success: false, code: 'shortlists_fetch_failed' });
+  }
+});
+
+// Create a shortlist (company only)
+app.post('/api/shortlists', authenticateToken, isCompany, validate({ body: { name: workspaceNameRule } }), async (req, res) => {
+  try {
+    if (await storage.shortlists.countForCompany(req.user.userId) >= MAX_SHORTLISTS_PER_COMPANY) {
+      return res.status(409).json({
+        success: false,
+        code: 'shortlist_limit_reached',
+        messageParams: { max: MAX_SHORTLISTS_PER_COMPANY }
+      });
+    }
+
+    const id = generateId();
+    await storage.shortlists.create({ id, companyUserId: req.user.userId, name: req.body.name });
+
+    res.status(201).json({
+      success: true,
+      code: 'shortlist_created',
+      data: await presentShortlist(await storage.shortlists.findById(id), req.user)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'shortlist_name_taken'
+      });
+    }
+    console.error('Error creating shortlist:', error);
+    res.status(500).json({
+      success: false,
+      code: 'shortlist_create_failed'
+    });
+  }
+});
+
+// Get a shortlist with its developers (company only, own shortlists)
+app.get('/api/shortlists/:id', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req, res);
+    if (!shortlist) {
+      return;
+    }
+
+    res.json({ success: true, data: await presentShortlist(shortlist, req.user) });
+  } catch (error) {
+    console.error('Error fetching shortlist:', error);
+    res.status(500).json({ success: false, code: 'shortlist_fetch_failed' });
+  }
+});
+
+// Rename a shortlist (company only, own shortlists)
+app.put('/api/shortlists/:id', authenticateToken, isCompany, validate({ body: { name: workspaceNameRule } }), async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req, res);
+    if (!shortlist) {
+      return;
+    }
+
+    await storage.shortlists.rename(shortlist.id, req.body.name);
+
+    res.json({
+      success: true,
+      code: 'shortlist_updated',
+      data: await presentShortlist(await storage.shortlists.findById(shortlist.id), req.user)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'shortlist_name_taken'
+      });
+    }
+    console.error('Error updating shortlist:', error);
+    res.status(500).json({
+      success: false,
+      code: 'shortlist_update_failed'
+    });
+  }
+});
+
+// Delete a shortlist (company only, own shortlists; notes are kept)
+app.delete('/api/shortlists/:id', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req, res);
+    if (!shortlist) {
+      return;
+    }
+
+    await storage.shortlists.delete(shortlist.id);
+
+    res.json({
+      success: true,
+      code: 'shortlist_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting shortlist:', error);
+    res.status(500).json({
+      success: false,
+      code: 'shortlist_delete_failed'
+    });
+  }
+});
+
+// Add a developer visible to the company to a shortlist (company only, own shortlists)
+app.post('/api/shortlists/:id/developers', authenticateToken, isCompany, validate({ body: { developerId: tokenRule } }), async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req, res);
+    if (!shortlist) {
+      return;
+    }
+
+    const developer = await findVisibleDeveloper(req.body.developerId, req.user);
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    if (await storage.shortlists.countEntries(shortlist.id) >= MAX_SHORTLIST_SIZE) {
+      return res.status(409).json({
+        success: false,
+        code: 'shortlist_full',
+        messageParams: { max: MAX_SHORTLIST_SIZE }
+      });
+    }
+
+    if (!(await storage.shortlists.addDeveloper(shortlist.id, developer.id))) {
+      return res.status(409).json({
+        success: false,
+        code: 'developer_already_shortlisted'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      code: 'developer_shortlisted',
+      data: await presentShortlist(shortlist, req.user)
+    });
+  } catch (error) {
+    console.error('Error adding developer to shortlist:', error);
+    res.status(500).json({
+      success: false,
+      code: 'shortlist_update_failed'
+    });
+  }
+});
+
+// Remove a developer from a shortlist (company only, own shortlists)
+app.delete('/api/shortlists/:id/developers/:developerId', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req, res);
+    if (!shortlist) {
+      return;
+    }
+
+    if (!(await storage.shortlists.removeDeveloper(shortlist.id, req.params.developerId))) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_shortlisted'
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 'developer_unshortlisted'
+    });
+  } catch (error) {
+    console.error('Error removing developer from shortlist:', error);
+    res.status(500).json({
+      success: false,
+      code: 'shortlist_update_failed'
+    });
+  }
+});
+
+// ==================== DEVELOPER NOTE ROUTES ====================
+
+// Get the company's note on a developer (null when there is none)
+app.get('/api/developers/:id/note', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const developer = await findVisibleDeveloper(req.params.id, req.user);
+    if (!developer) {
+      return res.status(404).json({ success: false, code: 'developer_not_found' });
+    }
+
+    res.json({ success: true, data: await storage.developerNotes.find(req.user.userId, developer.id) });
+  } catch (error) {
+    console.error('Error fetching developer note:', error);
+    res.status(500).json({ success: false, code: 'developer_note_fetch_failed' });
+  }
+});
+
+// Create or replace the company's note on a developer (company only)
+app.put('/api/developers/:id/note', authenticateToken, isCompany, validate({
+  body: { note: { type: 'string', required: true, maxLength: MAX_DEVELOPER_NOTE_LENGTH } }
+}), async (req, res) => {
+  try {
+    const developer = await findVisibleDeveloper(req.params.id, req.user);
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    await storage.developerNotes.save(req.user.userId, developer.id, req.body.note);
+
+    res.json({
+      success: true,
+      code: 'developer_note_saved',
+      data: await storage.developerNotes.find(req.user.userId, developer.id)
+    });
+  } catch (error) {
+    console.error('Error saving developer note:', error);
+    res.status(500).json({
+      success: false,
+      code: 'developer_note_save_failed'
+    });
+  }
+});
+
+// Delete the company's note on a developer (company only)
+app.delete('/api/developers/:id/note', authenticateToken, isCompany, async (req, res) => {
+  try {
+    if (!(await storage.developerNotes.delete(req.user.userId, req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_note_not_found'
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 'developer_note_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting developer note:', error);
+    res.status(500).json({
+      success: false,
+      code: 'developer_note_delete_failed'
+    });
+  }
+});
+
+// ==================== SAVED SEARCH ROUTES ====================
+
+// Filters are the GET /api/developers filters and sorting, stored validated (defaults applied)
+const savedSearchSchema = {
+  name: workspaceNameRule,
+  filters: { type: 'object', required: true, properties: developerFilterQuery }
+};
+
+const findOwnSavedSearch = async (req, res) => {
+  const search = await storage.savedSearches.findById(req.params.id);
+
+  if (!search || search.companyUserId !== req.user.userId) {
+    res.status(404).json({ success: false, code: 'saved_search_not_found' });
+    return null;
+  }
+
+  return search;
+};
+
+// List own saved searches (company only)
+app.get('/api/saved-searches', authenticateToken, isCompany, async (req, res) => {
+  try {
+    res.json({ success: true, data: await storage.savedSearches.listForCompany(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ success: false, code: 'saved_searches_fetch_failed' });
+  }
+});
+
+// Save a developer search (company only)
+app.post('/api/saved-searches', authenticateToken, isCompany, validate({ body: savedSearchSchema }), async (req, res) => {
+  try {
+    if (await storage.savedSearches.countForCompany(req.user.userId) >= MAX_SAVED_SEARCHES_PER_COMPANY) {
+      return res.status(409).json({
+        success: false,
+        code: 'saved_search_limit_reached',
+        messageParams: { max: MAX_SAVED_SEARCHES_PER_COMPANY }
+      });
+    }
+
+    const id = generateId();
+    await storage.savedSearches.create({ id, companyUserId: req.user.userId, ...req.body });
+
+    res.status(201).json({
+      success: true,
+      code: 'saved_search_created',
+      data: await storage.savedSearches.findById(id)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'saved_search_name_taken'
+      });
+    }
+    console.error('Error creating saved search:', error);
+    res.status(500).json({
+      success: false,
+      code: 'saved_search_create_failed'
+    });
+  }
+});
+
+// Rename a saved search or replace its filters (company only, own searches)
+app.put('/api/saved-searches/:id', authenticateToken, isCompany, validate({ body: partial(savedSearchSchema) }), async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) {
+      return;
+    }
+
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    await storage.savedSearches.update(search.id, req.body);
+
+    res.json({
+      success: true,
+      code: 'saved_search_updated',
+      data: await storage.savedSearches.findById(search.id)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'saved_search_name_taken'
+      });
+    }
+    console.error('Error updating saved search:', error);
+    res.status(500).json({
+      success: false,
+      code: 'saved_search_update_failed'
+    });
+  }
+});
+
+// Delete a saved search (company only, own searches)
+app.delete('/api/saved-searches/:id', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) {
+      return;
+    }
+
+    await storage.savedSearches.delete(search.id);
+
+    res.json({
+      success: true,
+      code: 'saved_search_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      success: false,
+      code: 'saved_search_delete_failed'
+    });
+  }
+});
+
+// Run a saved search: same response as GET /api/developers with the saved filters,
+// paginated with page/limit or cursor/limit (company only, own searches)
+app.get('/api/saved-searches/:id/developers', authenticateToken, isCompany, validate({ query: developerPageQuery }), async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) {
+      return;
+    }
+
+    await storage.savedSearches.markRun(search.id);
+    await sendDeveloperList(req, res, { ...search.filters, ...req.query });
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({ success: false, code: 'developers_fetch_failed' });
+  }
+});
+
+// ==================== JOB ROUTES ====================
+
+// Nest the company fields of a job posting row
+const serializeJob = ({ companyName, companyLegalName, companyLogoUrl, isActive, ...job }) => ({
+  ...job,
+  isActive: Boolean(isActive),
+  company: {
+    userId: job.companyUserId,
+    name: companyName,
+    legalName: companyLegalName,
+    logoUrl: companyLogoUrl
+  }
+});
+
+const jobSchema = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', required: true, maxLength: MAX_JOB_DESCRIPTION_LENGTH },
+  field: { type: 'string', required: true, enum: VALID_FIELDS },
+  workType: { type: 'string', required: true, enum: VALID_WORK_TYPES },
+  location: { type: 'string', nullable: true, maxLength: 255 },
+  salaryMin: { type: 'integer', nullable: true, min: 0 },
+  salaryMax: { type: 'integer', nullable: true, min: 0 },
+  salaryCurrency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+  expiresAt: { type: 'date', nullable: true, future: true }
+};
+
+// Updates may also open or close the posting
+const jobUpdateSchema = {
+  ...partial(jobSchema),
+  status: { type: 'string', enum: JOB_STATUSES }
+};
+
+const jobListQuery = {
+  field: { type: 'list', enum: VALID_FIELDS },
+  workType: { type: 'list', enum: VALID_WORK_TYPES },
+  q: { type: 'string', maxLength: 255 },
+  location: { type: 'string', maxLength: 255 },
+  company: { type: 'string', maxLength: 255 },
+  minSalary: { type: 'integer', min: 0 },
+  ...paginationQuery
+};
+
+const salaryRangeIsValid = (salaryMin, salaryMax) =>
+  salaryMin === null || salaryMin === undefined || salaryMax === null || salaryMax === undefined || salaryMin <= salaryMax;
+
+const salaryRangeError = () => fieldError('salaryMin', 'invalid_range', { other: 'salaryMax' });
+
+// Load a job posting owned by the current company, or send an error response
+const findOwnJob = async (req, res) => {
+  const job = await storage.jobs.findById(req.params.id);
+
+  if (!job) {
+    res.status(404).json({ success: false, code: 'job_not_found' });
+    return null;
+  }
+
+  if (job.companyUserId !== req.user.userId) {
+    res.status(403).json({ success: false, code: 'not_job_owner' });
+    return null;
+  }
+
+  return job;
+};
+
+// List active job postings (public)
+// Supports filtering (field, workType, q, location, company, minSalary) and page based pagination.
+app.get('/api/jobs', identifyUser, publicApiLimit, validate({ query: jobListQuery }), async (req, res) => {
+  try {
+    const { page: pageNumber = 1, limit: pageSize } = req.query;
+
+    const filters = {
+      fields: req.query.field || null,
+      workTypes: req.query.workType || null,
+      q: req.query.q || null,
+      location: req.query.location || null,
+      companyUserId: req.query.company || null,
+      minSalary: req.query.minSalary
+    };
+
+    const offset = (pageNumber - 1) * pageSize;
+    const { total, jobs } = await storage.jobs.listActive(filters, { limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: jobs.map(serializeJob),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasNextPage: offset + jobs.length < total,
+        nextPage: offset + jobs.length < total ? pageNumber + 1 : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, code: 'jobs_fetch_failed' });
+  }
+});
+
+// List own job postings including closed/expired ones, with application counts (company only)
+app.get('/api/jobs/mine', authenticateToken, isCompany, async (req, res) => {
+  try {
+    const jobs = await storage.jobs.listForCompany(req.user.userId);
+
+    res.json({ success: true, data: jobs.map(serializeJob) });
+  } catch (error) {
+    console.error('Error fetching own jobs:', error);
+    res.status(500).json({ success: false, code: 'jobs_fetch_failed' });
+  }
+});
+
+// The job posting with the given ID, or null when it is missing or inactive and the user is not
+// the owning company or an admin (inactive postings look like missing ones, as they are left
+// out of listings)
+const findVisibleJob = async (jobId, user) => {
+  const job = await storage.jobs.findById(jobId);
+  const isOwnerOrAdmin = job && user && (user.role === 'admin' || user.userId === job.companyUserId);
+  return job && (job.isActive || isOwnerOrAdmin) ? job : null;
+};
+
+// Get single job posting (public; closed and expired postings only for the owning company and admins)
+app.get('/api/jobs/:id', identifyUser, publicApiLimit, redirectLegacyId('job', findVisibleJob), async (req, res) => {
+  try {
+    const job = await findVisibleJob(req.params.id, req.user);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        code: 'job_not_found'
+      });
+    }
+
+    res.json({ success: true, data: serializeJob(job) });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, code: 'job_fetch_failed' });
+  }
+});
+
+// Create job posting (verified companies only)
+app.post('/api/jobs', authenticateToken, requireVerifiedEmail, isCompany, validate({ body: jobSchema }), async (req, res) => {
+  try {
+    const company = await storage.companies.findByUserId(req.user.userId);
+
+    if (!company || company.verificationStatus !== 'verified') {
+      return res.status(403).json({
+        success: false,
+        code: 'company_not_verified'
+      });
+    }
+
+    const values = req.body;
+
+    if (!salaryRangeIsValid(values.salaryMin, values.salaryMax)) {
+      return sendValidationError(res, [salaryRangeError()]);
+    }
+
+    const id = generateId();
+    await storage.jobs.create(id, req.user.userId, values);
+
+    res.status(201).json({
+      success: true,
+      code: 'job_created',
+      data: serializeJob(await storage.jobs.findById(id))
+    });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({
+      success: false,
+      code: 'job_create_failed'
+    });
+  }
+});
+
+// Update own job posting, including opening/closing it (company only)
+app.put('/api/jobs/:id', authenticateToken, isCompany, validate({ body: jobUpdateSchema }), async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    const values = req.body;
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    const salaryMin = values.salaryMin !== undefined ? values.salaryMin : job.salaryMin;
+    const salaryMax = values.salaryMax !== undefined ? values.salaryMax : job.salaryMax;
+    if (!salaryRangeIsValid(salaryMin, salaryMax)) {
+      return sendValidationError(res, [salaryRangeError()]);
+    }
+
+    await storage.jobs.update(job.id, values);
+
+    res.json({
+      success: true,
+      code: 'job_updated',
+      data: serializeJob(await storage.jobs.findById(job.id))
+    });
+  } catch (error) {
+    console.error('Error updating job:', error);
+    res.status(500).json({
+      success: false,
+      code: 'job_update_failed'
+    });
+  }
+});
+
+// Delete job posting (owner company or admin)
+app.delete('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await storage.jobs.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        code: 'job_not_found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && job.companyUserId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        code: 'not_job_owner_delete'
+      });
+    }
+
+    await storage.jobs.delete(job.id);
+
+    res.json({
+      success: true,
+      code: 'job_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({
+      success: false,
+      code: 'job_delete_failed'
+    });
+  }
+});
+
+// ==================== APPLICATION ROUTES ====================
+
+const applicationSchema = {
+  coverLetter: { type: 'string', nullable: true, maxLength: MAX_COVER_LETTER_LENGTH }
+};
+
+const applicationListQuery = {
+  status: { type: 'string', enum: APPLICATION_STATUSES }
+};
+
+const applicationStatusSchema = {
+  status: { type: 'string', required: true, enum: APPLICATION_STATUSES }
+};
+
+// Apply to a job posting with the student's developer profile (students only)
+app.post('/api/jobs/:id/apply', authenticateToken, requireVerifiedEmail, isStudent, validate({ body: applicationSchema }), async (req, res) => {
+  try {
+    const { coverLetter = null } = req.body;
+
+    const developer = await storage.developers.findByUserId(req.user.userId);
+    if (!developer) {
+      return res.status(400).json({
+        success: false,
+        code: 'developer_profile_required'
+      });
+    }
+
+    if (!(await storage.jobs.isActive(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        code: 'job_not_open'
+      });
+    }
+
+    const id = generateId();
+    await storage.applications.create({ id, jobId: req.params.id, developerId: developer.id, coverLetter });
+
+    res.status(201).json({
+      success: true,
+      code: 'application_submitted',
+      data: { id, jobId: req.params.id, developerId: developer.id, status: 'applied' }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'already_applied'
+      });
+    }
+    console.error('Error applying to job:', error);
+    res.status(500).json({
+      success: false,
+      code: 'application_failed'
+    });
+  }
+});
+
+// List own applications with job details (students only)
+app.get('/api/applications/mine', authenticateToken, isStudent, async (req, res) => {
+  try {
+    const applications = await storage.applications.listForStudent(req.user.userId);
+
+    res.json({ success: true, data: applications });
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    res.status(500).json({ success: false, code: 'applications_fetch_failed' });
+  }
+});
+
+// List applications of an own job posting (company only).
+// Applying connects the developer to the company, which releases contact details set to 'contacts'.
+app.get('/api/jobs/:id/applications', authenticateToken, isCompany, validate({ query: applicationListQuery }), async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    const applications = await storage.applications.listForJob(job.id, req.query.status);
+
+    const developers = await storage.developers.findByIds(applications.map(application => application.developerId));
+    const profiles = await presentDevelopers(req.user, developers);
+    const developersById = new Map(developers.map((dev, index) => [dev.id, profiles[index]]));
+
+    res.json({
+      success: true,
+      data: applications.map(({ developerId, ...application }) => ({
+        ...application,
+        developer: developersById.get(developerId) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching job applications:', error);
+    res.status(500).json({ success: false, code: 'applications_fetch_failed' });
+  }
+});
+
+// Move an application through the hiring pipeline (owner company only)
+app.patch('/api/applications/:id/status', authenticateToken, isCompany, validate({ body: applicationStatusSchema }), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const application = await storage.applications.findWithCompany(req.params.id);
+
+    if (!application || application.companyUserId !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        code: 'application_not_found'
+      });
+    }
+
+    const previous = await storage.applications.findById(application.id);
+    await storage.applications.setStatus(application.id, status);
+
+    if (previous.status !== status) {
+      const [job, developer] = await Promise.all([
+        storage.jobs.findById(previous.jobId),
+        storage.developers.findById(previous.developerId)
+      ]);
+      if (job && developer) {
+        await notify(developer.userId, 'application_status', { applicationId: application.id, jobId: job.id, jobTitle: job.title, status });
+      }
+    }
+
+    res.json({
+      success: true,
+      code: 'application_status_updated',
+      data: await storage.applications.findById(application.id)
+    });
+  } catch (error) {
+    console.error('Error updating application status:', error);
+    res.status(500).json({
+      success: false,
+      code: 'application_status_update_failed'
+    });
+  }
+});
+
+// ==================== NOTIFICATION ROUTES ====================
+
+const notificationListQuery = {
+  unread: { type: 'boolean', default: false },
+  ...paginationQuery
+};
+
+const notificationPreferencesSchema = {
+  digestFrequency: { type: 'string', enum: DIGEST_FREQUENCIES },
+  mutedTypes: { type: 'array', enum: NOTIFICATION_TYPES, maxItems: NOTIFICATION_TYPES.length }
+};
+
+// Notifications with their text in the request locale
+const serializeNotification = (notification, locale) => ({
+  ...notification,
+  text: renderNotification(locale, notification)
+});
+
+const serializePreferences = (preferences) => ({
+  digestFrequency: preferences ? preferences.digestFrequency : DEFAULT_DIGEST_FREQUENCY,
+  mutedTypes: (preferences && preferences.mutedTypes) || [],
+  lastDigestAt: preferences ? preferences.lastDigestAt : null
+});
+
+// List own notifications, newest first (`?unread=true` for unread ones only)
+app.get('/api/notifications', authenticateToken, validate({ query: notificationListQuery }), async (req, res) => {
+  try {
+    const { unread, page: pageNumber = 1, limit: pageSize } = req.query;
+    const offset = (pageNumber - 1) * pageSize;
+
+    const { total, notifications } = await storage.notifications.list(req.user.userId, { unread, limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: notifications.map(notification => serializeNotification(notification, req.locale)),
+      unreadCount: await storage.notifications.countUnread(req.user.userId),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasNextPage: offset + notifications.length < total,
+        nextPage: offset + notifications.length < total ? pageNumber + 1 : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ success: false, code: 'notifications_fetch_failed' });
+  }
+});
+
+// Number of unread notifications (for badges)
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, unreadCount: await storage.notifications.countUnread(req.user.userId) });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ success: false, code: 'notifications_fetch_failed' });
+  }
+});
+
+// Get own notification preferences (defaults when never saved)
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: serializePreferences(await storage.notifications.findPreferences(req.user.userId))
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ success: false, code: 'notification_preferences_fetch_failed' });
+  }
+});
+
+// Update own notification preferences: digest frequency and muted notification types
+app.put('/api/notifications/preferences', authenticateToken, validate({ body: notificationPreferencesSchema }), async (req, res) => {
+  try {
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    const current = serializePreferences(await storage.notifications.findPreferences(req.user.userId));
+    await storage.notifications.savePreferences(req.user.userId, {
+      digestFrequency: req.body.digestFrequency || current.digestFrequency,
+      mutedTypes: req.body.mutedTypes ? [...new Set(req.body.mutedTypes)] : current.mutedTypes
+    });
+
+    res.json({
+      success: true,
+      code: 'notification_preferences_updated',
+      data: serializePreferences(await storage.notifications.findPreferences(req.user.userId))
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      code: 'notification_preferences_update_failed'
+    });
+  }
+});
+
+// Mark all own notifications as read
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const markedAsRead = await storage.notifications.markAllRead(req.user.userId);
+
+    res.json({
+      success: true,
+      code: 'notifications_marked_read',
+      markedAsRead
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      code: 'notifications_update_failed'
+    });
+  }
+});
+
+// Mark one own notification as read
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await storage.notifications.findById(req.params.id);
+    if (!notification || notification.userId !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        code: 'notification_not_found'
+      });
+    }
+
+    await storage.notifications.markRead(notification.id);
+
+    res.json({
+      success: true,
+      code: 'notifications_marked_read',
+      data: serializeNotification(await storage.notifications.findById(notification.id), req.locale)
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      code: 'notifications_update_failed'
+    });
+  }
+});
+
+// ==================== EVENT STREAM ROUTES ====================
+
+// EventSource cannot send headers, so event streams also accept the access token as ?access_token=
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const eventStreamQuery = {
+  topics: { type: 'list', enum: EVENT_TOPICS },
+  fields: { type: 'list', enum: VALID_FIELDS }
+};
+
+// Server-Sent Events of the current user (`?topics=` defaults to all, `?fields=` narrows new_developer).
+// The stream ends when the access token expires; EventSource reconnects and should send a fresh token.
+app.get('/api/events', acceptQueryToken, authenticateToken, validate({ query: eventStreamQuery }), (req, res) => {
+  if (countStreams(req.user.userId) >= MAX_EVENT_STREAMS_PER_USER) {
+    return res.status(429).json({ success: false, code: 'too_many_event_streams', messageParams: { max: MAX_EVENT_STREAMS_PER_USER } });
+  }
+
+  const { exp } = jwt.decode(req.headers['authorization'].split(' ')[1]);
+  const { topics = EVENT_TOPICS, fields = null } = req.query;
+
+  openStream(req, res, {
+    user: req.user,
+    topics,
+    fields,
+    expiresAt: exp ? new Date(exp * 1000) : null,
+    // Notifications carry their text in the stream's locale, like GET /api/notifications
+    format: ({ topic, data }) => topic === 'notification' ? serializeNotification(data, req.locale) : data
+  });
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// Soft-deleted records are listed with ?deleted=true instead of with the active ones
+const deletedQuery = {
+  deleted: { type: 'boolean', default: false }
+};
+
+// Get all users (admin only)
+app.get('/api/admin/users', authenticateToken, isAdmin, validate({ query: deletedQuery }), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await storage.users.list({ deleted: req.query.deleted })
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      code: 'users_fetch_failed'
+    });
+  }
+});
+
+// Get all developers with full info (admin only)
+app.get('/api/admin/developers', authenticateToken, isAdmin, validate({ query: deletedQuery }), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: (await storage.developers.listAll({ deleted: req.query.deleted })).map(developer => serializeDeveloper(developer, 'full'))
+    });
+  } catch (error) {
+    console.error('Error fetching developers:', error);
+    res.status(500).json({
+      success: false,
+      code: 'developers_fetch_failed'
+    });
+  }
+});
+
+// Get all contacts (admin only)
+app.get('/api/admin/contacts', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await storage.contacts.listAll()
+    });
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({
+      success: false,
+      code: 'contacts_fetch_failed'
+    });
+  }
+});
+
+// Share of `count` in `total` (0-1, four decimals); null when there is nothing to compare with
+const getRate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+
+// Zero-filled periods with registrations per role and a counter per field.
+// Daily rows ({ date, ... }) are summed into the period their date belongs to.
+const buildStatsSeries = ({ from, to, granularity, fields }) => {
+  const series = new Map(listPeriods(from, to, granularity).map(period => [
+    period,
+    {
+      period,
+      registrations: Object.fromEntries(VALID_ROLES.map(role => [role, 0])),
+      ...Object.fromEntries(fields.map(field => [field, 0]))
+    }
+  ]));
+
+  return {
+    add: (field, rows, valueOf) => {
+      for (const row of rows) {
+        series.get(getPeriodStart(row.date, granularity))[field] += valueOf(row);
+      }
+    },
+    addRegistrations: (rows) => {
+      for (const row of rows) {
+        series.get(getPeriodStart(row.date, granularity)).registrations[row.role] += row.count;
+      }
+    },
+    values: () => [...series.values()]
+  };
+};
+
+const statsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  granularity: { type: 'string', enum: STATS_GRANULARITIES, default: 'day' },
+  limit: { type: 'integer', min: 1, max: MAX_STATS_LIMIT, default: DEFAULT_STATS_LIMIT }
+};
+
+// Get statistics (admin only). Overall counts plus time series, top lists and
+// conversion rates for the requested date range; every figure is aggregated by the database.
+app.get('/api/admin/stats', authenticateToken, isAdmin, validate({ query: statsQuery }), async (req, res) => {
+  try {
+    const { granularity, limit } = req.query;
+    const { from, to, errors } = resolveDateRange(req.query, {
+      defaultDays: DEFAULT_STATS_DAYS,
+      maxDays: MAX_STATS_DAYS
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const userStats = await storage.users.countByRole();
+    const developerStats = await storage.developers.countByField();
+    const workTypeStats = await storage.developers.countByWorkType();
+    const totalContacts = await storage.contacts.count();
+    const todayContacts = await storage.contacts.countOnDate(new Date().toISOString().split('T')[0]);
+
+    const registrations = await storage.users.countCreatedByDay(from, to);
+    const profiles = await storage.developers.countCreatedByDay(from, to);
+    const contacts = await storage.contacts.countByDay(from, to);
+    const contactRequests = await storage.contactRequests.countCreatedByDay(from, to);
+    const profileViews = await storage.profileViews.countByDay(from, to);
+    const topDevelopers = await storage.profileViews.listTopDevelopers(from, to, limit);
+    const topCompanies = await storage.contactRequests.listTopCompanies(from, to, limit);
+    const students = await storage.users.countStudentConversion(from, to);
+
+    const series = buildStatsSeries({
+      from,
+      to,
+      granularity,
+      fields: ['profiles', 'contacts', 'contactRequests', 'acceptedRequests', 'profileViews']
+    });
+    series.addRegistrations(registrations);
+    series.add('profiles', profiles, row => row.count);
+    series.add('contacts', contacts, row => row.count);
+    series.add('contactRequests', contactRequests, row => row.count);
+    series.add('acceptedRequests', contactRequests, row => row.accepted);
+    series.add('profileViews', profileViews, row => row.views);
+
+    const periods = series.values();
+    const total = (field) => periods.reduce((sum, period) => sum + period[field], 0);
+    const requestTotal = total('contactRequests');
+    const acceptedTotal = total('acceptedRequests');
+
+    res.json({
+      success: true,
+      data: {
+        users: userStats,
+        developers: {
+          byField: developerStats,
+          byWorkType: workTypeStats,
+          total: developerStats.reduce((sum, stat) => sum + stat.count, 0)
+        },
+        contacts: {
+          total: totalContacts,
+          today: todayContacts
+        },
+        range: { from, to, granularity },
+        totals: {
+          registrations: Object.fromEntries(VALID_ROLES.map(role => [
+            role,
+            periods.reduce((sum, period) => sum + period.registrations[role], 0)
+          ])),
+          profiles: total('profiles'),
+          contacts: total('contacts'),
+          contactRequests: requestTotal,
+          acceptedRequests: acceptedTotal,
+          profileViews: total('profileViews')
+        },
+        series: periods,
+        topDevelopers,
+        topCompanies,
+        conversion: {
+          students: students.students,
+          studentsWithProfile: students.withProfile,
+          profilesContacted: students.contacted,
+          profileRate: getRate(students.withProfile, students.students),
+          contactedRate: getRate(students.contacted, students.withProfile),
+          acceptanceRate: getRate(acceptedTotal, requestTotal)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({
+      success: false,
+      code: 'stats_fetch_failed'
+    });
+  }
+});
+
+// Admins cannot lock themselves out and the last active admin cannot be removed
+// Returns the error code of the violated rule, or null
+const checkAdminTarget = async (req, targetUser) => {
+  if (targetUser.userId === req.user.userId) {
+    return 'cannot_target_self';
+  }
+
+  if (targetUser.role === 'admin') {
+    if ((await storage.users.countActiveAdmins(targetUser.userId)) === 0) {
+      return 'last_active_admin';
+    }
+  }
+
+  return null;
+};
+
+const findUserForAdmin = async (userId, { includeDeleted = false } = {}) => {
+  const user = await storage.users.findById(userId, { includeDeleted });
+  return user && {
+    userId: user.userId,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    suspendedAt: user.suspendedAt,
+    deletedAt: user.deletedAt
+  };
+};
+
+const roleRule = { type: 'string', required: true, enum: VALID_ROLES };
+const moderationReasonRule = { type: 'string', nullable: true, maxLength: 500 };
+
+const adminUserSchema = {
+  email: emailRule,
+  password: passwordRule,
+  name: userNameRule,
+  role: roleRule
+};
+
+// Create user with any role, including admin (admin only)
+app.post('/api/admin/users', authenticateToken, isAdmin, validate({ body: adminUserSchema }), async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body;
+
+    if (await storage.users.findByEmail(email, { includeDeleted: true })) {
+      return res.status(400).json({
+        success: false,
+        code: 'email_in_use'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = generateId();
+
+    // Accounts created by an admin are considered verified
+    await storage.users.create({
+      userId,
+      email,
+      password: hashedPassword,
+      name,
+      role,
+      emailVerifiedAt: new Date()
+    });
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: userId,
+      changes: diffValues(null, { email, name, role })
+    });
+
+    res.status(201).json({
+      success: true,
+      code: 'user_created',
+      data: {
+        userId,
+        email,
+        name,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      code: 'user_create_failed'
+    });
+  }
+});
+
+// Change user role (admin only)
+app.patch('/api/admin/users/:userId/role', authenticateToken, isAdmin, validate({ body: { role: roleRule } }), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const user = await findUserForAdmin(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'user_not_found'
+      });
+    }
+
+    const targetError = await checkAdminTarget(req, user);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        code: targetError
+      });
+    }
+
+    await storage.users.setRole(user.userId, role);
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user.userId,
+      changes: diffValues({ role: user.role }, { role })
+    });
+
+    res.json({
+      success: true,
+      code: 'user_role_updated',
+      data: { ...user, role }
+    });
+  } catch (error) {
+    console.error('Error changing user role:', error);
+    res.status(500).json({
+      success: false,
+      code: 'user_role_update_failed'
+    });
+  }
+});
+
+// Suspend user and revoke all of their sessions (admin only)
+app.post('/api/admin/users/:userId/suspend', authenticateToken, isAdmin, validate({ body: { reason: moderationReasonRule } }), async (req, res) => {
+  try {
+    const { reason = null } = req.body;
+
+    const user = await findUserForAdmin(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'user_not_found'
+      });
+    }
+
+    const targetError = await checkAdminTarget(req, user);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        code: targetError
+      });
+    }
+
+    await storage.users.suspend(user.userId, reason);
+    await storage.sessions.revokeAllForUser(user.userId);
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user.userId,
+      metadata: { reason }
+    });
+
+    res.json({
+      success: true,
+      code: 'user_suspended'
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      success: false,
+      code: 'user_suspend_failed'
+    });
+  }
+});
+
+// Lift a user's suspension (admin only)
+app.post('/api/admin/users/:userId/unsuspend', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'user_not_found'
+      });
+    }
+
+    await storage.users.unsuspend(user.userId);
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      targetId: user.userId,
+      changes: diffValues({ suspendedAt: user.suspendedAt }, { suspendedAt: null })
+    });
+
+    res.json({
+      success: true,
+      code: 'user_unsuspended'
+    });
+  } catch (error) {
+    console.error('Error unsuspending user:', error);
+    res.status(500).json({
+      success: false,
+      code: 'user_unsuspend_failed'
+    });
+  }
+});
+
+// Force a password reset: revoke sessions, block login and email a reset link (admin only)
+app.post('/api/admin/users/:userId/force-password-reset', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'user_not_found'
+      });
+    }
+
+    if (user.userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        code: 'cannot_target_self'
+      });
+    }
+
+    await storage.users.requirePasswordReset(user.userId);
+    await storage.sessions.revokeAllForUser(user.userId);
+    await recordAudit(req, { action: 'user.force_password_reset', targetType: 'user', targetId: user.userId });
+    await sendPasswordResetEmail(user);
+
+    res.json({
+      success: true,
+      code: 'password_reset_forced'
+    });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({
+      success: false,
+      code: 'force_password_reset_failed'
+    });
+  }
+});
+
+// Delete user (admin only)
+app.delete('/api/admin/users/:userId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'user_not_found'
+      });
+    }
+
+    const targetError = await checkAdminTarget(req, user);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        code: targetError
+      });
+    }
+
+    // The account and its developer profile are hidden until restored or purged
+    const deletedAt = new Date();
+    await storage.transaction(async (tx) => {
+      await tx.users.softDelete(user.userId, req.user.userId, deletedAt);
+      const developer = await tx.developers.findByUserId(user.userId);
+      if (developer) {
+        await tx.developers.softDelete(developer.id, req.user.userId, deletedAt);
+      }
+    });
+    await storage.sessions.revokeAllForUser(user.userId);
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user.userId,
+      changes: diffValues({ deletedAt: null, deletedBy: null }, { deletedAt, deletedBy: req.user.userId })
+    });
+
+    res.json({
+      success: true,
+      code: 'user_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      code: 'user_delete_failed'
+    });
+  }
+});
+
+// Delete developer (admin only)
+app.delete('/api/admin/developers/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const deletedAt = new Date();
+    if ((await storage.developers.softDelete(req.params.id, req.user.userId, deletedAt)) === 0) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'developer.delete',
+      targetType: 'developer',
+      targetId: req.params.id,
+      changes: diffValues({ deletedAt: null, deletedBy: null }, { deletedAt, deletedBy: req.user.userId })
+    });
+
+    res.json({
+      success: true,
+      code: 'developer_deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting developer:', error);
+    res.status(500).json({
+      success: false,
+      code: 'developer_delete_failed'
+    });
+  }
+});
+
+// Restore a soft-deleted user (admin only). Their developer profile is restored with them
+// unless it was deleted on its own.
+app.post('/api/admin/users/:userId/restore', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const user = await findUserForAdmin(req.params.userId, { includeDeleted: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'user_not_found'
+      });
+    }
+
+    if (!user.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        code: 'user_not_deleted'
+      });
+    }
+
+    await storage.transaction(async (tx) => {
+      await tx.users.restore(user.userId);
+      const developer = await tx.developers.findByUserId(user.userId, { includeDeleted: true });
+      if (developer && developer.deletedAt && developer.deletedAt.getTime() === user.deletedAt.getTime()) {
+        await tx.developers.restore(developer.id);
+      }
+    });
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'user',
+      targetId: user.userId,
+      changes: diffValues({ deletedAt: user.deletedAt }, { deletedAt: null })
+    });
+
+    res.json({
+      success: true,
+      code: 'user_restored',
+      data: await findUserForAdmin(user.userId)
+    });
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({
+      success: false,
+      code: 'user_restore_failed'
+    });
+  }
+});
+
+// Restore a soft-deleted developer profile (admin only); its user must not be deleted
+app.post('/api/admin/developers/:id/restore', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const developer = await storage.developers.findById(req.params.id, { includeDeleted: true });
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        code: 'developer_not_found'
+      });
+    }
+
+    if (!developer.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        code: 'developer_not_deleted'
+      });
+    }
+
+    if (!(await storage.users.findById(developer.userId))) {
+      return res.status(409).json({
+        success: false,
+        code: 'developer_user_deleted'
+      });
+    }
+
+    await storage.developers.restore(developer.id);
+    await recordAudit(req, {
+      action: 'developer.restore',
+      targetType: 'developer',
+      targetId: developer.id,
+      changes: diffValues({ deletedAt: developer.deletedAt }, { deletedAt: null })
+    });
+
+    res.json({
+      success: true,
+      code: 'developer_restored',
+      data: serializeDeveloper(await storage.developers.findById(developer.id), 'full')
+    });
+  } catch (error) {
+    console.error('Error restoring developer:', error);
+    res.status(500).json({
+      success: false,
+      code: 'developer_restore_failed'
+    });
+  }
+});
+
+const skillRenameSchema = {
+  name: { type: 'string', required: true, maxLength: MAX_SKILL_NAME_LENGTH }
+};
+
+const skillMergeSchema = {
+  targetId: { type: 'integer', required: true, min: 1 }
+};
+
+// Rename a skill (admin only)
+app.put('/api/admin/skills/:id', authenticateToken, isAdmin, validate({ body: skillRenameSchema }), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const skill = await storage.skills.findById(req.params.id);
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        code: 'skill_not_found'
+      });
+    }
+
+    const slug = slugifySkill(name);
+    const conflict = await storage.skills.findBySlug(slug);
+    if (conflict && conflict.id !== skill.id) {
+      return res.status(409).json({
+        success: false,
+        code: 'skill_name_taken',
+        conflictingSkillId: conflict.id
+      });
+    }
+
+    await storage.skills.rename(skill.id, name, slug);
+
+    res.json({
+      success: true,
+      code: 'skill_updated',
+      data: await storage.skills.findById(skill.id)
+    });
+  } catch (error) {
+    console.error('Error renaming skill:', error);
+    res.status(500).json({
+      success: false,
+      code: 'skill_update_failed'
+    });
+  }
+});
+
+// Merge a duplicate skill into another one (admin only)
+// Developers tagged with the source skill are moved to the target, keeping the higher level.
+app.post('/api/admin/skills/:id/merge', authenticateToken, isAdmin, validate({ body: skillMergeSchema }), async (req, res) => {
+  const sourceId = parseInt(req.params.id, 10);
+  const { targetId } = req.body;
+
+  if (sourceId === targetId) {
+    return sendValidationError(res, [fieldError('targetId', 'same_as', { other: 'id' })]);
+  }
+
+  try {
+    if (!(await storage.skills.findById(sourceId)) || !(await storage.skills.findById(targetId))) {
+      return res.status(404).json({
         success: false,
-        message: 'Geliştirici bulunamadı'
+        code: 'skill_not_found'
       });
     }
 
-    if (developers[0].userId !== req.user.userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Sadece kendi profilinizi güncelleyebilirsiniz'
-      });
-    }
+    await storage.transaction(tx => tx.skills.merge(sourceId, targetId));
+
+    res.json({
+      success: true,
+      code: 'skills_merged',
+      data: await storage.skills.findWithDeveloperCount(targetId)
+    });
+  } catch (error) {
+    console.error('Error merging skills:', error);
+    res.status(500).json({
+      success: false,
+      code: 'skills_merge_failed'
+    });
+  }
+});
+
+// ==================== ADMIN EXPORT ROUTES ====================
 
-    const { firstName, lastName, workType, field, github, linkedin, email } = req.body;
+// Wait until the response accepts more data, or the client went away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
 
-    if (workType) {
-      const validWorkTypes = ['remote', 'onsite', 'hybrid'];
-      if (!validWorkTypes.includes(workType)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Çalışma şekli remote, onsite veya hybrid olmalıdır'
-        });
-      }
-    }
+const exportQuery = {
+  format: { type: 'string', lowercase: true, enum: EXPORT_FORMATS, default: 'csv' },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
 
-    if (field) {
-      const validFields = ['web', 'mobil', 'yz', 'backend', 'frontend', 'fullstack'];
-      if (!validFields.includes(field)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Alan geçerli bir değer olmalıdır'
-        });
-      }
-    }
+// Route handler streaming a storage listForExport method as CSV (with a header line) or NDJSON.
+//   fetchBatch(filters, after)  the next EXPORT_BATCH_SIZE rows after the ID `after`
+//   filters(query)              storage filters from the validated query
+//   columns                     [header, valueOf] pairs of the CSV columns
+//   serialize(row)              the object written as an NDJSON line
+// Rows are read batch by batch, so exports of large tables never load the whole table.
+// Errors after the first byte can only abort the response.
+const exportHandler = ({ name, idColumn, fetchBatch, filters, columns, serialize }) => async (req, res) => {
+  const { format } = req.query;
+  const from = req.query.from && toDateString(req.query.from);
+  const to = req.query.to && toDateString(req.query.to);
+  if (from && to && from > to) {
+    return sendValidationError(res, [fieldError('from', 'invalid_range', { other: 'to' })]);
+  }
 
-    // Build update query dynamically
-    const updates = [];
-    const values = [];
+  try {
+    const query = { ...filters(req.query), from, to, limit: EXPORT_BATCH_SIZE };
+    let batch = await fetchBatch(query, null);
 
-    if (firstName) {
-      updates.push('firstName = ?');
-      values.push(firstName.trim());
-    }
-    if (lastName) {
-      updates.push('lastName = ?');
-      values.push(lastName.trim());
+    res.attachment(`${name}-${toDateString(new Date())}.${format}`);
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    // The byte order mark makes spreadsheet applications read the file as UTF-8
+    if (format === 'csv') {
+      res.write(`\ufeff${formatCsvRow(columns.map(([header]) => header))}`);
     }
-    if (workType) {
-      updates.push('workType = ?');
-      values.push(workType);
+
+    while (batch.length > 0 && !res.destroyed) {
+      for (const row of batch) {
+        const line = format === 'csv'
+          ? formatCsvRow(columns.map(([, valueOf]) => valueOf(row)))
+          : `${JSON.stringify(serialize(row))}\n`;
+        if (!res.write(line)) {
+          await waitForDrain(res);
+        }
+      }
+
+      batch = batch.length === EXPORT_BATCH_SIZE
+        ? await fetchBatch(query, batch[batch.length - 1][idColumn])
+        : [];
     }
-    if (field) {
-      updates.push('field = ?');
-      values.push(field);
+    res.end();
+  } catch (error) {
+    console.error(`Error exporting ${name}:`, error);
+    if (res.headersSent) {
+      return res.destroy(error);
     }
-    if (github !== undefined) {
-      updates.push('github = ?');
-      values.push(github ? github.trim() : null);
+    res.status(500).json({ success: false, code: 'export_failed' });
+  }
+};
+
+// CSV column taking a row property as is
+const exportColumn = (key) => [key, row => row[key]];
+
+// Export users (admin only)
+app.get('/api/admin/users/export', authenticateToken, isAdmin, validate({
+  query: {
+    ...exportQuery,
+    role: { type: 'list', enum: VALID_ROLES },
+    suspended: { type: 'boolean' },
+    ...deletedQuery
+  }
+}), exportHandler({
+  name: 'users',
+  idColumn: 'userId',
+  fetchBatch: (query, after) => storage.users.listForExport({ ...query, after }),
+  filters: ({ role, suspended, deleted }) => ({ roles: role, suspended, deleted }),
+  columns: [
+    ...['userId', 'email', 'name', 'role', 'emailVerifiedAt', 'suspendedAt', 'suspendedReason'].map(exportColumn),
+    ['passwordResetRequired', user => Boolean(user.passwordResetRequired)],
+    ...['deletedAt', 'deletedBy', 'createdAt'].map(exportColumn)
+  ],
+  serialize: user => ({ ...user, passwordResetRequired: Boolean(user.passwordResetRequired) })
+}));
+
+// Export developer profiles with their privacy settings (admin only)
+app.get('/api/admin/developers/export', authenticateToken, isAdmin, validate({
+  query: {
+    ...exportQuery,
+    field: { type: 'list', enum: VALID_FIELDS },
+    workType: { type: 'list', enum: VALID_WORK_TYPES },
+    visibility: { type: 'list', enum: PROFILE_VISIBILITIES },
+    ...deletedQuery
+  }
+}), exportHandler({
+  name: 'developers',
+  idColumn: 'id',
+  fetchBatch: (query, after) => storage.developers.listForExport({ ...query, after }),
+  filters: ({ field, workType, visibility, deleted }) => ({ fields: field, workTypes: workType, visibilities: visibility, deleted }),
+  columns: [
+    ...['id', 'userId', 'firstName', 'lastName', 'email', 'workType', 'field', 'github', 'linkedin'].map(exportColumn),
+    ...['headline', 'bio', 'city', 'country', 'yearsOfExperience', 'availableFrom'].map(exportColumn),
+    ['skills', developer => formatSkillList(developer.skills)],
+    ...['visibility', 'emailVisibility', 'githubVisibility', 'linkedinVisibility', 'createdAt', 'updatedAt'].map(exportColumn),
+    ...['deletedAt', 'deletedBy'].map(exportColumn)
+  ],
+  serialize: developer => serializeDeveloper(developer, 'full')
+}));
+
+// Export contacts (admin only)
+app.get('/api/admin/contacts/export', authenticateToken, isAdmin, validate({
+  query: {
+    ...exportQuery,
+    userId: { type: 'string', maxLength: 255 },
+    developerId: { type: 'string', maxLength: 255 }
+  }
+}), exportHandler({
+  name: 'contacts',
+  idColumn: 'id',
+  fetchBatch: (query, after) => storage.contacts.listForExport({ ...query, after }),
+  filters: ({ userId, developerId }) => ({ userId, developerId }),
+  columns: [
+    'id', 'date', 'userId', 'userName', 'userEmail', 'developerId', 'firstName', 'lastName', 'developerEmail', 'createdAt'
+  ].map(exportColumn),
+  serialize: contact => contact
+}));
+
+// ==================== ADMIN IMPORT ROUTES ====================
+
+const importQuery = {
+  dryRun: { type: 'boolean', default: false }
+};
+
+const optionalPasswordRule = { ...passwordRule, required: false };
+
+// Imported users are students or companies; admins are created one by one (POST /api/admin/users)
+const userImportSchema = {
+  email: emailRule,
+  name: userNameRule,
+  role: { type: 'string', enum: SELF_REGISTER_ROLES, default: 'student' },
+  password: optionalPasswordRule,
+  locale: localeRule
+};
+
+// A developer profile row, also naming the student account it belongs to (found or created by `email`)
+const developerImportSchema = {
+  ...developerSchema,
+  skills: { ...skillsRule, preprocess: value => (typeof value === 'string' ? parseSkillList(value) : value) },
+  name: { type: 'string', maxLength: 255 },
+  password: optionalPasswordRule,
+  locale: localeRule
+};
+
+// Rows of an import request: a CSV body (the first line names the columns) or JSON { "rows": [...] }.
+// CSV cells are strings, so they are converted like query parameters and empty cells count as missing.
+const readImportRows = (req) => (req.is('text/csv')
+  ? { rows: parseCsvObjects(typeof req.body === 'string' ? req.body : ''), coerce: true }
+  : { rows: req.body && req.body.rows, coerce: false });
+
+// Validate every row against the schema; emails must be unique within the import.
+// Returns the validated values (null for invalid rows) and the errors with 1-based row numbers.
+const validateImportRows = (rows, schema, coerce) => {
+  const errors = [];
+  const rowsByEmail = new Map();
+
+  const values = rows.map((row, index) => {
+    const result = validateValues(row, schema, { coerce });
+    errors.push(...result.errors.map(error => ({ row: index + 1, ...error })));
+    if (result.errors.length > 0) {
+      return null;
     }
-    if (linkedin !== undefined) {
-      updates.push('linkedin = ?');
-      values.push(linkedin ? linkedin.trim() : null);
+
+    const { email } = result.values;
+    if (rowsByEmail.has(email)) {
+      errors.push({ row: index + 1, ...fieldError('email', 'duplicate_in_import', { other: rowsByEmail.get(email) }) });
+      return null;
     }
-    if (email) {
-      updates.push('email = ?');
-      values.push(email.trim().toLowerCase());
+    rowsByEmail.set(email, index + 1);
+    return result.values;
+  });
+
+  return { values, errors };
+};
+
+// Read and validate an import request. Sends the error report and returns null when the request
+// is invalid, or a dry run result when only validation was requested; otherwise returns the rows.
+// `check(values)` adds errors of rows conflicting with existing data.
+const prepareImport = async (req, res, schema, check) => {
+  const { rows, coerce } = readImportRows(req);
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    sendValidationError(res, [fieldError('rows', 'required')]);
+    return null;
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    sendValidationError(res, [fieldError('rows', 'too_many_items', { max: MAX_IMPORT_ROWS })]);
+    return null;
+  }
+
+  const { values, errors } = validateImportRows(rows, schema, coerce);
+  errors.push(...await check(values));
+
+  const invalidRows = new Set(errors.map(error => error.row)).size;
+  const summary = { total: rows.length, valid: rows.length - invalidRows, invalid: invalidRows, dryRun: req.query.dryRun };
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      code: 'import_invalid',
+      data: summary,
+      errors: errors.sort((a, b) => a.row - b.row)
+    });
+    return null;
+  }
+  if (req.query.dryRun) {
+    res.json({ success: true, code: 'import_validated', data: summary });
+    return null;
+  }
+  return { values, summary };
+};
+
+// Rows without a password share one hash of a random secret nobody knows: those accounts can
+// only be entered through the invitation link. This avoids hashing a password per row.
+const hashImportPasswords = async (values) => {
+  const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  return Promise.all(values.map(({ password }) => (password ? bcrypt.hash(password, 10) : unusableHash)));
+};
+
+// Invitations are sent after the response, so large imports do not wait for the mail server.
+// Failures are only logged; force-password-reset sends a new link.
+const sendInvitations = async (users, fallbackLocale) => {
+  for (const user of users) {
+    try {
+      await sendInvitationEmail(user, fallbackLocale);
+    } catch (mailError) {
+      console.error('Error sending invitation email:', mailError);
     }
+  }
+};
 
-    if (updates.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Güncellenecek alan belirtilmedi'
-      });
+// Import student and company accounts (admin only). Either every row is imported or none.
+app.post('/api/admin/import/users', authenticateToken, isAdmin, validate({ query: importQuery }), async (req, res) => {
+  try {
+    const prepared = await prepareImport(req, res, userImportSchema, async (values) => {
+      const emails = values.filter(Boolean).map(row => row.email);
+      const existing = new Set((await storage.users.findByEmails(emails)).map(user => user.email));
+      return values
+        .map((row, index) => row && existing.has(row.email) && { row: index + 1, ...fieldError('email', 'email_in_use') })
+        .filter(Boolean);
+    });
+    if (!prepared) {
+      return;
     }
 
-    values.push(req.params.id);
+    const { values, summary } = prepared;
+    const passwords = await hashImportPasswords(values);
+    const users = values.map(({ password, locale = null, ...row }, index) => ({
+      ...row,
+      userId: generateId(),
+      locale,
+      invite: !password,
+      row: index + 1
+    }));
 
-    await pool.execute(
-      `UPDATE developers SET ${updates.join(', ')} WHERE id = ?`,
-      values
-    );
+    // Accounts created by an admin are considered verified
+    await storage.transaction(async (tx) => {
+      for (const [index, { userId, email, name, role, locale }] of users.entries()) {
+        await tx.users.create({ userId, email, password: passwords[index], name, role, locale, emailVerifiedAt: new Date() });
+      }
+    });
 
-    // Get updated developer
-    const [updatedDevelopers] = await pool.execute(
-      'SELECT * FROM developers WHERE id = ?',
-      [req.params.id]
-    );
+    await recordAudit(req, { action: 'user.import', metadata: { rows: users.length } });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Profil başarıyla güncellendi',
-      data: updatedDevelopers[0]
+      code: 'import_completed',
+      data: {
+        ...summary,
+        created: users.map(({ row, userId, email, role, invite }) => ({ row, userId, email, role, invited: invite }))
+      }
     });
+
+    await sendInvitations(users.filter(user => user.invite), req.locale);
   } catch (error) {
-    console.error('Error updating developer:', error);
+    console.error('Error importing users:', error);
     res.status(500).json({
       success: false,
-      message: 'Profil güncellenirken hata oluştu'
+      code: 'import_failed'
     });
   }
 });
 
-// ==================== CONTACT ROUTES ====================
+// Import developer profiles (admin only). Each row's `email` names the student: existing student
+// accounts without a profile get one, unknown emails get a new student account.
+// Either every row is imported or none.
+app.post('/api/admin/import/developers', authenticateToken, isAdmin, validate({ query: importQuery }), async (req, res) => {
+  const existingUsers = new Map();
 
-// View a developer profile (companies only, with rate limit)
-app.post('/api/developers/:id/contact', authenticateToken, async (req, res) => {
   try {
-    // Get developer
-    const [developers] = await pool.execute(
-      'SELECT * FROM developers WHERE id = ?',
-      [req.params.id]
-    );
+    const prepared = await prepareImport(req, res, developerImportSchema, async (values) => {
+      const emails = values.filter(Boolean).map(row => row.email);
+      for (const user of await storage.users.findByEmails(emails)) {
+        existingUsers.set(user.email, user);
+      }
+      const profileOwners = new Set((await storage.developers.findByUserIds(
+        [...existingUsers.values()].map(user => user.userId)
+      )).map(developer => developer.userId));
 
-    if (developers.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Geliştirici bulunamadı'
-      });
+      return values.map((row, index) => {
+        const user = row && existingUsers.get(row.email);
+        if (!user) {
+          return null;
+        }
+        if (user.role !== 'student') {
+          return { row: index + 1, ...fieldError('email', 'not_student') };
+        }
+        return profileOwners.has(user.userId) && { row: index + 1, ...fieldError('email', 'profile_exists') };
+      }).filter(Boolean);
+    });
+    if (!prepared) {
+      return;
     }
 
-    const developer = developers[0];
+    const { values, summary } = prepared;
+    const passwords = await hashImportPasswords(values);
+    const developers = values.map(({ name, password, locale = null, skills = [], ...profile }, index) => {
+      const user = existingUsers.get(profile.email);
+      return {
+        row: index + 1,
+        id: generateId(),
+        userId: user ? user.userId : generateId(),
+        account: user ? null : { name: name || `${profile.firstName} ${profile.lastName}`, locale, invite: !password },
+        profile,
+        skills: normalizeSkills(skills)
+      };
+    });
 
-    // Can't view your own profile through this endpoint
-    if (developer.userId === req.user.userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Kendi profilinizi görüntüleyemezsiniz'
-      });
-    }
+    await storage.transaction(async (tx) => {
+      for (const [index, { id, userId, account, profile, skills }] of developers.entries()) {
+        if (account) {
+          await tx.users.create({
+            userId,
+            email: profile.email,
+            password: passwords[index],
+            name: account.name,
+            role: 'student',
+            locale: account.locale,
+            emailVerifiedAt: new Date()
+          });
+        }
+        await tx.developers.create({ github: null, linkedin: null, ...formatDateColumns(profile, ['availableFrom']), id, userId });
+        await tx.skills.setForDeveloper(id, skills);
+      }
+    });
 
-    // Students cannot view other students' profiles
-    if (req.user.role === 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Öğrenciler birbirlerinin profillerini görüntüleyemez'
-      });
-    }
+    await recordAudit(req, {
+      action: 'developer.import',
+      metadata: { rows: developers.length, accountsCreated: developers.filter(({ account }) => account).length }
+    });
 
-    const today = new Date().toISOString().split('T')[0];
+    res.status(201).json({
+      success: true,
+      code: 'import_completed',
+      data: {
+        ...summary,
+        created: developers.map(({ row, id, userId, account, profile }) => ({
+          row,
+          developerId: id,
+          userId,
+          email: profile.email,
+          accountCreated: Boolean(account),
+          invited: Boolean(account && account.invite)
+        }))
+      }
+    });
 
-    // Check if already viewed today (for companies)
-    const [existingContacts] = await pool.execute(
-      'SELECT id FROM contacts WHERE userId = ? AND developerId = ? AND date = ?',
-      [req.user.userId, req.params.id, today]
+    await sendInvitations(
+      developers
+        .filter(({ account }) => account && account.invite)
+        .map(({ userId, account, profile }) => ({ userId, email: profile.email, name: account.name, locale: account.locale })),
+      req.locale
     );
+  } catch (error) {
+    console.error('Error importing developers:', error);
+    res.status(500).json({
+      success: false,
+      code: 'import_failed'
+    });
+  }
+});
 
-    const alreadyViewed = existingContacts.length > 0;
+// ==================== ADMIN AUDIT LOG ROUTES ====================
 
-    // Rate limiting for companies (10 per day) - only for new views
-    if (req.user.role === 'company' && !alreadyViewed) {
-      // Check contact limit for companies (only count unique developers viewed today)
-      const [uniqueContactsToday] = await pool.execute(
-        'SELECT COUNT(DISTINCT developerId) as count FROM contacts WHERE userId = ? AND date = ?',
-        [req.user.userId, today]
-      );
+const auditLogQuery = {
+  actorUserId: { type: 'string', maxLength: 36 },
+  targetType: { type: 'string', maxLength: 50 },
+  targetId: { type: 'string', maxLength: 36 },
+  action: { type: 'list', enum: AUDIT_ACTIONS },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  ...paginationQuery
+};
 
-      if (uniqueContactsToday[0].count >= 10) {
-        return res.status(429).json({
-          success: false,
-          message: 'Günlük görüntüleme limitinize ulaştınız. Yarın tekrar deneyebilirsiniz.'
-        });
+// Query the audit log, most recent first (admin only). `from` and `to` are inclusive days.
+app.get('/api/admin/audit-log', authenticateToken, isAdmin, validate({ query: auditLogQuery }), async (req, res) => {
+  const { actorUserId, targetType, targetId, action: actions, page: pageNumber = 1, limit: pageSize } = req.query;
+  const from = req.query.from && toDateString(req.query.from);
+  const to = req.query.to && toDateString(req.query.to);
+  if (from && to && from > to) {
+    return sendValidationError(res, [fieldError('from', 'invalid_range', { other: 'to' })]);
+  }
+
+  try {
+    const offset = (pageNumber - 1) * pageSize;
+    const { total, entries } = await storage.auditLog.list({
+      actorUserId, targetType, targetId, actions, from, to, limit: pageSize, offset
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasNextPage: offset + entries.length < total,
+        nextPage: offset + entries.length < total ? pageNumber + 1 : null
       }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      code: 'audit_log_fetch_failed'
+    });
+  }
+});
 
-      // Create contact record only for new views
-      const contactId = Date.now().toString();
-      await pool.execute(
-        'INSERT INTO contacts (id, userId, developerId, date) VALUES (?, ?, ?, ?)',
-        [contactId, req.user.userId, req.params.id, today]
-      );
-    }
+// ==================== ADMIN COMPANY VERIFICATION ROUTES ====================
 
-    // Only companies can view profiles (students are blocked above)
-    
-    // Get remaining contacts (only for companies)
-    let remainingContacts = null;
-    if (req.user.role === 'company') {
-      const [uniqueContacts] = await pool.execute(
-        'SELECT COUNT(DISTINCT developerId) as count FROM contacts WHERE userId = ? AND date = ?',
-        [req.user.userId, today]
-      );
-      remainingContacts = 10 - uniqueContacts[0].count;
-    }
+const companyVerificationListQuery = {
+  status: { type: 'string', enum: COMPANY_VERIFICATION_STATUSES, default: 'pending' }
+};
 
+// List company profiles by verification status; defaults to the pending queue, oldest first (admin only)
+app.get('/api/admin/companies', authenticateToken, isAdmin, validate({ query: companyVerificationListQuery }), async (req, res) => {
+  try {
     res.json({
       success: true,
-      message: 'Profil başarıyla görüntülendi',
-      developer: developer, // Return full developer profile
-      remainingContacts: remainingContacts
+      data: await storage.companies.listByStatus(req.query.status)
     });
   } catch (error) {
-    console.error('Error contacting developer:', error);
+    console.error('Error fetching companies:', error);
     res.status(500).json({
       success: false,
-      message: 'İletişim kurulurken hata oluştu'
+      code: 'companies_fetch_failed'
     });
   }
 });
 
-// Get contact stats for current user (companies only)
-app.get('/api/contacts/stats', authenticateToken, isCompany, async (req, res) => {
+// Approve or reject a company profile (admin only)
+const setCompanyVerification = (status) => async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-    // Count unique developers viewed today (not total contact records)
-    const [contacts] = await pool.execute(
-      'SELECT COUNT(DISTINCT developerId) as count FROM contacts WHERE userId = ? AND date = ?',
-      [req.user.userId, today]
-    );
+    const { reason: note = null } = req.body;
+
+    if (status === 'rejected' && !note) {
+      return sendValidationError(res, [fieldError('reason', 'required')]);
+    }
+
+    const before = await storage.companies.findByUserId(req.params.userId);
+    const updated = before && await storage.companies.setVerification(req.params.userId, {
+      status,
+      note,
+      verifiedAt: status === 'verified' ? new Date() : null,
+      verifiedBy: req.user.userId
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        code: 'company_profile_not_found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'company.verification',
+      targetType: 'company',
+      targetId: req.params.userId,
+      changes: diffValues(
+        { verificationStatus: before.verificationStatus, verificationNote: before.verificationNote },
+        { verificationStatus: status, verificationNote: note }
+      )
+    });
 
     res.json({
       success: true,
-      stats: {
-        contactsToday: contacts[0].count,
-        remainingContacts: Math.max(0, 10 - contacts[0].count),
-        limit: 10
-      }
+      code: status === 'verified' ? 'company_verified' : 'company_verification_rejected',
+      data: await storage.companies.findByUserId(req.params.userId)
     });
   } catch (error) {
-    console.error('Error fetching contact stats:', error);
+    console.error('Error updating company verification:', error);
     res.status(500).json({
       success: false,
-      message: 'İstatistikler getirilirken hata oluştu'
+      code: 'company_verification_failed'
     });
   }
-});
+};
 
-// ==================== ADMIN ROUTES ====================
+const companyVerificationSchema = {
+  reason: moderationReasonRule
+};
 
-// Get all users (admin only)
-app.get('/api/admin/users', authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const [users] = await pool.execute(
-      'SELECT userId, email, name, role, createdAt FROM users ORDER BY createdAt DESC'
-    );
+app.post('/api/admin/companies/:userId/verify', authenticateToken, isAdmin, validate({ body: companyVerificationSchema }), setCompanyVerification('verified'));
+app.post('/api/admin/companies/:userId/reject', authenticateToken, isAdmin, validate({ body: companyVerificationSchema }), setCompanyVerification('rejected'));
+
+// ==================== ADMIN PLAN ROUTES ====================
+
+// Limits are null for unlimited
+const planFieldsSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  dailyContactLimit: { type: 'integer', required: true, nullable: true, min: 0 },
+  monthlyContactLimit: { type: 'integer', required: true, nullable: true, min: 0 }
+};
+
+const planSchema = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9-]{1,50}$/ },
+  ...planFieldsSchema
+};
+
+const planAssignmentSchema = {
+  planId: { type: 'string', required: true, maxLength: 50 }
+};
+
+const quotaBonusSchema = {
+  amount: { type: 'integer', required: true, min: 1 },
+  period: { type: 'string', enum: QUOTA_PERIODS, default: 'daily' },
+  reason: moderationReasonRule
+};
 
+// Get all plans (admin only)
+app.get('/api/admin/plans', authenticateToken, isAdmin, async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: users
+      data: await storage.plans.list()
     });
   } catch (error) {
-    console.error('Error fetching users:', error);
+    console.error('Error fetching plans:', error);
     res.status(500).json({
       success: false,
-      message: 'Kullanıcılar getirilirken hata oluştu'
+      code: 'plans_fetch_failed'
     });
   }
 });
 
-// Get all developers with full info (admin only)
-app.get('/api/admin/developers', authenticateToken, isAdmin, async (req, res) => {
+// Create plan (admin only)
+app.post('/api/admin/plans', authenticateToken, isAdmin, validate({ body: planSchema }), async (req, res) => {
   try {
-    const [developers] = await pool.execute(
-      'SELECT * FROM developers ORDER BY createdAt DESC'
-    );
+    await storage.plans.create(req.body);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: developers
+      code: 'plan_created',
+      data: await storage.plans.findById(req.body.id)
     });
   } catch (error) {
-    console.error('Error fetching developers:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        code: 'plan_exists'
+      });
+    }
+    console.error('Error creating plan:', error);
     res.status(500).json({
       success: false,
-      message: 'Geliştiriciler getirilirken hata oluştu'
+      code: 'plan_create_failed'
     });
   }
 });
 
-// Get all contacts (admin only)
-app.get('/api/admin/contacts', authenticateToken, isAdmin, async (req, res) => {
+// Update plan name or limits (admin only)
+app.put('/api/admin/plans/:id', authenticateToken, isAdmin, validate({ body: partial(planFieldsSchema) }), async (req, res) => {
   try {
-    const [contacts] = await pool.execute(
-      `SELECT c.*, u.name as userName, u.email as userEmail, 
-       d.firstName, d.lastName, d.email as developerEmail
-       FROM contacts c
-       LEFT JOIN users u ON c.userId = u.userId
-       LEFT JOIN developers d ON c.developerId = d.id
-       ORDER BY c.createdAt DESC`
-    );
+    const plan = await storage.plans.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        code: 'plan_not_found'
+      });
+    }
+
+    const updates = req.body;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'no_fields_to_update'
+      });
+    }
+
+    await storage.plans.update(plan.id, updates);
 
     res.json({
       success: true,
-      data: contacts
+      code: 'plan_updated',
+      data: await storage.plans.findById(plan.id)
     });
   } catch (error) {
-    console.error('Error fetching contacts:', error);
+    console.error('Error updating plan:', error);
     res.status(500).json({
       success: false,
-      message: 'İletişimler getirilirken hata oluştu'
+      code: 'plan_update_failed'
     });
   }
 });
 
-// Get statistics (admin only)
-app.get('/api/admin/stats', authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const [userStats] = await pool.execute(
-      'SELECT role, COUNT(*) as count FROM users GROUP BY role'
-    );
-    
-    const [developerStats] = await pool.execute(
-      'SELECT field, COUNT(*) as count FROM developers GROUP BY field'
-    );
-
-    const [workTypeStats] = await pool.execute(
-      'SELECT workType, COUNT(*) as count FROM developers GROUP BY workType'
-    );
+// Load a company user for plan management, or send a 404
+const findCompanyForAdmin = async (req, res) => {
+  const user = await storage.users.findById(req.params.userId);
+  if (!user || user.role !== 'company') {
+    res.status(404).json({
+      success: false,
+      code: 'company_not_found'
+    });
+    return null;
+  }
+  return { userId: user.userId, email: user.email, name: user.name };
+};
 
-    const [totalContacts] = await pool.execute(
-      'SELECT COUNT(*) as count FROM contacts'
-    );
+// Get a company's current quota (admin only)
+app.get('/api/admin/companies/:userId/quota', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const company = await findCompanyForAdmin(req, res);
+    if (!company) {
+      return;
+    }
 
-    const [todayContacts] = await pool.execute(
-      'SELECT COUNT(*) as count FROM contacts WHERE date = ?',
-      [new Date().toISOString().split('T')[0]]
-    );
+    const today = new Date().toISOString().split('T')[0];
 
     res.json({
       success: true,
       data: {
-        users: userStats,
-        developers: {
-          byField: developerStats,
-          byWorkType: workTypeStats,
-          total: developerStats.reduce((sum, stat) => sum + stat.count, 0)
-        },
-        contacts: {
-          total: totalContacts[0].count,
-          today: todayContacts[0].count
-        }
+        company,
+        ...(await getContactQuota(company.userId, today))
       }
     });
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error fetching company quota:', error);
     res.status(500).json({
       success: false,
-      message: 'İstatistikler getirilirken hata oluştu'
+      code: 'company_quota_fetch_failed'
     });
   }
 });
 
-// Delete user (admin only)
-app.delete('/api/admin/users/:userId', authenticateToken, isAdmin, async (req, res) => {
+// Assign a plan to a company (admin only)
+app.put('/api/admin/companies/:userId/plan', authenticateToken, isAdmin, validate({ body: planAssignmentSchema }), async (req, res) => {
   try {
-    const [users] = await pool.execute(
-      'SELECT userId FROM users WHERE userId = ?',
-      [req.params.userId]
-    );
+    const company = await findCompanyForAdmin(req, res);
+    if (!company) {
+      return;
+    }
 
-    if (users.length === 0) {
-      return res.status(404).json({
+    const plan = await storage.plans.findById(req.body.planId);
+    if (!plan) {
+      return res.status(400).json({
         success: false,
-        message: 'Kullanıcı bulunamadı'
+        code: 'invalid_plan'
       });
     }
 
-    await pool.execute('DELETE FROM users WHERE userId = ?', [req.params.userId]);
+    const previousPlanId = (await storage.plans.findSubscriptionPlanId(company.userId)) || DEFAULT_PLAN_ID;
+    await storage.plans.subscribe(company.userId, plan.id);
+    await recordAudit(req, {
+      action: 'company.plan_change',
+      targetType: 'company',
+      targetId: company.userId,
+      changes: diffValues({ planId: previousPlanId }, { planId: plan.id })
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    const quota = await getContactQuota(company.userId, today);
+    await publishContactQuota(company.userId, quota);
 
     res.json({
       success: true,
-      message: 'Kullanıcı başarıyla silindi'
+      code: 'company_plan_updated',
+      data: quota
     });
   } catch (error) {
-    console.error('Error deleting user:', error);
+    console.error('Error assigning plan:', error);
     res.status(500).json({
       success: false,
-      message: 'Kullanıcı silinirken hata oluştu'
+      code: 'plan_assign_failed'
     });
   }
 });
 
-// Delete developer (admin only)
-app.delete('/api/admin/developers/:id', authenticateToken, isAdmin, async (req, res) => {
+// Grant one-off extra contacts for the current day or month (admin only)
+app.post('/api/admin/companies/:userId/quota-bonus', authenticateToken, isAdmin, validate({ body: quotaBonusSchema }), async (req, res) => {
   try {
-    const [developers] = await pool.execute(
-      'SELECT id FROM developers WHERE id = ?',
-      [req.params.id]
-    );
-
-    if (developers.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Geliştirici bulunamadı'
-      });
+    const company = await findCompanyForAdmin(req, res);
+    if (!company) {
+      return;
     }
 
-    await pool.execute('DELETE FROM developers WHERE id = ?', [req.params.id]);
+    const { amount, period, reason = null } = req.body;
 
-    res.json({
+    const today = new Date().toISOString().split('T')[0];
+    const periodStart = period === 'daily' ? today : `${today.slice(0, 7)}-01`;
+
+    await storage.plans.addBonus({
+      userId: company.userId,
+      period,
+      periodStart,
+      amount,
+      reason,
+      grantedBy: req.user.userId
+    });
+
+    const quota = await getContactQuota(company.userId, today);
+    await publishContactQuota(company.userId, quota);
+
+    res.status(201).json({
       success: true,
-      message: 'Geliştirici başarıyla silindi'
+      code: 'quota_bonus_granted',
+      data: quota
     });
   } catch (error) {
-    console.error('Error deleting developer:', error);
+    console.error('Error granting quota bonus:', error);
     res.status(500).json({
       success: false,
-      message: 'Geliştirici silinirken hata oluştu'
+      code: 'quota_bonus_failed'
     });
   }
 });
@@ -877,25 +5057,112 @@ app.delete('/api/admin/developers/:id', authenticateToken, isAdmin, async (req,
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
-    message: 'Developer Directory API',
+    code: 'api_info',
     version: '2.0.0',
-    database: 'MySQL',
+    database: storage.label,
     endpoints: {
       'POST /api/auth/register': 'Register new user',
       'POST /api/auth/login': 'Login',
       'GET /api/auth/me': 'Get current user',
+      'PATCH /api/auth/me': 'Update current user preferences (locale)',
+      'POST /api/auth/refresh': 'Exchange refresh token for new tokens',
+      'POST /api/auth/logout': 'Logout (revoke current session)',
+      'POST /api/auth/logout-all': 'Logout from all sessions',
+      'GET /api/auth/sessions': 'List active sessions',
+      'POST /api/auth/forgot-password': 'Request password reset email',
+      'POST /api/auth/reset-password': 'Reset password with token',
+      'POST /api/auth/verify-email': 'Verify email with token',
+      'POST /api/auth/resend-verification': 'Resend verification email',
       'GET /api/developers': 'Get all developers (public)',
       'GET /api/developers/:id': 'Get developer by id (public)',
       'POST /api/developers': 'Create developer profile (student only)',
       'PUT /api/developers/:id': 'Update developer profile (student only)',
-      'POST /api/developers/:id/contact': 'Contact developer (student/company)',
+      'PUT /api/developers/:id/privacy': 'Update profile privacy settings (student only)',
+      'GET /api/developers/:id/{education,experience,projects}': 'List profile section entries (public)',
+      'POST /api/developers/:id/{education,experience,projects}': 'Add profile section entry (student only)',
+      'PUT /api/developers/:id/{education,experience,projects}/:entryId': 'Update profile section entry (student only)',
+      'DELETE /api/developers/:id/{education,experience,projects}/:entryId': 'Delete profile section entry (student only)',
+      'GET /api/developers/:id/blocked-companies': 'List blocked companies (student only)',
+      'POST /api/developers/:id/blocked-companies': 'Block a company (student only)',
+      'DELETE /api/developers/:id/blocked-companies/:companyUserId': 'Unblock a company (student only)',
+      'POST /api/developers/:id/contact': 'Send contact request to developer (company only)',
+      'GET /api/developers/:id/analytics': 'Profile views and contacts over time (student only)',
+      'GET /api/contacts/history': 'Developers viewed by the company (company only)',
+      'GET /api/contact-requests': 'List contact requests (inbox/outbox)',
+      'GET /api/contact-requests/:id': 'Get contact request with messages',
+      'POST /api/contact-requests/:id/accept': 'Accept contact request (student only)',
+      'POST /api/contact-requests/:id/decline': 'Decline contact request (student only)',
+      'POST /api/contact-requests/:id/messages': 'Send message in accepted contact request',
+      'POST /api/contact-requests/:id/read': 'Mark contact request messages as read',
       'GET /api/contacts/stats': 'Get contact stats (student only)',
+      'GET /api/shortlists': 'List own shortlists (company only)',
+      'POST /api/shortlists': 'Create shortlist (company only)',
+      'GET /api/shortlists/:id': 'Get shortlist with its developers (company only)',
+      'PUT /api/shortlists/:id': 'Rename shortlist (company only)',
+      'DELETE /api/shortlists/:id': 'Delete shortlist (company only)',
+      'POST /api/shortlists/:id/developers': 'Add developer to shortlist (company only)',
+      'DELETE /api/shortlists/:id/developers/:developerId': 'Remove developer from shortlist (company only)',
+      'GET /api/developers/:id/note': 'Get own private note on a developer (company only)',
+      'PUT /api/developers/:id/note': 'Save private note on a developer (company only)',
+      'DELETE /api/developers/:id/note': 'Delete private note on a developer (company only)',
+      'GET /api/saved-searches': 'List saved developer searches (company only)',
+      'POST /api/saved-searches': 'Save developer search (company only)',
+      'PUT /api/saved-searches/:id': 'Update saved search (company only)',
+      'DELETE /api/saved-searches/:id': 'Delete saved search (company only)',
+      'GET /api/saved-searches/:id/developers': 'Run saved search (company only)',
+      'GET /api/notifications': 'List own notifications',
+      'GET /api/notifications/unread-count': 'Get number of unread notifications',
+      'GET /api/notifications/preferences': 'Get digest frequency and muted notification types',
+      'PUT /api/notifications/preferences': 'Update digest frequency and muted notification types',
+      'POST /api/notifications/read-all': 'Mark all own notifications as read',
+      'POST /api/notifications/:id/read': 'Mark notification as read',
+      'GET /api/events': 'Server-Sent Events stream of the current user',
       'GET /api/admin/users': 'Get all users (admin only)',
       'GET /api/admin/developers': 'Get all developers (admin only)',
       'GET /api/admin/contacts': 'Get all contacts (admin only)',
-      'GET /api/admin/stats': 'Get statistics (admin only)',
-      'DELETE /api/admin/users/:userId': 'Delete user (admin only)',
-      'DELETE /api/admin/developers/:id': 'Delete developer (admin only)'
+      'GET /api/admin/users/export': 'Export users as CSV or NDJSON (admin only)',
+      'GET /api/admin/developers/export': 'Export developer profiles as CSV or NDJSON (admin only)',
+      'GET /api/admin/contacts/export': 'Export contacts as CSV or NDJSON (admin only)',
+      'POST /api/admin/import/users': 'Bulk import student and company accounts (admin only)',
+      'POST /api/admin/import/developers': 'Bulk import developer profiles (admin only)',
+      'GET /api/admin/stats': 'Get statistics with time series for a date range (admin only)',
+      'GET /api/admin/audit-log': 'Query the audit log of sensitive actions (admin only)',
+      'DELETE /api/admin/users/:userId': 'Soft-delete user (admin only)',
+      'POST /api/admin/users/:userId/restore': 'Restore soft-deleted user (admin only)',
+      'POST /api/admin/users': 'Create user with any role (admin only)',
+      'PATCH /api/admin/users/:userId/role': 'Change user role (admin only)',
+      'POST /api/admin/users/:userId/suspend': 'Suspend user (admin only)',
+      'POST /api/admin/users/:userId/unsuspend': 'Unsuspend user (admin only)',
+      'POST /api/admin/users/:userId/force-password-reset': 'Force password reset (admin only)',
+      'DELETE /api/admin/developers/:id': 'Soft-delete developer (admin only)',
+      'POST /api/admin/developers/:id/restore': 'Restore soft-deleted developer (admin only)',
+      'GET /api/skills': 'List skills with usage counts (public)',
+      'PUT /api/admin/skills/:id': 'Rename skill (admin only)',
+      'POST /api/admin/skills/:id/merge': 'Merge duplicate skill into another (admin only)',
+      'GET /api/companies/me': 'Get own company profile (company only)',
+      'POST /api/companies': 'Create company profile (company only)',
+      'PUT /api/companies/me': 'Update own company profile (company only)',
+      'DELETE /api/companies/me': 'Delete own company profile (company only)',
+      'GET /api/companies/:userId': 'Get company profile',
+      'GET /api/jobs': 'List active job postings (public)',
+      'GET /api/jobs/mine': 'List own job postings (company only)',
+      'GET /api/jobs/:id': 'Get job posting (public)',
+      'POST /api/jobs': 'Create job posting (verified company only)',
+      'PUT /api/jobs/:id': 'Update job posting (company only)',
+      'DELETE /api/jobs/:id': 'Delete job posting (owner or admin)',
+      'POST /api/jobs/:id/apply': 'Apply to job posting (student only)',
+      'GET /api/jobs/:id/applications': 'List job applications (company only)',
+      'GET /api/applications/mine': 'List own applications (student only)',
+      'PATCH /api/applications/:id/status': 'Update application status (company only)',
+      'GET /api/admin/companies': 'List companies by verification status (admin only)',
+      'POST /api/admin/companies/:userId/verify': 'Verify company (admin only)',
+      'POST /api/admin/companies/:userId/reject': 'Reject company (admin only)',
+      'GET /api/admin/plans': 'List contact quota plans (admin only)',
+      'POST /api/admin/plans': 'Create plan (admin only)',
+      'PUT /api/admin/plans/:id': 'Update plan (admin only)',
+      'GET /api/admin/companies/:userId/quota': 'Get company quota (admin only)',
+      'PUT /api/admin/companies/:userId/plan': 'Assign plan to company (admin only)',
+      'POST /api/admin/companies/:userId/quota-bonus': 'Grant extra contacts (admin only)'
     }
   });
 });
@@ -903,20 +5170,40 @@ app.get('/', (req, res) => {
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    const connected = await testConnection();
+    const connected = await storage.healthCheck();
     res.json({
       status: connected ? 'OK' : 'ERROR',
-      message: connected ? 'Server is running' : 'Database connection failed',
-      database: 'MySQL'
+      code: connected ? 'server_running' : 'database_unavailable',
+      database: storage.label
     });
   } catch (error) {
     res.status(500).json({
       status: 'ERROR',
-      message: 'Health check failed',
+      code: 'health_check_failed',
       error: error.message
     });
   }
 });
 
-// Start server
-startServer();
+// Unknown routes and malformed request bodies also answer with a code
+app.use((req, res) => {
+  res.status(404).json({ success: false, code: 'not_found' });
+});
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, code: 'payload_too_large' });
+  }
+  console.error('Unhandled error:', err);
+  res.status(err.status || 500).json({ success: false, code: 'error' });
+});
+
+// Start server (when required, e.g. by integration tests, the app is only exported)
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, storage };
@@ -0,0 +1,27 @@
+const { createMysqlStorage } = require('./mysql');
+const { createMemoryStorage } = require('./memory');
+
+// Storage drivers share one interface:
+//   { name, label, init(), healthCheck(), transaction(fn), ...repositories }
+// Repositories: users, sessions, userTokens, developers, skills, contacts, profileViews,
+// contactRequests, companies, jobs, applications, plans, auditLog, rateLimits, shortlists,
+// developerNotes, developerEducation, developerExperience, developerProjects, savedSearches,
+// notifications and legacyIds. transaction(fn) calls fn with the same repositories bound to one
+// transaction; it commits when fn resolves and rolls back when it throws.
+// The active driver is selected with STORAGE_DRIVER (mysql or memory).
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'mysql') => {
+  switch (driver) {
+    case 'mysql':
+      return createMysqlStorage();
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  storage: createStorage()
+};
@@ -0,0 +1,342 @@
+// Table store behind the memory storage driver.
+// It mirrors the parts of the MySQL schema the repositories rely on: primary and unique
+// keys (violations raise ER_DUP_ENTRY like mysql2), column defaults, AUTO_INCREMENT ids,
+// ON UPDATE CURRENT_TIMESTAMP columns and ON DELETE CASCADE foreign keys (ON DELETE SET NULL
+// for the columns listed in `setNull`).
+// Keep it in sync with the migrations when tables or columns change.
+
+const TABLES = {
+  users: {
+    primaryKey: ['userId'],
+    unique: [['email']],
+    defaults: {
+      emailVerifiedAt: null,
+      suspendedAt: null,
+      suspendedReason: null,
+      passwordResetRequired: false,
+      locale: null,
+      deletedAt: null,
+      deletedBy: null
+    }
+  },
+  sessions: {
+    primaryKey: ['id'],
+    defaults: { userAgent: null, ip: null, revokedAt: null },
+    currentTimestamp: ['lastUsedAt'],
+    references: { userId: 'users.userId' }
+  },
+  refresh_tokens: {
+    primaryKey: ['tokenHash'],
+    defaults: { usedAt: null },
+    references: { sessionId: 'sessions.id' }
+  },
+  user_tokens: {
+    primaryKey: ['tokenHash'],
+    defaults: { usedAt: null },
+    references: { userId: 'users.userId' }
+  },
+  developers: {
+    primaryKey: ['id'],
+    unique: [['userId']],
+    defaults: {
+      github: null,
+      linkedin: null,
+      visibility: 'public',
+      emailVisibility: 'contacts',
+      githubVisibility: 'contacts',
+      linkedinVisibility: 'contacts',
+      headline: null,
+      bio: null,
+      city: null,
+      country: null,
+      yearsOfExperience: null,
+      availableFrom: null,
+      updatedAt: null,
+      deletedAt: null,
+      deletedBy: null
+    },
+    onUpdate: 'updatedAt',
+    references: { userId: 'users.userId' }
+  },
+  developer_blocks: {
+    primaryKey: ['developerId', 'companyUserId'],
+    references: { developerId: 'developers.id', companyUserId: 'users.userId' }
+  },
+  skills: {
+    primaryKey: ['id'],
+    unique: [['slug']],
+    autoIncrement: 'id'
+  },
+  developer_skills: {
+    primaryKey: ['developerId', 'skillId'],
+    defaults: { level: 'intermediate' },
+    references: { developerId: 'developers.id', skillId: 'skills.id' }
+  },
+  contacts: {
+    primaryKey: ['id'],
+    unique: [['userId', 'developerId', 'date']],
+    references: { userId: 'users.userId', developerId: 'developers.id' },
+    setNull: ['userId', 'developerId']
+  },
+  profile_views: {
+    primaryKey: ['companyUserId', 'developerId', 'date'],
+    defaults: { views: 1 },
+    currentTimestamp: ['lastViewedAt'],
+    references: { companyUserId: 'users.userId', developerId: 'developers.id' }
+  },
+  contact_requests: {
+    primaryKey: ['id'],
+    unique: [['companyUserId', 'developerId']],
+    defaults: { status: 'pending', respondedAt: null },
+    currentTimestamp: ['updatedAt'],
+    onUpdate: 'updatedAt',
+    references: { companyUserId: 'users.userId', developerId: 'developers.id' }
+  },
+  contact_messages: {
+    primaryKey: ['id'],
+    autoIncrement: 'id',
+    defaults: { readAt: null },
+    references: { requestId: 'contact_requests.id', senderUserId: 'users.userId' }
+  },
+  plans: {
+    primaryKey: ['id'],
+    defaults: { dailyContactLimit: null, monthlyContactLimit: null, updatedAt: null },
+    onUpdate: 'updatedAt'
+  },
+  company_subscriptions: {
+    primaryKey: ['userId'],
+    defaults: { updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { userId: 'users.userId' }
+  },
+  quota_bonuses: {
+    primaryKey: ['id'],
+    autoIncrement: 'id',
+    defaults: { reason: null, grantedBy: null },
+    references: { userId: 'users.userId' }
+  },
+  companies: {
+    primaryKey: ['userId'],
+    defaults: {
+      website: null,
+      size: null,
+      sector: null,
+      location: null,
+      logoUrl: null,
+      verificationStatus: 'pending',
+      verificationNote: null,
+      verifiedAt: null,
+      verifiedBy: null,
+      updatedAt: null
+    },
+    onUpdate: 'updatedAt',
+    references: { userId: 'users.userId' }
+  },
+  job_postings: {
+    primaryKey: ['id'],
+    defaults: {
+      location: null,
+      salaryMin: null,
+      salaryMax: null,
+      salaryCurrency: 'TRY',
+      status: 'open',
+      expiresAt: null,
+      updatedAt: null
+    },
+    onUpdate: 'updatedAt',
+    references: { companyUserId: 'users.userId' }
+  },
+  job_applications: {
+    primaryKey: ['id'],
+    unique: [['jobId', 'developerId']],
+    defaults: { coverLetter: null, status: 'applied', updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { jobId: 'job_postings.id', developerId: 'developers.id' }
+  },
+  audit_log: {
+    primaryKey: ['id'],
+    defaults: {
+      actorUserId: null,
+      targetType: null,
+      targetId: null,
+      ip: null,
+      userAgent: null,
+      changes: null,
+      metadata: null
+    }
+  },
+  rate_limits: {
+    primaryKey: ['limitKey']
+  },
+  shortlists: {
+    primaryKey: ['id'],
+    unique: [['companyUserId', 'name']],
+    defaults: { updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { companyUserId: 'users.userId' }
+  },
+  shortlist_developers: {
+    primaryKey: ['shortlistId', 'developerId'],
+    references: { shortlistId: 'shortlists.id', developerId: 'developers.id' }
+  },
+  developer_notes: {
+    primaryKey: ['companyUserId', 'developerId'],
+    defaults: { updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { companyUserId: 'users.userId', developerId: 'developers.id' }
+  },
+  developer_education: {
+    primaryKey: ['id'],
+    defaults: { degree: null, fieldOfStudy: null, startDate: null, endDate: null, description: null, updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { developerId: 'developers.id' }
+  },
+  developer_experience: {
+    primaryKey: ['id'],
+    defaults: { location: null, endDate: null, description: null, updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { developerId: 'developers.id' }
+  },
+  developer_projects: {
+    primaryKey: ['id'],
+    defaults: { description: null, url: null, repositoryUrl: null, startDate: null, endDate: null, updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { developerId: 'developers.id' }
+  },
+  saved_searches: {
+    primaryKey: ['id'],
+    unique: [['companyUserId', 'name']],
+    defaults: { lastRunAt: null, updatedAt: null },
+    onUpdate: 'updatedAt',
+    references: { companyUserId: 'users.userId' }
+  },
+  notifications: {
+    primaryKey: ['id'],
+    defaults: { data: null, readAt: null },
+    references: { userId: 'users.userId' }
+  },
+  notification_preferences: {
+    primaryKey: ['userId'],
+    defaults: { digestFrequency: 'weekly', mutedTypes: null, lastDigestAt: null },
+    currentTimestamp: ['updatedAt'],
+    onUpdate: 'updatedAt',
+    references: { userId: 'users.userId' }
+  }
+};
+
+const duplicateEntryError = (table, columns) => {
+  const error = new Error(`Duplicate entry for key '${table}.${columns.join('_')}'`);
+  error.code = 'ER_DUP_ENTRY';
+  return error;
+};
+
+// Dates are compared by value, everything else as is
+const keyOf = (row, columns) => JSON.stringify(columns.map(column =>
+  (row[column] instanceof Date ? row[column].getTime() : row[column])
+));
+
+const createStore = () => {
+  let tables;
+  let sequences;
+
+  const reset = () => {
+    tables = Object.fromEntries(Object.keys(TABLES).map(name => [name, []]));
+    sequences = Object.fromEntries(Object.keys(TABLES).map(name => [name, 0]));
+  };
+  reset();
+
+  // Rows are handed out as copies so callers cannot change stored data by accident
+  const copy = (row) => ({ ...row });
+
+  const checkUnique = (name, row, current) => {
+    const { primaryKey, unique = [] } = TABLES[name];
+    for (const columns of [primaryKey, ...unique]) {
+      const key = keyOf(row, columns);
+      if (tables[name].some(other => other !== current && keyOf(other, columns) === key)) {
+        throw duplicateEntryError(name, columns);
+      }
+    }
+  };
+
+  const insert = (name, values) => {
+    const schema = TABLES[name];
+    const now = new Date();
+    const row = { createdAt: now, ...schema.defaults };
+    for (const column of schema.currentTimestamp || []) {
+      row[column] = now;
+    }
+    Object.assign(row, values);
+
+    if (schema.autoIncrement && row[schema.autoIncrement] === undefined) {
+      row[schema.autoIncrement] = sequences[name] + 1;
+    }
+    checkUnique(name, row);
+
+    if (schema.autoIncrement) {
+      sequences[name] = Math.max(sequences[name], row[schema.autoIncrement]);
+    }
+    tables[name].push(row);
+    return copy(row);
+  };
+
+  const select = (name, predicate = () => true) => tables[name].filter(predicate).map(copy);
+
+  const selectOne = (name, predicate) => {
+    const row = tables[name].find(predicate);
+    return row ? copy(row) : null;
+  };
+
+  // `changes` is an object or a function of the current row. Returns the number of updated rows.
+  const update = (name, predicate, changes) => {
+    const schema = TABLES[name];
+    const rows = tables[name].filter(predicate);
+
+    for (const row of rows) {
+      const values = typeof changes === 'function' ? changes(copy(row)) : changes;
+      const next = { ...row, ...values };
+      if (schema.onUpdate && values[schema.onUpdate] === undefined) {
+        next[schema.onUpdate] = new Date();
+      }
+      checkUnique(name, next, row);
+      Object.assign(row, next);
+    }
+    return rows.length;
+  };
+
+  // Delete matching rows and cascade to rows referencing them (or clear the reference).
+  // Returns the number of deleted rows.
+  const remove = (name, predicate) => {
+    const removed = tables[name].filter(predicate);
+    if (removed.length === 0) {
+      return 0;
+    }
+    tables[name] = tables[name].filter(row => !removed.includes(row));
+
+    for (const [child, schema] of Object.entries(TABLES)) {
+      for (const [column, target] of Object.entries(schema.references || {})) {
+        const [parent, parentColumn] = target.split('.');
+        if (parent === name) {
+          const keys = new Set(removed.map(row => row[parentColumn]));
+          if ((schema.setNull || []).includes(column)) {
+            // Like MySQL, NULLs never collide in unique keys, so no uniqueness check here
+            tables[child].filter(row => keys.has(row[column])).forEach(row => { row[column] = null; });
+          } else {
+            remove(child, row => keys.has(row[column]));
+          }
+        }
+      }
+    }
+    return removed.length;
+  };
+
+  // Full copies of the data, used to roll back transactions
+  const snapshot = () => structuredClone({ tables, sequences });
+
+  const restore = (state) => {
+    ({ tables, sequences } = state);
+  };
+
+  return { insert, select, selectOne, update, remove, snapshot, restore, reset };
+};
+
+module.exports = { createStore, TABLES };
@@ -0,0 +1,1247 @@
+const bcrypt = require('bcryptjs');
+const { generateId } = require('../ids');
+const { createStore } = require('./memory-store');
+
+// In-memory storage driver: runs the whole API without a database service (local development, CI).
+// Data lives in the process and is lost when it stops. Repository methods mirror storage/mysql.js
+// and must return the same row shapes.
+
+// Same defaults as the 007_plans migration
+const DEFAULT_PLANS = [
+  { id: 'free', name: 'Free', dailyContactLimit: 10, monthlyContactLimit: 100 },
+  { id: 'pro', name: 'Pro', dailyContactLimit: 50, monthlyContactLimit: 1000 },
+  { id: 'enterprise', name: 'Enterprise', dailyContactLimit: 200, monthlyContactLimit: null }
+];
+
+// Order of the developer_skills.level ENUM, used to keep the higher level when merging skills
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Compare like MySQL does for our columns: NULL first, dates by time, strings case-insensitively
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return -1;
+  }
+  if (b === null || b === undefined) {
+    return 1;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+// Sort rows by [column, 'asc' | 'desc'] pairs
+const sortBy = (rows, order) => [...rows].sort((a, b) => {
+  for (const [column, direction] of order) {
+    const result = compareValues(a[column], b[column]);
+    if (result !== 0) {
+      return direction === 'desc' ? -result : result;
+    }
+  }
+  return 0;
+});
+
+// Case-insensitive substring match, like LIKE '%needle%'
+const contains = (value, needle) =>
+  value !== null && value !== undefined && String(value).toLowerCase().includes(needle.toLowerCase());
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+// Rows per value of a column, shaped like `SELECT column, COUNT(*) as count ... GROUP BY column`
+const countBy = (rows, column) => {
+  const counts = new Map();
+  for (const row of rows) {
+    counts.set(row[column], (counts.get(row[column]) || 0) + 1);
+  }
+  return [...counts].map(([value, count]) => ({ [column]: value, count }));
+};
+
+// YYYY-MM-DD day of a DATETIME value, like DATE_FORMAT(column, '%Y-%m-%d')
+const toDay = (value) => new Date(value).toISOString().split('T')[0];
+
+// Rows whose day is between two dates (inclusive), grouped by day: [[date, rows], ...]
+const groupByDay = (rows, dayOf, from, to) => {
+  const days = new Map();
+  for (const row of rows) {
+    const date = dayOf(row);
+    if (date >= from && date <= to) {
+      days.set(date, [...(days.get(date) || []), row]);
+    }
+  }
+  return [...days];
+};
+
+const sum = (rows, column) => rows.reduce((total, row) => total + row[column], 0);
+
+// One batch of an export listing, like exportConditions in storage/mysql.js: rows whose day is
+// between `from` and `to` (inclusive), in ID order after the ID `after`
+const exportBatch = (rows, { idColumn, dayOf, from, to, after, limit }) => rows
+  .filter(row => (!from || dayOf(row) >= from) && (!to || dayOf(row) <= to) && (!after || row[idColumn] > after))
+  .sort((a, b) => (a[idColumn] < b[idColumn] ? -1 : 1))
+  .slice(0, limit);
+
+// Soft-deleted users and profiles are left out like in storage/mysql.js (see notDeleted there)
+const isVisible = (includeDeleted) => (row) => includeDeleted || !row.deletedAt;
+
+const createUserRepository = (store) => {
+  const byId = (userId) => (user) => user.userId === userId;
+  const listColumns = [
+    'userId', 'email', 'name', 'role', 'emailVerifiedAt', 'suspendedAt', 'suspendedReason', 'passwordResetRequired',
+    'deletedAt', 'deletedBy', 'createdAt'
+  ];
+
+  return {
+    findById: (userId, { includeDeleted = false } = {}) =>
+      store.selectOne('users', user => byId(userId)(user) && isVisible(includeDeleted)(user)),
+
+    findByEmail: (email, { includeDeleted = false } = {}) =>
+      store.selectOne('users', user => user.email === email && isVisible(includeDeleted)(user)),
+
+    list: ({ deleted = false } = {}) => sortBy(
+      store.select('users', user => Boolean(user.deletedAt) === deleted),
+      [['createdAt', 'desc']]
+    ).map(user => pick(user, listColumns)),
+
+    listForExport: ({ roles, suspended, deleted = false, from, to, after, limit }) => exportBatch(
+      store.select('users', user =>
+        Boolean(user.deletedAt) === deleted &&
+        (!roles || roles.includes(user.role)) && (suspended === undefined || Boolean(user.suspendedAt) === suspended)
+      ),
+      { idColumn: 'userId', dayOf: user => toDay(user.createdAt), from, to, after, limit }
+    ).map(user => pick(user, listColumns)),
+
+    findByEmails: (emails) => store.select('users', user => emails.includes(user.email))
+      .map(user => pick(user, ['userId', 'email', 'name', 'role'])),
+
+    create: ({ userId, email, password, name, role, emailVerifiedAt = null, locale = null }) => {
+      store.insert('users', { userId, email, password, name, role, emailVerifiedAt, locale });
+    },
+
+    // Transactions run one at a time, so there is nothing to lock
+    lock: () => {},
+
+    markEmailVerified: (userId) => {
+      store.update('users', byId(userId), user => ({ emailVerifiedAt: user.emailVerifiedAt || new Date() }));
+    },
+
+    resetPassword: (userId, hashedPassword) => {
+      store.update('users', byId(userId), user => ({
+        password: hashedPassword,
+        passwordResetRequired: false,
+        emailVerifiedAt: user.emailVerifiedAt || new Date()
+      }));
+    },
+
+    requirePasswordReset: (userId) => {
+      store.update('users', byId(userId), { passwordResetRequired: true });
+    },
+
+    setRole: (userId, role) => {
+      store.update('users', byId(userId), { role });
+    },
+
+    setLocale: (userId, locale) => {
+      store.update('users', byId(userId), { locale });
+    },
+
+    suspend: (userId, reason) => {
+      store.update('users', byId(userId), user => ({ suspendedAt: user.suspendedAt || new Date(), suspendedReason: reason }));
+    },
+
+    unsuspend: (userId) => {
+      store.update('users', byId(userId), { suspendedAt: null, suspendedReason: null });
+    },
+
+    softDelete: (userId, deletedBy, deletedAt) =>
+      store.update('users', user => byId(userId)(user) && !user.deletedAt, { deletedAt, deletedBy }),
+
+    restore: (userId) =>
+      store.update('users', user => byId(userId)(user) && Boolean(user.deletedAt), { deletedAt: null, deletedBy: null }),
+
+    purgeDeleted: (before) => store.remove('users', user => Boolean(user.deletedAt) && user.deletedAt < before),
+
+    countActiveAdmins: (excludeUserId) => store.select('users', user =>
+      user.role === 'admin' && !user.suspendedAt && !user.deletedAt && user.userId !== excludeUserId
+    ).length,
+
+    countByRole: () => countBy(store.select('users', isVisible(false)), 'role'),
+
+    countCreatedByDay: (from, to) => groupByDay(store.select('users'), user => toDay(user.createdAt), from, to)
+      .flatMap(([date, users]) => countBy(users, 'role').map(stat => ({ date, ...stat }))),
+
+    countStudentConversion: (from, to) => {
+      const students = store.select('users', user =>
+        user.role === 'student' && toDay(user.createdAt) >= from && toDay(user.createdAt) <= to
+      );
+      const profiles = students
+        .map(student => store.selectOne('developers', dev => dev.userId === student.userId))
+        .filter(Boolean);
+      return {
+        students: students.length,
+        withProfile: profiles.length,
+        contacted: profiles.filter(dev => store.selectOne('contact_requests', r => r.developerId === dev.id)).length
+      };
+    }
+  };
+};
+
+const createSessionRepository = (store) => ({
+  create: ({ id, userId, userAgent, ip }) => {
+    store.insert('sessions', { id, userId, userAgent, ip });
+  },
+
+  findWithUser: (sessionId, userId) => {
+    const session = store.selectOne('sessions', s => s.id === sessionId && s.userId === userId);
+    const user = session && store.selectOne('users', u => u.userId === session.userId);
+    if (!user) {
+      return null;
+    }
+    return { ...pick(user, ['userId', 'email', 'role', 'emailVerifiedAt', 'suspendedAt', 'locale']), revokedAt: session.revokedAt };
+  },
+
+  listActive: (userId) => sortBy(
+    store.select('sessions', session => session.userId === userId && !session.revokedAt),
+    [['lastUsedAt', 'desc']]
+  ).map(session => pick(session, ['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt'])),
+
+  touch: (sessionId) => {
+    store.update('sessions', session => session.id === sessionId, { lastUsedAt: new Date() });
+  },
+
+  revoke: (sessionId) => {
+    store.update('sessions', session => session.id === sessionId && !session.revokedAt, { revokedAt: new Date() });
+  },
+
+  revokeAllForUser: (userId) =>
+    store.update('sessions', session => session.userId === userId && !session.revokedAt, { revokedAt: new Date() }),
+
+  createRefreshToken: ({ tokenHash, sessionId, expiresAt }) => {
+    store.insert('refresh_tokens', { tokenHash, sessionId, expiresAt });
+  },
+
+  findRefreshToken: (tokenHash) => {
+    const token = store.selectOne('refresh_tokens', t => t.tokenHash === tokenHash);
+    const session = token && store.selectOne('sessions', s => s.id === token.sessionId);
+    const user = session && store.selectOne('users', u => u.userId === session.userId);
+    if (!user) {
+      return null;
+    }
+    return {
+      ...pick(token, ['sessionId', 'expiresAt', 'usedAt']),
+      revokedAt: session.revokedAt,
+      ...pick(user, ['userId', 'email', 'role', 'suspendedAt'])
+    };
+  },
+
+  useRefreshToken: (tokenHash) =>
+    store.update('refresh_tokens', token => token.tokenHash === tokenHash && !token.usedAt, { usedAt: new Date() }) > 0
+});
+
+const createUserTokenRepository = (store) => ({
+  invalidate: (userId, type) => {
+    store.update('user_tokens', token => token.userId === userId && token.type === type && !token.usedAt, { usedAt: new Date() });
+  },
+
+  create: ({ tokenHash, userId, type, expiresAt }) => {
+    store.insert('user_tokens', { tokenHash, userId, type, expiresAt });
+  },
+
+  consume: (tokenHash, type) => {
+    const now = new Date();
+    const updated = store.update(
+      'user_tokens',
+      token => token.tokenHash === tokenHash && token.type === type && !token.usedAt && token.expiresAt > now,
+      { usedAt: now }
+    );
+    if (updated === 0) {
+      return null;
+    }
+
+    const token = store.selectOne('user_tokens', t => t.tokenHash === tokenHash);
+    return token ? token.userId : null;
+  }
+});
+
+const createDeveloperRepository = (store) => {
+  const attachSkills = (developers) => developers.map(dev => ({
+    ...dev,
+    skills: sortBy(
+      store.select('developer_skills', link => link.developerId === dev.id).map(link => ({
+        ...pick(store.selectOne('skills', skill => skill.id === link.skillId), ['id', 'name', 'slug']),
+        level: link.level
+      })),
+      [['name', 'asc']]
+    )
+  }));
+
+  return {
+    findById: (id, { includeDeleted = false } = {}) =>
+      attachSkills(store.select('developers', dev => dev.id === id && isVisible(includeDeleted)(dev)))[0] || null,
+
+    findByUserId: (userId, { includeDeleted = false } = {}) =>
+      attachSkills(store.select('developers', dev => dev.userId === userId && isVisible(includeDeleted)(dev)))[0] || null,
+
+    findByIds: (ids) => attachSkills(store.select('developers', dev => ids.includes(dev.id) && !dev.deletedAt)),
+
+    list: ({
+      fields, workTypes, q, skillSlugs = [], match = 'all', sort, direction, limit, offset = 0, after,
+      visibilities = null, ownerUserId = null, blockedCompanyUserId = null
+    }) => {
+      const blockedIds = new Set(blockedCompanyUserId
+        ? store.select('developer_blocks', block => block.companyUserId === blockedCompanyUserId).map(block => block.developerId)
+        : []);
+
+      let developers = store.select('developers', dev =>
+        !dev.deletedAt &&
+        (!visibilities || visibilities.includes(dev.visibility) || dev.userId === ownerUserId) &&
+        !blockedIds.has(dev.id) &&
+        (!fields || fields.includes(dev.field)) &&
+        (!workTypes || workTypes.includes(dev.workType)) &&
+        (!q || [dev.firstName, dev.lastName, `${dev.firstName} ${dev.lastName}`].some(value => contains(value, q)))
+      );
+
+      if (skillSlugs.length > 0) {
+        // match=all requires every requested skill, match=any at least one of them
+        const skillIds = store.select('skills', skill => skillSlugs.includes(skill.slug)).map(skill => skill.id);
+        developers = developers.filter(dev => {
+          const matched = store.select('developer_skills', link => link.developerId === dev.id && skillIds.includes(link.skillId)).length;
+          return match === 'all' ? matched === skillSlugs.length : matched > 0;
+        });
+      }
+
+      // id is used as a tie breaker so ordering (and cursors) are stable
+      const ordered = sortBy(developers, [[sort, direction], ['id', direction]]);
+      const sign = direction === 'desc' ? -1 : 1;
+      const page = after
+        ? ordered.filter(dev => {
+          const result = compareValues(dev[sort], after.value) * sign;
+          return result > 0 || (result === 0 && compareValues(dev.id, after.id) * sign > 0);
+        }).slice(0, limit)
+        : ordered.slice(offset, offset + limit);
+
+      return { total: developers.length, developers: attachSkills(page) };
+    },
+
+    listAll: ({ deleted = false } = {}) => attachSkills(sortBy(
+      store.select('developers', dev => Boolean(dev.deletedAt) === deleted),
+      [['createdAt', 'desc']]
+    )),
+
+    listForExport: ({ fields, workTypes, visibilities, deleted = false, from, to, after, limit }) => attachSkills(exportBatch(
+      store.select('developers', dev =>
+        Boolean(dev.deletedAt) === deleted &&
+        (!fields || fields.includes(dev.field)) &&
+        (!workTypes || workTypes.includes(dev.workType)) &&
+        (!visibilities || visibilities.includes(dev.visibility))
+      ),
+      { idColumn: 'id', dayOf: dev => toDay(dev.createdAt), from, to, after, limit }
+    )),
+
+    findByUserIds: (userIds) => store.select('developers', dev => userIds.includes(dev.userId))
+      .map(dev => pick(dev, ['id', 'userId'])),
+
+    create: ({
+      id, userId, firstName, lastName, workType, field, github, linkedin, email,
+      headline = null, bio = null, city = null, country = null, yearsOfExperience = null, availableFrom = null
+    }) => {
+      store.insert('developers', {
+        id, userId, firstName, lastName, workType, field, github, linkedin, email,
+        headline, bio, city, country, yearsOfExperience, availableFrom
+      });
+    },
+
+    update: (id, values) => {
+      store.update('developers', dev => dev.id === id, values);
+    },
+
+    findCompanyRelations: (companyUserId, developerIds) => {
+      const jobIds = new Set(store.select('job_postings', job => job.companyUserId === companyUserId).map(job => job.id));
+      return store.select('developers', dev => developerIds.includes(dev.id)).map(dev => ({
+        id: dev.id,
+        blocked: Boolean(store.selectOne('developer_blocks', b => b.developerId === dev.id && b.companyUserId === companyUserId)),
+        connected: Boolean(
+          store.selectOne('contact_requests', r => r.developerId === dev.id && r.companyUserId === companyUserId && r.status === 'accepted') ||
+          store.selectOne('job_applications', a => a.developerId === dev.id && jobIds.has(a.jobId))
+        )
+      }));
+    },
+
+    listBlockedCompanies: (developerId) => sortBy(
+      store.select('developer_blocks', block => block.developerId === developerId),
+      [['createdAt', 'desc']]
+    ).map(block => ({
+      companyUserId: block.companyUserId,
+      name: store.selectOne('users', u => u.userId === block.companyUserId).name,
+      legalName: (store.selectOne('companies', c => c.userId === block.companyUserId) || {}).legalName || null,
+      createdAt: block.createdAt
+    })),
+
+    blockCompany: (developerId, companyUserId) => {
+      if (!store.selectOne('developer_blocks', b => b.developerId === developerId && b.companyUserId === companyUserId)) {
+        store.insert('developer_blocks', { developerId, companyUserId });
+      }
+    },
+
+    unblockCompany: (developerId, companyUserId) =>
+      store.remove('developer_blocks', b => b.developerId === developerId && b.companyUserId === companyUserId),
+
+    softDelete: (id, deletedBy, deletedAt) =>
+      store.update('developers', dev => dev.id === id && !dev.deletedAt, { deletedAt, deletedBy }),
+
+    restore: (id) =>
+      store.update('developers', dev => dev.id === id && Boolean(dev.deletedAt), { deletedAt: null, deletedBy: null }),
+
+    purgeDeleted: (before) => store.remove('developers', dev => Boolean(dev.deletedAt) && dev.deletedAt < before),
+
+    countByField: () => countBy(store.select('developers', isVisible(false)), 'field'),
+
+    countByWorkType: () => countBy(store.select('developers', isVisible(false)), 'workType'),
+
+    countCreatedByDay: (from, to) => groupByDay(store.select('developers'), dev => toDay(dev.createdAt), from, to)
+      .map(([date, developers]) => ({ date, count: developers.length }))
+  };
+};
+
+const createSkillRepository = (store) => {
+  // Route parameters arrive as strings; skill ids are numbers
+  const byId = (id) => (skill) => skill.id === Number(id);
+
+  const withDeveloperCount = (skill) => ({
+    ...pick(skill, ['id', 'name', 'slug']),
+    developerCount: store.select('developer_skills', link =>
+      link.skillId === skill.id && store.selectOne('developers', dev => dev.id === link.developerId && !dev.deletedAt)
+    ).length
+  });
+
+  return {
+    list: (q) => sortBy(
+      store.select('skills', skill => !q || contains(skill.name, q) || contains(skill.slug, q)).map(withDeveloperCount),
+      [['developerCount', 'desc'], ['name', 'asc']]
+    ),
+
+    findById: (id) => {
+      const skill = store.selectOne('skills', byId(id));
+      return skill && pick(skill, ['id', 'name', 'slug', 'createdAt']);
+    },
+
+    findBySlug: (slug) => {
+      const skill = store.selectOne('skills', s => s.slug === slug);
+      return skill && pick(skill, ['id', 'name', 'slug', 'createdAt']);
+    },
+
+    findWithDeveloperCount: (id) => {
+      const skill = store.selectOne('skills', byId(id));
+      return skill && withDeveloperCount(skill);
+    },
+
+    rename: (id, name, slug) => {
+      store.update('skills', byId(id), { name, slug });
+    },
+
+    setForDeveloper: (developerId, skills) => {
+      store.remove('developer_skills', link => link.developerId === developerId);
+
+      for (const skill of skills) {
+        const existing = store.selectOne('skills', s => s.slug === skill.slug);
+        const { id } = existing || store.insert('skills', { name: skill.name, slug: skill.slug });
+        store.insert('developer_skills', { developerId, skillId: id, level: skill.level });
+      }
+    },
+
+    merge: (sourceId, targetId) => {
+      for (const link of store.select('developer_skills', l => l.skillId === sourceId)) {
+        const isSameDeveloper = (l) => l.developerId === link.developerId && l.skillId === targetId;
+        const existing = store.selectOne('developer_skills', isSameDeveloper);
+        if (!existing) {
+          store.insert('developer_skills', { developerId: link.developerId, skillId: targetId, level: link.level });
+        } else if (SKILL_LEVELS.indexOf(link.level) > SKILL_LEVELS.indexOf(existing.level)) {
+          store.update('developer_skills', isSameDeveloper, { level: link.level });
+        }
+      }
+      store.remove('skills', skill => skill.id === sourceId);
+    }
+  };
+};
+
+const createContactRepository = (store) => {
+  // Shape of the contacts.listAll query in storage/mysql.js
+  const withNames = (contact) => {
+    const user = store.selectOne('users', u => u.userId === contact.userId) || {};
+    const developer = store.selectOne('developers', d => d.id === contact.developerId) || {};
+    return {
+      ...contact,
+      userName: user.name || null,
+      userEmail: user.email || null,
+      firstName: developer.firstName || null,
+      lastName: developer.lastName || null,
+      developerEmail: developer.email || null
+    };
+  };
+
+  return {
+    findForDay: (userId, developerId, date) => {
+      const contact = store.selectOne('contacts', c => c.userId === userId && c.developerId === developerId && c.date === date);
+      return contact && pick(contact, ['id']);
+    },
+
+    create: ({ id, userId, developerId, date }) => {
+      store.insert('contacts', { id, userId, developerId, date });
+    },
+
+    // Dates are YYYY-MM-DD strings, so they compare correctly as strings
+    countUsage: (userId, date, monthStart) => {
+      const contacts = store.select('contacts', c => c.userId === userId && c.date >= monthStart && c.date <= date);
+      return { daily: contacts.filter(c => c.date === date).length, monthly: contacts.length };
+    },
+
+    listAll: () => sortBy(store.select('contacts'), [['createdAt', 'desc']]).map(withNames),
+
+    listForExport: ({ userId, developerId, from, to, after, limit }) => exportBatch(
+      store.select('contacts', c => (!userId || c.userId === userId) && (!developerId || c.developerId === developerId)),
+      { idColumn: 'id', dayOf: contact => contact.date, from, to, after, limit }
+    ).map(withNames),
+
+    count: () => store.select('contacts').length,
+
+    countOnDate: (date) => store.select('contacts', contact => contact.date === date).length,
+
+    listForDeveloper: (developerId, from, to) => store.select('contacts', c =>
+      c.developerId === developerId && c.date >= from && c.date <= to
+    ).map(contact => pick(contact, ['userId', 'date'])),
+
+    countByDay: (from, to) => groupByDay(store.select('contacts'), contact => contact.date, from, to)
+      .map(([date, contacts]) => ({ date, count: contacts.length }))
+  };
+};
+
+const createProfileViewRepository = (store) => ({
+  record: ({ companyUserId, developerId, date }) => {
+    const matches = (view) => view.companyUserId === companyUserId && view.developerId === developerId && view.date === date;
+    if (!store.update('profile_views', matches, view => ({ views: view.views + 1, lastViewedAt: new Date() }))) {
+      store.insert('profile_views', { companyUserId, developerId, date });
+    }
+  },
+
+  listForDeveloper: (developerId, from, to) => sortBy(
+    store.select('profile_views', view => view.developerId === developerId && view.date >= from && view.date <= to),
+    [['date', 'asc']]
+  ).map(view => {
+    const user = store.selectOne('users', u => u.userId === view.companyUserId);
+    const company = store.selectOne('companies', c => c.userId === view.companyUserId) || {};
+    return {
+      ...pick(view, ['companyUserId', 'date', 'views', 'lastViewedAt']),
+      companyName: user.name,
+      companyLegalName: company.legalName || null,
+      companySector: company.sector || null,
+      companyLogoUrl: company.logoUrl || null,
+      companyVerificationStatus: company.verificationStatus || null
+    };
+  }),
+
+  listForCompany: (companyUserId, { limit, offset }) => {
+    const byDeveloper = new Map();
+    const deletedIds = new Set(store.select('developers', dev => Boolean(dev.deletedAt)).map(dev => dev.id));
+    for (const view of store.select('profile_views', v => v.companyUserId === companyUserId && !deletedIds.has(v.developerId))) {
+      const entry = byDeveloper.get(view.developerId);
+      if (!entry) {
+        byDeveloper.set(view.developerId, {
+          developerId: view.developerId,
+          views: view.views,
+          firstViewedAt: view.createdAt,
+          lastViewedAt: view.lastViewedAt
+        });
+      } else {
+        entry.views += view.views;
+        entry.firstViewedAt = compareValues(view.createdAt, entry.firstViewedAt) < 0 ? view.createdAt : entry.firstViewedAt;
+        entry.lastViewedAt = compareValues(view.lastViewedAt, entry.lastViewedAt) > 0 ? view.lastViewedAt : entry.lastViewedAt;
+      }
+    }
+
+    const views = sortBy([...byDeveloper.values()], [['lastViewedAt', 'desc'], ['developerId', 'desc']]);
+    return { total: views.length, views: views.slice(offset, offset + limit) };
+  },
+
+  countByDay: (from, to) => groupByDay(store.select('profile_views'), view => view.date, from, to)
+    .map(([date, views]) => ({ date, views: sum(views, 'views') })),
+
+  listTopDevelopers: (from, to, limit) => {
+    const byDeveloper = new Map();
+    for (const view of store.select('profile_views', v => v.date >= from && v.date <= to)) {
+      const entry = byDeveloper.get(view.developerId) || { developerId: view.developerId, views: 0, companyIds: new Set() };
+      entry.views += view.views;
+      entry.companyIds.add(view.companyUserId);
+      byDeveloper.set(view.developerId, entry);
+    }
+
+    const developers = [...byDeveloper.values()].map(({ companyIds, ...entry }) => {
+      const developer = store.selectOne('developers', dev => dev.id === entry.developerId);
+      return { ...entry, ...pick(developer, ['firstName', 'lastName', 'field']), companies: companyIds.size };
+    });
+    return sortBy(developers, [['views', 'desc'], ['companies', 'desc'], ['developerId', 'asc']]).slice(0, limit);
+  }
+});
+
+const createContactRequestRepository = (store) => {
+  // Shape of CONTACT_REQUEST_SELECT in storage/mysql.js
+  const withParties = (request) => {
+    const developer = store.selectOne('developers', d => d.id === request.developerId && !d.deletedAt);
+    const user = store.selectOne('users', u => u.userId === request.companyUserId && !u.deletedAt);
+    if (!developer || !user) {
+      return null;
+    }
+    const company = store.selectOne('companies', c => c.userId === request.companyUserId) || {};
+    return {
+      ...pick(request, ['id', 'companyUserId', 'developerId', 'status', 'createdAt', 'updatedAt', 'respondedAt']),
+      developerUserId: developer.userId,
+      firstName: developer.firstName,
+      lastName: developer.lastName,
+      developerEmail: developer.email,
+      github: developer.github,
+      linkedin: developer.linkedin,
+      emailVisibility: developer.emailVisibility,
+      githubVisibility: developer.githubVisibility,
+      linkedinVisibility: developer.linkedinVisibility,
+      companyBlocked: Boolean(store.selectOne('developer_blocks', b =>
+        b.developerId === request.developerId && b.companyUserId === request.companyUserId
+      )),
+      companyName: user.name,
+      companyEmail: user.email,
+      companyLegalName: company.legalName || null,
+      companyWebsite: company.website || null,
+      companySector: company.sector || null,
+      companyLogoUrl: company.logoUrl || null,
+      companyVerificationStatus: company.verificationStatus || null
+    };
+  };
+
+  const messageColumns = ['id', 'senderUserId', 'body', 'readAt', 'createdAt'];
+
+  return {
+    findByCompanyAndDeveloper: (companyUserId, developerId) => {
+      const request = store.selectOne('contact_requests', r => r.companyUserId === companyUserId && r.developerId === developerId);
+      return request && pick(request, ['id', 'status']);
+    },
+
+    create: ({ id, companyUserId, developerId }) => {
+      store.insert('contact_requests', { id, companyUserId, developerId });
+    },
+
+    findById: (id) => {
+      const request = store.selectOne('contact_requests', r => r.id === id);
+      return request && withParties(request);
+    },
+
+    listForUser: (userId, { asCompany, status }) => {
+      const requests = store.select('contact_requests', r => !status || r.status === status)
+        .map(withParties)
+        .filter(request => request && (asCompany ? request.companyUserId : request.developerUserId) === userId)
+        .map(request => ({
+          ...request,
+          unreadCount: store.select('contact_messages', m => m.requestId === request.id && m.senderUserId !== userId && !m.readAt).length
+        }));
+      return sortBy(requests, [['updatedAt', 'desc']]);
+    },
+
+    respond: (id, status) =>
+      store.update('contact_requests', r => r.id === id && r.status === 'pending', { status, respondedAt: new Date() }) > 0,
+
+    touch: (id) => {
+      store.update('contact_requests', r => r.id === id, { updatedAt: new Date() });
+    },
+
+    addMessage: ({ requestId, senderUserId, body }) =>
+      pick(store.insert('contact_messages', { requestId, senderUserId, body }), messageColumns),
+
+    listMessages: (requestId) => sortBy(
+      store.select('contact_messages', m => m.requestId === requestId),
+      [['id', 'asc']]
+    ).map(message => pick(message, messageColumns)),
+
+    markRead: (requestId, readerUserId) => store.update(
+      'contact_messages',
+      m => m.requestId === requestId && m.senderUserId !== readerUserId && !m.readAt,
+      { readAt: new Date() }
+    ),
+
+    countCreatedByDay: (from, to) => groupByDay(store.select('contact_requests'), r => toDay(r.createdAt), from, to)
+      .map(([date, requests]) => ({
+        date,
+        count: requests.length,
+        accepted: requests.filter(r => r.status === 'accepted').length
+      })),
+
+    listTopCompanies: (from, to, limit) => {
+      const byCompany = new Map();
+      for (const request of store.select('contact_requests', r => toDay(r.createdAt) >= from && toDay(r.createdAt) <= to)) {
+        const entry = byCompany.get(request.companyUserId) || { companyUserId: request.companyUserId, requests: 0, accepted: 0 };
+        entry.requests += 1;
+        entry.accepted += request.status === 'accepted' ? 1 : 0;
+        byCompany.set(request.companyUserId, entry);
+      }
+
+      return sortBy([...byCompany.values()], [['requests', 'desc'], ['accepted', 'desc'], ['companyUserId', 'asc']])
+        .slice(0, limit)
+        .map(entry => {
+          const user = store.selectOne('users', u => u.userId === entry.companyUserId);
+          const company = store.selectOne('companies', c => c.userId === entry.companyUserId) || {};
+          return {
+            companyUserId: entry.companyUserId,
+            companyName: user.name,
+            companyLegalName: company.legalName || null,
+            requests: entry.requests,
+            accepted: entry.accepted
+          };
+        });
+    }
+  };
+};
+
+const createCompanyRepository = (store) => {
+  const byUserId = (userId) => (company) => company.userId === userId;
+  const withAccount = (company) => {
+    const user = store.selectOne('users', u => u.userId === company.userId);
+    return user ? { ...company, name: user.name, email: user.email } : null;
+  };
+
+  return {
+    findByUserId: (userId) => store.selectOne('companies', byUserId(userId)),
+
+    findProfile: (userId) => {
+      const company = store.selectOne('companies', byUserId(userId));
+      const deleted = Boolean(store.selectOne('users', u => u.userId === userId && u.deletedAt));
+      const profile = company && !deleted && withAccount(company);
+      return profile && pick(profile, [
+        'userId', 'name', 'legalName', 'website', 'size', 'sector', 'location', 'logoUrl',
+        'verificationStatus', 'verifiedAt', 'createdAt'
+      ]);
+    },
+
+    create: (userId, values) => {
+      store.insert('companies', { userId, ...values });
+    },
+
+    update: (userId, values, { resetVerification = false } = {}) => {
+      const changes = resetVerification
+        ? { ...values, verificationStatus: 'pending', verificationNote: null, verifiedAt: null, verifiedBy: null }
+        : values;
+      store.update('companies', byUserId(userId), changes);
+    },
+
+    delete: (userId) => store.remove('companies', byUserId(userId)),
+
+    listByStatus: (status) => sortBy(
+      store.select('companies', company => company.verificationStatus === status),
+      [['createdAt', 'asc']]
+    ).map(withAccount).filter(Boolean),
+
+    setVerification: (userId, { status, note, verifiedAt, verifiedBy }) => store.update('companies', byUserId(userId), {
+      verificationStatus: status,
+      verificationNote: note,
+      verifiedAt,
+      verifiedBy
+    }) > 0
+  };
+};
+
+const createJobRepository = (store) => {
+  // A posting is listed publicly while it is open, not expired and its company is not deleted
+  const isActiveJob = (job) => job.status === 'open' && (!job.expiresAt || job.expiresAt > new Date()) &&
+    !store.selectOne('users', u => u.userId === job.companyUserId && u.deletedAt);
+
+  // Shape of JOB_SELECT in storage/mysql.js
+  const withCompany = (job) => {
+    const user = store.selectOne('users', u => u.userId === job.companyUserId && !u.deletedAt);
+    if (!user) {
+      return null;
+    }
+    const company = store.selectOne('companies', c => c.userId === job.companyUserId) || {};
+    return {
+      ...job,
+      companyName: user.name,
+      companyLegalName: company.legalName || null,
+      companyLogoUrl: company.logoUrl || null,
+      isActive: isActiveJob(job)
+    };
+  };
+
+  return {
+    listActive: ({ fields, workTypes, q, location, companyUserId, minSalary }, { limit, offset }) => {
+      const jobs = store.select('job_postings', job => {
+        // Postings without a salary range are excluded when a minimum salary is requested
+        const salary = job.salaryMax !== null ? job.salaryMax : job.salaryMin;
+        return isActiveJob(job) &&
+          (!fields || fields.includes(job.field)) &&
+          (!workTypes || workTypes.includes(job.workType)) &&
+          (!q || contains(job.title, q) || contains(job.description, q)) &&
+          (!location || contains(job.location, location)) &&
+          (!companyUserId || job.companyUserId === companyUserId) &&
+          (minSalary === undefined || (salary !== null && salary >= minSalary));
+      });
+
+      return {
+        total: jobs.length,
+        jobs: sortBy(jobs, [['createdAt', 'desc'], ['id', 'desc']]).slice(offset, offset + limit).map(withCompany)
+      };
+    },
+
+    listForCompany: (companyUserId) => sortBy(
+      store.select('job_postings', job => job.companyUserId === companyUserId),
+      [['createdAt', 'desc']]
+    ).map(job => ({
+      ...withCompany(job),
+      applicationCount: store.select('job_applications', application => application.jobId === job.id).length
+    })),
+
+    findById: (id) => {
+      const job = store.selectOne('job_postings', j => j.id === id);
+      return job && withCompany(job);
+    },
+
+    isActive: (id) => {
+      const job = store.selectOne('job_postings', j => j.id === id);
+      return Boolean(job && isActiveJob(job));
+    },
+
+    create: (id, companyUserId, values) => {
+      store.insert('job_postings', { id, companyUserId, ...values });
+    },
+
+    update: (id, values) => {
+      store.update('job_postings', job => job.id === id, values);
+    },
+
+    delete: (id) => store.remove('job_postings', job => job.id === id)
+  };
+};
+
+const createApplicationRepository = (store) => ({
+  create: ({ id, jobId, developerId, coverLetter }) => {
+    store.insert('job_applications', { id, jobId, developerId, coverLetter });
+  },
+
+  findById: (id) => {
+    const application = store.selectOne('job_applications', a => a.id === id);
+    return application && pick(application, ['id', 'jobId', 'developerId', 'status', 'coverLetter', 'createdAt', 'updatedAt']);
+  },
+
+  findWithCompany: (id) => {
+    const application = store.selectOne('job_applications', a => a.id === id);
+    const job = application && store.selectOne('job_postings', j => j.id === application.jobId);
+    return job ? { id: application.id, companyUserId: job.companyUserId } : null;
+  },
+
+  listForStudent: (userId) => {
+    const developerIds = store.select('developers', dev => dev.userId === userId).map(dev => dev.id);
+    const applications = store.select('job_applications', a => developerIds.includes(a.developerId)).map(application => {
+      const job = store.selectOne('job_postings', j => j.id === application.jobId);
+      const user = job && store.selectOne('users', u => u.userId === job.companyUserId);
+      if (!user) {
+        return null;
+      }
+      const company = store.selectOne('companies', c => c.userId === job.companyUserId) || {};
+      return {
+        ...pick(application, ['id', 'jobId', 'status', 'coverLetter', 'createdAt', 'updatedAt']),
+        ...pick(job, ['title', 'field', 'workType', 'location']),
+        jobStatus: job.status,
+        companyName: user.name,
+        companyLegalName: company.legalName || null
+      };
+    });
+    return sortBy(applications.filter(Boolean), [['createdAt', 'desc']]);
+  },
+
+  listForJob: (jobId, status) => sortBy(
+    store.select('job_applications', a =>
+      a.jobId === jobId && (!status || a.status === status) &&
+      Boolean(store.selectOne('developers', dev => dev.id === a.developerId && !dev.deletedAt))
+    ),
+    [['createdAt', 'asc']]
+  ).map(application => pick(application, ['id', 'developerId', 'status', 'coverLetter', 'createdAt', 'updatedAt'])),
+
+  setStatus: (id, status) => {
+    store.update('job_applications', a => a.id === id, { status });
+  }
+});
+
+const createPlanRepository = (store) => ({
+  list: () => sortBy(store.select('plans'), [['createdAt', 'asc']]).map(plan => ({
+    ...plan,
+    companyCount: store.select('company_subscriptions', subscription => subscription.planId === plan.id).length
+  })),
+
+  findById: (id) => store.selectOne('plans', plan => plan.id === id),
+
+  create: ({ id, name, dailyContactLimit, monthlyContactLimit }) => {
+    store.insert('plans', { id, name, dailyContactLimit, monthlyContactLimit });
+  },
+
+  update: (id, values) => {
+    store.update('plans', plan => plan.id === id, values);
+  },
+
+  findSubscriptionPlanId: (userId) => {
+    const subscription = store.selectOne('company_subscriptions', s => s.userId === userId);
+    return subscription ? subscription.planId : null;
+  },
+
+  subscribe: (userId, planId) => {
+    if (store.update('company_subscriptions', s => s.userId === userId, { planId }) === 0) {
+      store.insert('company_subscriptions', { userId, planId });
+    }
+  },
+
+  addBonus: ({ userId, period, periodStart, amount, reason, grantedBy }) => {
+    store.insert('quota_bonuses', { userId, period, periodStart, amount, reason, grantedBy });
+  },
+
+  sumBonuses: (userId, date, monthStart) => {
+    const sum = (period, periodStart) => store.select(
+      'quota_bonuses',
+      bonus => bonus.userId === userId && bonus.period === period && bonus.periodStart === periodStart
+    ).reduce((total, bonus) => total + bonus.amount, 0);
+    return { daily: sum('daily', date), monthly: sum('monthly', monthStart) };
+  }
+});
+
+const createAuditLogRepository = (store) => ({
+  record: ({ id, actorUserId, action, targetType, targetId, ip, userAgent, changes, metadata }) => {
+    store.insert('audit_log', { id, actorUserId, action, targetType, targetId, ip, userAgent, changes, metadata });
+  },
+
+  list: ({ actorUserId, targetType, targetId, actions, from, to, limit, offset }) => {
+    const entries = sortBy(store.select('audit_log', entry =>
+      (!actorUserId || entry.actorUserId === actorUserId) &&
+      (!targetType || entry.targetType === targetType) &&
+      (!targetId || entry.targetId === targetId) &&
+      (!actions || actions.includes(entry.action)) &&
+      (!from || toDay(entry.createdAt) >= from) &&
+      (!to || toDay(entry.createdAt) <= to)
+    ), [['createdAt', 'desc'], ['id', 'desc']]);
+    return { total: entries.length, entries: entries.slice(offset, offset + limit) };
+  }
+});
+
+const createRateLimitRepository = (store) => {
+  const current = (key) => store.selectOne('rate_limits', row => row.limitKey === key && row.resetAt > new Date());
+
+  return {
+    increment: (key, windowMs) => {
+      const window = current(key);
+      if (window) {
+        store.update('rate_limits', row => row.limitKey === key, { count: window.count + 1 });
+        return { count: window.count + 1, resetAt: window.resetAt };
+      }
+
+      store.remove('rate_limits', row => row.limitKey === key);
+      const { count, resetAt } = store.insert('rate_limits', {
+        limitKey: key,
+        count: 1,
+        resetAt: new Date(Date.now() + windowMs)
+      });
+      return { count, resetAt };
+    },
+
+    get: (key) => {
+      const window = current(key);
+      return window ? { count: window.count, resetAt: window.resetAt } : null;
+    },
+
+    reset: (key) => {
+      store.remove('rate_limits', row => row.limitKey === key);
+    },
+
+    purgeExpired: () => store.remove('rate_limits', row => row.resetAt <= new Date())
+  };
+};
+
+const createShortlistRepository = (store) => {
+  // Entries of soft-deleted developers are left out
+  const activeEntries = (shortlistId) => {
+    const activeIds = new Set(store.select('developers', isVisible(false)).map(dev => dev.id));
+    return store.select('shortlist_developers', entry => entry.shortlistId === shortlistId && activeIds.has(entry.developerId));
+  };
+
+  return {
+    listForCompany: (companyUserId) => sortBy(store.select('shortlists', list => list.companyUserId === companyUserId), [['name', 'asc']])
+      .map(list => ({ ...list, developerCount: activeEntries(list.id).length })),
+
+    countForCompany: (companyUserId) => store.select('shortlists', list => list.companyUserId === companyUserId).length,
+
+    findById: (id) => store.selectOne('shortlists', list => list.id === id),
+
+    create: ({ id, companyUserId, name }) => {
+      store.insert('shortlists', { id, companyUserId, name });
+    },
+
+    rename: (id, name) => {
+      store.update('shortlists', list => list.id === id, { name });
+    },
+
+    delete: (id) => store.remove('shortlists', list => list.id === id),
+
+    listEntries: (shortlistId) => sortBy(activeEntries(shortlistId), [['createdAt', 'desc'], ['developerId', 'asc']])
+      .map(entry => ({ developerId: entry.developerId, addedAt: entry.createdAt })),
+
+    countEntries: (shortlistId) => store.select('shortlist_developers', entry => entry.shortlistId === shortlistId).length,
+
+    addDeveloper: (shortlistId, developerId) => {
+      if (store.selectOne('shortlist_developers', entry => entry.shortlistId === shortlistId && entry.developerId === developerId)) {
+        return false;
+      }
+      store.insert('shortlist_developers', { shortlistId, developerId });
+      return true;
+    },
+
+    removeDeveloper: (shortlistId, developerId) =>
+      store.remove('shortlist_developers', entry => entry.shortlistId === shortlistId && entry.developerId === developerId)
+  };
+};
+
+const createDeveloperNoteRepository = (store) => {
+  const matches = (companyUserId, developerId) => (note) => note.companyUserId === companyUserId && note.developerId === developerId;
+
+  return {
+    find: (companyUserId, developerId) => store.selectOne('developer_notes', matches(companyUserId, developerId)),
+
+    findForDevelopers: (companyUserId, developerIds) =>
+      store.select('developer_notes', note => note.companyUserId === companyUserId && developerIds.includes(note.developerId)),
+
+    save: (companyUserId, developerId, note) => {
+      if (!store.update('developer_notes', matches(companyUserId, developerId), { note })) {
+        store.insert('developer_notes', { companyUserId, developerId, note });
+      }
+    },
+
+    delete: (companyUserId, developerId) => store.remove('developer_notes', matches(companyUserId, developerId))
+  };
+};
+
+// Entries of a developer profile section, like createProfileSectionRepository in storage/mysql.js
+const createProfileSectionRepository = (store, table) => {
+  const newestFirst = [['startDate', 'desc'], ['createdAt', 'desc'], ['id', 'desc']];
+
+  return {
+    listForDeveloper: (developerId) => sortBy(store.select(table, entry => entry.developerId === developerId), newestFirst),
+
+    countForDeveloper: (developerId) => store.select(table, entry => entry.developerId === developerId).length,
+
+    findById: (id) => store.selectOne(table, entry => entry.id === id),
+
+    create: ({ id, developerId, ...values }) => {
+      store.insert(table, {
+        ...Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined)),
+        id,
+        developerId
+      });
+    },
+
+    update: (id, values) => {
+      store.update(table, entry => entry.id === id, values);
+    },
+
+    delete: (id) => store.remove(table, entry => entry.id === id)
+  };
+};
+
+const createSavedSearchRepository = (store) => ({
+  listForCompany: (companyUserId) =>
+    sortBy(store.select('saved_searches', search => search.companyUserId === companyUserId), [['name', 'asc']]),
+
+  countForCompany: (companyUserId) => store.select('saved_searches', search => search.companyUserId === companyUserId).length,
+
+  findById: (id) => store.selectOne('saved_searches', search => search.id === id),
+
+  create: ({ id, companyUserId, name, filters }) => {
+    store.insert('saved_searches', { id, companyUserId, name, filters });
+  },
+
+  update: (id, { name, filters }) => {
+    store.update('saved_searches', search => search.id === id, {
+      ...(name !== undefined && { name }),
+      ...(filters !== undefined && { filters })
+    });
+  },
+
+  listAll: () => {
+    const activeCompanyIds = new Set(store.select('users', user => !user.deletedAt && !user.suspendedAt).map(user => user.userId));
+    return store.select('saved_searches', search => activeCompanyIds.has(search.companyUserId));
+  },
+
+  markRun: (id) => {
+    store.update('saved_searches', search => search.id === id, search => ({ lastRunAt: new Date(), updatedAt: search.updatedAt }));
+  },
+
+  delete: (id) => store.remove('saved_searches', search => search.id === id)
+});
+
+const createNotificationRepository = (store) => {
+  const newestFirst = (notifications) => sortBy(notifications, [['createdAt', 'desc'], ['id', 'desc']]);
+  const isUnreadSince = (userId, since) => (notification) =>
+    notification.userId === userId && !notification.readAt && notification.createdAt > since;
+
+  return {
+    create: ({ id, userId, type, data }) => {
+      store.insert('notifications', { id, userId, type, data: data || null });
+    },
+
+    findById: (id) => store.selectOne('notifications', notification => notification.id === id),
+
+    list: (userId, { unread = false, limit, offset }) => {
+      const notifications = newestFirst(store.select('notifications', notification =>
+        notification.userId === userId && (!unread || !notification.readAt)
+      ));
+      return { total: notifications.length, notifications: notifications.slice(offset, offset + limit) };
+    },
+
+    countUnread: (userId) => store.select('notifications', notification => notification.userId === userId && !notification.readAt).length,
+
+    markRead: (id) => store.update('notifications', notification => notification.id === id && !notification.readAt, { readAt: new Date() }),
+
+    markAllRead: (userId) =>
+      store.update('notifications', notification => notification.userId === userId && !notification.readAt, { readAt: new Date() }),
+
+    listUnreadSince: (userId, since, limit) => {
+      const notifications = newestFirst(store.select('notifications', isUnreadSince(userId, since)));
+      return { total: notifications.length, notifications: notifications.slice(0, limit) };
+    },
+
+    findPreferences: (userId) => store.selectOne('notification_preferences', prefs => prefs.userId === userId),
+
+    savePreferences: (userId, { digestFrequency, mutedTypes }) => {
+      if (!store.update('notification_preferences', prefs => prefs.userId === userId, { digestFrequency, mutedTypes })) {
+        store.insert('notification_preferences', { userId, digestFrequency, mutedTypes });
+      }
+    },
+
+    listDigestRecipients: ({ frequency, defaultFrequency, sentBefore }) => {
+      const preferencesByUser = new Map(store.select('notification_preferences').map(prefs => [prefs.userId, prefs]));
+      return store.select('users', user => !user.deletedAt && !user.suspendedAt)
+        .map(user => ({ user, prefs: preferencesByUser.get(user.userId) || {} }))
+        .filter(({ user, prefs }) =>
+          (prefs.digestFrequency || defaultFrequency) === frequency &&
+          (!prefs.lastDigestAt || prefs.lastDigestAt <= sentBefore) &&
+          store.select('notifications', isUnreadSince(user.userId, prefs.lastDigestAt || sentBefore)).length > 0
+        )
+        .map(({ user, prefs }) => ({ ...pick(user, ['userId', 'email', 'name', 'locale']), lastDigestAt: prefs.lastDigestAt || null }));
+    },
+
+    markDigestSent: (userId, sentAt) => {
+      if (!store.update('notification_preferences', prefs => prefs.userId === userId, { lastDigestAt: sentAt })) {
+        store.insert('notification_preferences', { userId, lastDigestAt: sentAt });
+      }
+    }
+  };
+};
+
+// Memory data never had numeric IDs (see migrations/010_uuid_ids.js), so nothing resolves
+const createLegacyIdRepository = () => ({
+  resolve: () => null
+});
+
+const createRepositories = (store) => ({
+  users: createUserRepository(store),
+  sessions: createSessionRepository(store),
+  userTokens: createUserTokenRepository(store),
+  developers: createDeveloperRepository(store),
+  skills: createSkillRepository(store),
+  contacts: createContactRepository(store),
+  profileViews: createProfileViewRepository(store),
+  contactRequests: createContactRequestRepository(store),
+  companies: createCompanyRepository(store),
+  jobs: createJobRepository(store),
+  applications: createApplicationRepository(store),
+  plans: createPlanRepository(store),
+  auditLog: createAuditLogRepository(store),
+  rateLimits: createRateLimitRepository(store),
+  shortlists: createShortlistRepository(store),
+  developerNotes: createDeveloperNoteRepository(store),
+  developerEducation: createProfileSectionRepository(store, 'developer_education'),
+  developerExperience: createProfileSectionRepository(store, 'developer_experience'),
+  developerProjects: createProfileSectionRepository(store, 'developer_projects'),
+  savedSearches: createSavedSearchRepository(store),
+  notifications: createNotificationRepository(store),
+  legacyIds: createLegacyIdRepository()
+});
+
+// Runs queued functions one after another
+const createQueue = () => {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const result = tail.then(fn);
+    tail = result.catch(() => {});
+    return result;
+  };
+};
+
+const createMemoryStorage = () => {
+  const store = createStore();
+  const repositories = createRepositories(store);
+
+  // Repository calls and transactions are queued, so a transaction never sees
+  // changes from other requests and a rollback cannot discard them
+  const enqueue = createQueue();
+  const queuedRepositories = Object.fromEntries(Object.entries(repositories).map(([name, repository]) => [
+    name,
+    Object.fromEntries(Object.entries(repository).map(([method, fn]) => [method, (...args) => enqueue(() => fn(...args))]))
+  ]));
+
+  // Default plans, plus an admin account from ADMIN_EMAIL / ADMIN_PASSWORD since the
+  // create-admin script cannot reach an in-memory store
+  const seed = async () => {
+    for (const plan of DEFAULT_PLANS) {
+      store.insert('plans', plan);
+    }
+
+    const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+    if (email && process.env.ADMIN_PASSWORD) {
+      store.insert('users', {
+        userId: generateId(),
+        email,
+        password: await bcrypt.hash(process.env.ADMIN_PASSWORD, 10),
+        name: (process.env.ADMIN_NAME || 'Admin').trim(),
+        role: 'admin',
+        emailVerifiedAt: new Date()
+      });
+      console.log(`Admin user ${email} created`);
+    }
+  };
+
+  return {
+    name: 'memory',
+    label: 'In-memory',
+
+    init: async () => {
+      console.log('Using in-memory storage. Data is lost when the server stops.');
+      await seed();
+    },
+
+    healthCheck: async () => true,
+
+    // Run fn with unqueued repositories; changes are rolled back when it throws
+    transaction: (fn) => enqueue(async () => {
+      const snapshot = store.snapshot();
+      try {
+        return await fn(repositories);
+      } catch (error) {
+        store.restore(snapshot);
+        throw error;
+      }
+    }),
+
+    // Drop all data and seed again (e.g. between integration tests)
+    reset: () => enqueue(async () => {
+      store.reset();
+      await seed();
+    }),
+
+    ...queuedRepositories
+  };
+};
+
+module.exports = { createMemoryStorage };
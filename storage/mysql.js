@@ -0,0 +1,1787 @@
+const db = require('../db');
+const { assertSchemaUpToDate } = require('../migrator');
+
+// MySQL storage driver. Every repository is created for an executor: the shared pool,
+// or a connection when it runs inside storage.transaction().
+
+const first = (rows) => (rows.length > 0 ? rows[0] : null);
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Escape LIKE wildcards so user input is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+// Conditions shared by the export listings and the audit log: optional filters on a DATETIME (`from`/`to`
+// are YYYY-MM-DD, inclusive) and keyset pagination on the ID column (`after` is the last ID returned)
+const exportConditions = ({ dateColumn, idColumn, from, to, after }) => {
+  const conditions = [];
+  const values = [];
+  if (from) {
+    conditions.push(`${dateColumn} >= ?`);
+    values.push(from);
+  }
+  if (to) {
+    conditions.push(`${dateColumn} < DATE_ADD(?, INTERVAL 1 DAY)`);
+    values.push(to);
+  }
+  if (after) {
+    conditions.push(`${idColumn} > ?`);
+    values.push(after);
+  }
+  return { conditions, values };
+};
+
+const buildWhere = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+// Soft-deleted users and profiles are left out of every query unless stated otherwise.
+// `includeDeleted` lookups are for admin routes and for checks of unique columns.
+const notDeleted = (includeDeleted) => (includeDeleted ? '' : ' AND deletedAt IS NULL');
+
+// DATE values are read as local midnight; return them as YYYY-MM-DD like DATE_FORMAT(column, '%Y-%m-%d')
+const formatDate = (date) => {
+  if (!(date instanceof Date)) {
+    return date;
+  }
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const createUserRepository = (executor) => ({
+  findById: async (userId, { includeDeleted = false } = {}) => {
+    const [users] = await executor.execute(`SELECT * FROM users WHERE userId = ?${notDeleted(includeDeleted)}`, [userId]);
+    return first(users);
+  },
+
+  findByEmail: async (email, { includeDeleted = false } = {}) => {
+    const [users] = await executor.execute(`SELECT * FROM users WHERE email = ?${notDeleted(includeDeleted)}`, [email]);
+    return first(users);
+  },
+
+  // Active users, or only the soft-deleted ones
+  list: async ({ deleted = false } = {}) => {
+    const [users] = await executor.execute(
+      `SELECT userId, email, name, role, emailVerifiedAt, suspendedAt, suspendedReason, passwordResetRequired,
+         deletedAt, deletedBy, createdAt
+       FROM users WHERE deletedAt IS ${deleted ? 'NOT NULL' : 'NULL'} ORDER BY createdAt DESC`
+    );
+    return users;
+  },
+
+  // Batch of users for exports, in ID order after `after`; same columns as list()
+  listForExport: async ({ roles, suspended, deleted = false, from, to, after, limit }) => {
+    const { conditions, values } = exportConditions({ dateColumn: 'createdAt', idColumn: 'userId', from, to, after });
+    conditions.push(`deletedAt IS ${deleted ? 'NOT NULL' : 'NULL'}`);
+    if (roles) {
+      conditions.push(`role IN (${placeholders(roles)})`);
+      values.push(...roles);
+    }
+    if (suspended !== undefined) {
+      conditions.push(suspended ? 'suspendedAt IS NOT NULL' : 'suspendedAt IS NULL');
+    }
+
+    // LIMIT values are validated integers (see developers.list)
+    const [users] = await executor.execute(
+      `SELECT userId, email, name, role, emailVerifiedAt, suspendedAt, suspendedReason, passwordResetRequired,
+         deletedAt, deletedBy, createdAt
+       FROM users ${buildWhere(conditions)} ORDER BY userId ASC LIMIT ${limit}`,
+      values
+    );
+    return users;
+  },
+
+  // Includes soft-deleted users, whose emails stay taken
+  findByEmails: async (emails) => {
+    if (emails.length === 0) {
+      return [];
+    }
+    const [users] = await executor.execute(
+      `SELECT userId, email, name, role FROM users WHERE email IN (${placeholders(emails)})`,
+      emails
+    );
+    return users;
+  },
+
+  create: async ({ userId, email, password, name, role, emailVerifiedAt = null, locale = null }) => {
+    await executor.execute(
+      'INSERT INTO users (userId, email, password, name, role, emailVerifiedAt, locale) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userId, email, password, name, role, emailVerifiedAt, locale]
+    );
+  },
+
+  // Lock the user row until the surrounding transaction ends
+  lock: async (userId) => {
+    await executor.execute('SELECT userId FROM users WHERE userId = ? FOR UPDATE', [userId]);
+  },
+
+  markEmailVerified: async (userId) => {
+    await executor.execute(
+      'UPDATE users SET emailVerifiedAt = COALESCE(emailVerifiedAt, NOW()) WHERE userId = ?',
+      [userId]
+    );
+  },
+
+  // Receiving the reset email also proves ownership of the address
+  resetPassword: async (userId, hashedPassword) => {
+    await executor.execute(
+      'UPDATE users SET password = ?, passwordResetRequired = FALSE, emailVerifiedAt = COALESCE(emailVerifiedAt, NOW()) WHERE userId = ?',
+      [hashedPassword, userId]
+    );
+  },
+
+  requirePasswordReset: async (userId) => {
+    await executor.execute('UPDATE users SET passwordResetRequired = TRUE WHERE userId = ?', [userId]);
+  },
+
+  setRole: async (userId, role) => {
+    await executor.execute('UPDATE users SET role = ? WHERE userId = ?', [role, userId]);
+  },
+
+  setLocale: async (userId, locale) => {
+    await executor.execute('UPDATE users SET locale = ? WHERE userId = ?', [locale, userId]);
+  },
+
+  suspend: async (userId, reason) => {
+    await executor.execute(
+      'UPDATE users SET suspendedAt = COALESCE(suspendedAt, NOW()), suspendedReason = ? WHERE userId = ?',
+      [reason, userId]
+    );
+  },
+
+  unsuspend: async (userId) => {
+    await executor.execute(
+      'UPDATE users SET suspendedAt = NULL, suspendedReason = NULL WHERE userId = ?',
+      [userId]
+    );
+  },
+
+  softDelete: async (userId, deletedBy, deletedAt) => {
+    const [result] = await executor.execute(
+      'UPDATE users SET deletedAt = ?, deletedBy = ? WHERE userId = ? AND deletedAt IS NULL',
+      [deletedAt, deletedBy, userId]
+    );
+    return result.affectedRows;
+  },
+
+  restore: async (userId) => {
+    const [result] = await executor.execute(
+      'UPDATE users SET deletedAt = NULL, deletedBy = NULL WHERE userId = ? AND deletedAt IS NOT NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  },
+
+  // Permanently delete users soft-deleted before `before` (rows referencing them cascade)
+  purgeDeleted: async (before) => {
+    const [result] = await executor.execute('DELETE FROM users WHERE deletedAt < ?', [before]);
+    return result.affectedRows;
+  },
+
+  countActiveAdmins: async (excludeUserId) => {
+    const [admins] = await executor.execute(
+      "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND suspendedAt IS NULL AND deletedAt IS NULL AND userId <> ?",
+      [excludeUserId]
+    );
+    return admins[0].count;
+  },
+
+  countByRole: async () => {
+    const [stats] = await executor.execute('SELECT role, COUNT(*) as count FROM users WHERE deletedAt IS NULL GROUP BY role');
+    return stats;
+  },
+
+  // Registrations per day and role between two dates (inclusive)
+  countCreatedByDay: async (from, to) => {
+    const [stats] = await executor.execute(
+      `SELECT DATE_FORMAT(createdAt, '%Y-%m-%d') as date, role, COUNT(*) as count
+       FROM users
+       WHERE createdAt >= ? AND createdAt < DATE_ADD(?, INTERVAL 1 DAY)
+       GROUP BY date, role`,
+      [from, to]
+    );
+    return stats;
+  },
+
+  // Students registered between two dates (inclusive), how many of them created a profile
+  // and how many of those profiles ever received a contact request
+  countStudentConversion: async (from, to) => {
+    const [rows] = await executor.execute(
+      `SELECT COUNT(*) as students, COUNT(d.id) as withProfile,
+         COALESCE(SUM(EXISTS (SELECT 1 FROM contact_requests cr WHERE cr.developerId = d.id)), 0) as contacted
+       FROM users u
+       LEFT JOIN developers d ON d.userId = u.userId
+       WHERE u.role = 'student' AND u.createdAt >= ? AND u.createdAt < DATE_ADD(?, INTERVAL 1 DAY)`,
+      [from, to]
+    );
+    return {
+      students: rows[0].students,
+      withProfile: rows[0].withProfile,
+      contacted: Number(rows[0].contacted)
+    };
+  }
+});
+
+const createSessionRepository = (executor) => ({
+  create: async ({ id, userId, userAgent, ip }) => {
+    await executor.execute(
+      'INSERT INTO sessions (id, userId, userAgent, ip) VALUES (?, ?, ?, ?)',
+      [id, userId, userAgent, ip]
+    );
+  },
+
+  // Session with the current state of its user, used to authenticate access tokens
+  findWithUser: async (sessionId, userId) => {
+    const [sessions] = await executor.execute(
+      `SELECT u.userId, u.email, u.role, u.emailVerifiedAt, u.suspendedAt, u.locale, s.revokedAt
+       FROM sessions s
+       JOIN users u ON u.userId = s.userId
+       WHERE s.id = ? AND s.userId = ?`,
+      [sessionId, userId]
+    );
+    return first(sessions);
+  },
+
+  listActive: async (userId) => {
+    const [sessions] = await executor.execute(
+      `SELECT id, userAgent, ip, createdAt, lastUsedAt
+       FROM sessions
+       WHERE userId = ? AND revokedAt IS NULL
+       ORDER BY lastUsedAt DESC`,
+      [userId]
+    );
+    return sessions;
+  },
+
+  touch: async (sessionId) => {
+    await executor.execute('UPDATE sessions SET lastUsedAt = NOW() WHERE id = ?', [sessionId]);
+  },
+
+  revoke: async (sessionId) => {
+    await executor.execute(
+      'UPDATE sessions SET revokedAt = NOW() WHERE id = ? AND revokedAt IS NULL',
+      [sessionId]
+    );
+  },
+
+  // Returns the number of sessions that were still active
+  revokeAllForUser: async (userId) => {
+    const [result] = await executor.execute(
+      'UPDATE sessions SET revokedAt = NOW() WHERE userId = ? AND revokedAt IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  },
+
+  createRefreshToken: async ({ tokenHash, sessionId, expiresAt }) => {
+    await executor.execute(
+      'INSERT INTO refresh_tokens (tokenHash, sessionId, expiresAt) VALUES (?, ?, ?)',
+      [tokenHash, sessionId, expiresAt]
+    );
+  },
+
+  findRefreshToken: async (tokenHash) => {
+    const [tokens] = await executor.execute(
+      `SELECT rt.sessionId, rt.expiresAt, rt.usedAt, s.revokedAt, u.userId, u.email, u.role, u.suspendedAt
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.sessionId
+       JOIN users u ON u.userId = s.userId
+       WHERE rt.tokenHash = ?`,
+      [tokenHash]
+    );
+    return first(tokens);
+  },
+
+  // Mark a refresh token as used; false when it was already used (concurrent refresh or reuse)
+  useRefreshToken: async (tokenHash) => {
+    const [result] = await executor.execute(
+      'UPDATE refresh_tokens SET usedAt = NOW() WHERE tokenHash = ? AND usedAt IS NULL',
+      [tokenHash]
+    );
+    return result.affectedRows > 0;
+  }
+});
+
+const createUserTokenRepository = (executor) => ({
+  invalidate: async (userId, type) => {
+    await executor.execute(
+      'UPDATE user_tokens SET usedAt = NOW() WHERE userId = ? AND type = ? AND usedAt IS NULL',
+      [userId, type]
+    );
+  },
+
+  create: async ({ tokenHash, userId, type, expiresAt }) => {
+    await executor.execute(
+      'INSERT INTO user_tokens (tokenHash, userId, type, expiresAt) VALUES (?, ?, ?, ?)',
+      [tokenHash, userId, type, expiresAt]
+    );
+  },
+
+  // Mark a token as used and return its userId, or null if it is invalid, used or expired
+  consume: async (tokenHash, type) => {
+    const [result] = await executor.execute(
+      'UPDATE user_tokens SET usedAt = NOW() WHERE tokenHash = ? AND type = ? AND usedAt IS NULL AND expiresAt > NOW()',
+      [tokenHash, type]
+    );
+    if (result.affectedRows === 0) {
+      return null;
+    }
+
+    const [tokens] = await executor.execute('SELECT userId FROM user_tokens WHERE tokenHash = ?', [tokenHash]);
+    return tokens.length > 0 ? tokens[0].userId : null;
+  }
+});
+
+const createDeveloperRepository = (executor) => {
+  // Load skills for the given developers and attach them as a `skills` array (availableFrom is formatted too)
+  const attachSkills = async (developers) => {
+    if (developers.length === 0) {
+      return developers;
+    }
+
+    const ids = developers.map(dev => dev.id);
+    const [rows] = await executor.execute(
+      `SELECT ds.developerId, s.id, s.name, s.slug, ds.level
+       FROM developer_skills ds
+       JOIN skills s ON s.id = ds.skillId
+       WHERE ds.developerId IN (${placeholders(ids)})
+       ORDER BY s.name ASC`,
+      ids
+    );
+
+    const skillsByDeveloper = new Map();
+    for (const { developerId, ...skill } of rows) {
+      if (!skillsByDeveloper.has(developerId)) {
+        skillsByDeveloper.set(developerId, []);
+      }
+      skillsByDeveloper.get(developerId).push(skill);
+    }
+
+    return developers.map(dev => ({
+      ...dev,
+      availableFrom: formatDate(dev.availableFrom),
+      skills: skillsByDeveloper.get(dev.id) || []
+    }));
+  };
+
+  return {
+    findById: async (id, { includeDeleted = false } = {}) => {
+      const [developers] = await executor.execute(`SELECT * FROM developers WHERE id = ?${notDeleted(includeDeleted)}`, [id]);
+      return first(await attachSkills(developers));
+    },
+
+    findByUserId: async (userId, { includeDeleted = false } = {}) => {
+      const [developers] = await executor.execute(
+        `SELECT * FROM developers WHERE userId = ?${notDeleted(includeDeleted)}`,
+        [userId]
+      );
+      return first(await attachSkills(developers));
+    },
+
+    findByIds: async (ids) => {
+      if (ids.length === 0) {
+        return [];
+      }
+      const [developers] = await executor.execute(
+        `SELECT * FROM developers WHERE id IN (${placeholders(ids)}) AND deletedAt IS NULL`,
+        ids
+      );
+      return attachSkills(developers);
+    },
+
+    // Filtered, sorted listing. `after` ({ value, id }) continues after a cursor position,
+    // otherwise `offset` rows are skipped. `total` counts all matches regardless of position.
+    // `visibilities` limits results to those profile visibilities (plus the profile of `ownerUserId`),
+    // `blockedCompanyUserId` leaves out developers who blocked that company.
+    list: async ({
+      fields, workTypes, q, skillSlugs = [], match = 'all', sort, direction, limit, offset = 0, after,
+      visibilities = null, ownerUserId = null, blockedCompanyUserId = null
+    }) => {
+      // Equality/IN filters on field and workType use idx_field / idx_workType
+      const conditions = ['deletedAt IS NULL'];
+      const values = [];
+
+      if (visibilities) {
+        conditions.push(`(visibility IN (${placeholders(visibilities)}) OR userId = ?)`);
+        values.push(...visibilities, ownerUserId);
+      }
+      if (blockedCompanyUserId) {
+        conditions.push('id NOT IN (SELECT developerId FROM developer_blocks WHERE companyUserId = ?)');
+        values.push(blockedCompanyUserId);
+      }
+
+      if (fields) {
+        conditions.push(`field IN (${placeholders(fields)})`);
+        values.push(...fields);
+      }
+      if (workTypes) {
+        conditions.push(`workType IN (${placeholders(workTypes)})`);
+        values.push(...workTypes);
+      }
+      if (q) {
+        const pattern = `%${escapeLike(q)}%`;
+        conditions.push("(firstName LIKE ? OR lastName LIKE ? OR CONCAT(firstName, ' ', lastName) LIKE ?)");
+        values.push(pattern, pattern, pattern);
+      }
+      if (skillSlugs.length > 0) {
+        // match=all requires every requested skill, match=any at least one of them
+        const having = match === 'all' ? ' GROUP BY ds.developerId HAVING COUNT(DISTINCT s.id) = ?' : '';
+        conditions.push(`id IN (
+          SELECT ds.developerId FROM developer_skills ds
+          JOIN skills s ON s.id = ds.skillId
+          WHERE s.slug IN (${placeholders(skillSlugs)})${having}
+        )`);
+        values.push(...skillSlugs);
+        if (match === 'all') {
+          values.push(skillSlugs.length);
+        }
+      }
+
+      const whereClause = `WHERE ${conditions.join(' AND ')}`;
+      const [countRows] = await executor.execute(`SELECT COUNT(*) as total FROM developers ${whereClause}`, values);
+
+      // id is used as a tie breaker so ordering (and cursors) are stable
+      const sqlDirection = direction.toUpperCase();
+      const orderBy = `ORDER BY ${sort} ${sqlDirection}, id ${sqlDirection}`;
+
+      // LIMIT values are validated integers; inlined because mysql2 prepared statements reject numeric LIMIT params
+      let rows;
+      if (after) {
+        const comparator = direction === 'desc' ? '<' : '>';
+        const cursorConditions = [...conditions, `(${sort} ${comparator} ? OR (${sort} = ? AND id ${comparator} ?))`];
+        [rows] = await executor.execute(
+          `SELECT * FROM developers WHERE ${cursorConditions.join(' AND ')} ${orderBy} LIMIT ${limit}`,
+          [...values, after.value, after.value, after.id]
+        );
+      } else {
+        [rows] = await executor.execute(
+          `SELECT * FROM developers ${whereClause} ${orderBy} LIMIT ${limit} OFFSET ${offset}`,
+          values
+        );
+      }
+
+      return { total: countRows[0].total, developers: await attachSkills(rows) };
+    },
+
+    // Active profiles, or only the soft-deleted ones
+    listAll: async ({ deleted = false } = {}) => {
+      const [developers] = await executor.execute(
+        `SELECT * FROM developers WHERE deletedAt IS ${deleted ? 'NOT NULL' : 'NULL'} ORDER BY createdAt DESC`
+      );
+      return attachSkills(developers);
+    },
+
+    // Batch of developers for exports, in ID order after `after`
+    listForExport: async ({ fields, workTypes, visibilities, deleted = false, from, to, after, limit }) => {
+      const { conditions, values } = exportConditions({ dateColumn: 'createdAt', idColumn: 'id', from, to, after });
+      conditions.push(`deletedAt IS ${deleted ? 'NOT NULL' : 'NULL'}`);
+      for (const [column, allowed] of [['field', fields], ['workType', workTypes], ['visibility', visibilities]]) {
+        if (allowed) {
+          conditions.push(`${column} IN (${placeholders(allowed)})`);
+          values.push(...allowed);
+        }
+      }
+
+      // LIMIT values are validated integers (see developers.list)
+      const [developers] = await executor.execute(
+        `SELECT * FROM developers ${buildWhere(conditions)} ORDER BY id ASC LIMIT ${limit}`,
+        values
+      );
+      return attachSkills(developers);
+    },
+
+    // Profiles of the given users (only id and userId), soft-deleted ones included
+    findByUserIds: async (userIds) => {
+      if (userIds.length === 0) {
+        return [];
+      }
+      const [developers] = await executor.execute(
+        `SELECT id, userId FROM developers WHERE userId IN (${placeholders(userIds)})`,
+        userIds
+      );
+      return developers;
+    },
+
+    create: async ({
+      id, userId, firstName, lastName, workType, field, github, linkedin, email,
+      headline = null, bio = null, city = null, country = null, yearsOfExperience = null, availableFrom = null
+    }) => {
+      await executor.execute(
+        `INSERT INTO developers (id, userId, firstName, lastName, workType, field, github, linkedin, email,
+           headline, bio, city, country, yearsOfExperience, availableFrom)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, userId, firstName, lastName, workType, field, github, linkedin, email,
+          headline, bio, city, country, yearsOfExperience, availableFrom]
+      );
+    },
+
+    // Update the given columns; keys are validated column names
+    update: async (id, values) => {
+      await executor.execute(
+        `UPDATE developers SET ${Object.keys(values).map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(values), id]
+      );
+    },
+
+    // How a company relates to each of the given developers: blocked by the developer, and
+    // connected through an accepted contact request or an application to one of its jobs
+    findCompanyRelations: async (companyUserId, developerIds) => {
+      if (developerIds.length === 0) {
+        return [];
+      }
+      const [relations] = await executor.execute(
+        `SELECT d.id,
+           EXISTS (
+             SELECT 1 FROM developer_blocks b WHERE b.developerId = d.id AND b.companyUserId = ?
+           ) as blocked,
+           (EXISTS (
+             SELECT 1 FROM contact_requests cr
+             WHERE cr.developerId = d.id AND cr.companyUserId = ? AND cr.status = 'accepted'
+           ) OR EXISTS (
+             SELECT 1 FROM job_applications a
+             JOIN job_postings j ON j.id = a.jobId
+             WHERE a.developerId = d.id AND j.companyUserId = ?
+           )) as connected
+         FROM developers d
+         WHERE d.id IN (${placeholders(developerIds)})`,
+        [companyUserId, companyUserId, companyUserId, ...developerIds]
+      );
+      return relations.map(relation => ({ ...relation, blocked: Boolean(relation.blocked), connected: Boolean(relation.connected) }));
+    },
+
+    listBlockedCompanies: async (developerId) => {
+      const [companies] = await executor.execute(
+        `SELECT b.companyUserId, u.name, c.legalName, b.createdAt
+         FROM developer_blocks b
+         JOIN users u ON u.userId = b.companyUserId
+         LEFT JOIN companies c ON c.userId = b.companyUserId
+         WHERE b.developerId = ?
+         ORDER BY b.createdAt DESC`,
+        [developerId]
+      );
+      return companies;
+    },
+
+    blockCompany: async (developerId, companyUserId) => {
+      await executor.execute(
+        'INSERT IGNORE INTO developer_blocks (developerId, companyUserId) VALUES (?, ?)',
+        [developerId, companyUserId]
+      );
+    },
+
+    unblockCompany: async (developerId, companyUserId) => {
+      const [result] = await executor.execute(
+        'DELETE FROM developer_blocks WHERE developerId = ? AND companyUserId = ?',
+        [developerId, companyUserId]
+      );
+      return result.affectedRows;
+    },
+
+    softDelete: async (id, deletedBy, deletedAt) => {
+      const [result] = await executor.execute(
+        'UPDATE developers SET deletedAt = ?, deletedBy = ? WHERE id = ? AND deletedAt IS NULL',
+        [deletedAt, deletedBy, id]
+      );
+      return result.affectedRows;
+    },
+
+    restore: async (id) => {
+      const [result] = await executor.execute(
+        'UPDATE developers SET deletedAt = NULL, deletedBy = NULL WHERE id = ? AND deletedAt IS NOT NULL',
+        [id]
+      );
+      return result.affectedRows;
+    },
+
+    // Permanently delete profiles soft-deleted before `before` (rows referencing them cascade)
+    purgeDeleted: async (before) => {
+      const [result] = await executor.execute('DELETE FROM developers WHERE deletedAt < ?', [before]);
+      return result.affectedRows;
+    },
+
+    countByField: async () => {
+      const [stats] = await executor.execute('SELECT field, COUNT(*) as count FROM developers WHERE deletedAt IS NULL GROUP BY field');
+      return stats;
+    },
+
+    countByWorkType: async () => {
+      const [stats] = await executor.execute(
+        'SELECT workType, COUNT(*) as count FROM developers WHERE deletedAt IS NULL GROUP BY workType'
+      );
+      return stats;
+    },
+
+    // Profiles created per day between two dates (inclusive)
+    countCreatedByDay: async (from, to) => {
+      const [stats] = await executor.execute(
+        `SELECT DATE_FORMAT(createdAt, '%Y-%m-%d') as date, COUNT(*) as count
+         FROM developers
+         WHERE createdAt >= ? AND createdAt < DATE_ADD(?, INTERVAL 1 DAY)
+         GROUP BY date`,
+        [from, to]
+      );
+      return stats;
+    }
+  };
+};
+
+const createSkillRepository = (executor) => ({
+  // Skills with usage counts, most used first
+  list: async (q) => {
+    const conditions = [];
+    const values = [];
+    if (q) {
+      conditions.push('(s.name LIKE ? OR s.slug LIKE ?)');
+      const pattern = `%${escapeLike(q)}%`;
+      values.push(pattern, pattern);
+    }
+
+    const [skills] = await executor.execute(
+      `SELECT s.id, s.name, s.slug, COUNT(d.id) as developerCount
+       FROM skills s
+       LEFT JOIN developer_skills ds ON ds.skillId = s.id
+       LEFT JOIN developers d ON d.id = ds.developerId AND d.deletedAt IS NULL
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       GROUP BY s.id, s.name, s.slug
+       ORDER BY developerCount DESC, s.name ASC`,
+      values
+    );
+    return skills;
+  },
+
+  findById: async (id) => {
+    const [skills] = await executor.execute('SELECT id, name, slug, createdAt FROM skills WHERE id = ?', [id]);
+    return first(skills);
+  },
+
+  findBySlug: async (slug) => {
+    const [skills] = await executor.execute('SELECT id, name, slug, createdAt FROM skills WHERE slug = ?', [slug]);
+    return first(skills);
+  },
+
+  findWithDeveloperCount: async (id) => {
+    const [skills] = await executor.execute(
+      `SELECT s.id, s.name, s.slug, COUNT(d.id) as developerCount
+       FROM skills s
+       LEFT JOIN developer_skills ds ON ds.skillId = s.id
+       LEFT JOIN developers d ON d.id = ds.developerId AND d.deletedAt IS NULL
+       WHERE s.id = ?
+       GROUP BY s.id, s.name, s.slug`,
+      [id]
+    );
+    return first(skills);
+  },
+
+  rename: async (id, name, slug) => {
+    await executor.execute('UPDATE skills SET name = ?, slug = ? WHERE id = ?', [name, slug, id]);
+  },
+
+  // Replace a developer's skill set, creating missing skills on the fly.
+  // Should run inside a transaction.
+  setForDeveloper: async (developerId, skills) => {
+    await executor.execute('DELETE FROM developer_skills WHERE developerId = ?', [developerId]);
+
+    for (const skill of skills) {
+      // LAST_INSERT_ID(id) makes insertId return the existing row's id on duplicates
+      const [result] = await executor.execute(
+        'INSERT INTO skills (name, slug) VALUES (?, ?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)',
+        [skill.name, skill.slug]
+      );
+      await executor.execute(
+        'INSERT INTO developer_skills (developerId, skillId, level) VALUES (?, ?, ?)',
+        [developerId, result.insertId, skill.level]
+      );
+    }
+  },
+
+  // Move developers tagged with the source skill to the target, keeping the higher level,
+  // then delete the source skill. Should run inside a transaction.
+  merge: async (sourceId, targetId) => {
+    // ENUM columns compare by position in numeric context, so `+ 0` picks the higher level
+    await executor.execute(
+      `INSERT INTO developer_skills (developerId, skillId, level)
+       SELECT developerId, ?, level FROM developer_skills WHERE skillId = ?
+       ON DUPLICATE KEY UPDATE level = IF(VALUES(level) + 0 > level + 0, VALUES(level), level)`,
+      [targetId, sourceId]
+    );
+    // Cascades to the source skill's developer_skills rows
+    await executor.execute('DELETE FROM skills WHERE id = ?', [sourceId]);
+  }
+});
+
+const createContactRepository = (executor) => ({
+  findForDay: async (userId, developerId, date) => {
+    const [contacts] = await executor.execute(
+      'SELECT id FROM contacts WHERE userId = ? AND developerId = ? AND date = ?',
+      [userId, developerId, date]
+    );
+    return first(contacts);
+  },
+
+  create: async ({ id, userId, developerId, date }) => {
+    await executor.execute(
+      'INSERT INTO contacts (id, userId, developerId, date) VALUES (?, ?, ?, ?)',
+      [id, userId, developerId, date]
+    );
+  },
+
+  // Contacts used on `date` and in its month up to and including `date`
+  countUsage: async (userId, date, monthStart) => {
+    const [usage] = await executor.execute(
+      'SELECT COALESCE(SUM(date = ?), 0) as daily, COUNT(*) as monthly FROM contacts WHERE userId = ? AND date BETWEEN ? AND ?',
+      [date, userId, monthStart, date]
+    );
+    return { daily: Number(usage[0].daily), monthly: Number(usage[0].monthly) };
+  },
+
+  listAll: async () => {
+    const [contacts] = await executor.execute(
+      `SELECT c.*, u.name as userName, u.email as userEmail,
+       d.firstName, d.lastName, d.email as developerEmail
+       FROM contacts c
+       LEFT JOIN users u ON c.userId = u.userId
+       LEFT JOIN developers d ON c.developerId = d.id
+       ORDER BY c.createdAt DESC`
+    );
+    return contacts;
+  },
+
+  // Batch of contacts for exports, in ID order after `after`; columns of listAll() with the date as YYYY-MM-DD
+  listForExport: async ({ userId, developerId, from, to, after, limit }) => {
+    const { conditions, values } = exportConditions({ dateColumn: 'c.date', idColumn: 'c.id', from, to, after });
+    if (userId) {
+      conditions.push('c.userId = ?');
+      values.push(userId);
+    }
+    if (developerId) {
+      conditions.push('c.developerId = ?');
+      values.push(developerId);
+    }
+
+    // LIMIT values are validated integers (see developers.list)
+    const [contacts] = await executor.execute(
+      `SELECT c.id, c.userId, c.developerId, DATE_FORMAT(c.date, '%Y-%m-%d') as date, c.createdAt,
+       u.name as userName, u.email as userEmail, d.firstName, d.lastName, d.email as developerEmail
+       FROM contacts c
+       LEFT JOIN users u ON c.userId = u.userId
+       LEFT JOIN developers d ON c.developerId = d.id
+       ${buildWhere(conditions)}
+       ORDER BY c.id ASC LIMIT ${limit}`,
+      values
+    );
+    return contacts;
+  },
+
+  count: async () => {
+    const [rows] = await executor.execute('SELECT COUNT(*) as count FROM contacts');
+    return rows[0].count;
+  },
+
+  countOnDate: async (date) => {
+    const [rows] = await executor.execute('SELECT COUNT(*) as count FROM contacts WHERE date = ?', [date]);
+    return rows[0].count;
+  },
+
+  // Contacts received by a developer between two dates (inclusive)
+  listForDeveloper: async (developerId, from, to) => {
+    const [contacts] = await executor.execute(
+      `SELECT userId, DATE_FORMAT(date, '%Y-%m-%d') as date
+       FROM contacts
+       WHERE developerId = ? AND date BETWEEN ? AND ?`,
+      [developerId, from, to]
+    );
+    return contacts;
+  },
+
+  // Contacts per day between two dates (inclusive)
+  countByDay: async (from, to) => {
+    const [stats] = await executor.execute(
+      `SELECT DATE_FORMAT(date, '%Y-%m-%d') as date, COUNT(*) as count
+       FROM contacts
+       WHERE date BETWEEN ? AND ?
+       GROUP BY date`,
+      [from, to]
+    );
+    return stats;
+  }
+});
+
+const createProfileViewRepository = (executor) => ({
+  // Count a view; repeated views on the same day only increase the row's counter
+  record: async ({ companyUserId, developerId, date }) => {
+    await executor.execute(
+      `INSERT INTO profile_views (companyUserId, developerId, date) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE views = views + 1, lastViewedAt = NOW()`,
+      [companyUserId, developerId, date]
+    );
+  },
+
+  // Daily view rows of a developer between two dates (inclusive) with the viewing company
+  listForDeveloper: async (developerId, from, to) => {
+    const [views] = await executor.execute(
+      `SELECT pv.companyUserId, DATE_FORMAT(pv.date, '%Y-%m-%d') as date, pv.views, pv.lastViewedAt,
+         u.name as companyName, c.legalName as companyLegalName, c.sector as companySector,
+         c.logoUrl as companyLogoUrl, c.verificationStatus as companyVerificationStatus
+       FROM profile_views pv
+       JOIN users u ON u.userId = pv.companyUserId
+       LEFT JOIN companies c ON c.userId = pv.companyUserId
+       WHERE pv.developerId = ? AND pv.date BETWEEN ? AND ?
+       ORDER BY pv.date ASC`,
+      [developerId, from, to]
+    );
+    return views;
+  },
+
+  // Developers viewed by a company, most recently viewed first
+  listForCompany: async (companyUserId, { limit, offset }) => {
+    const condition = 'companyUserId = ? AND developerId NOT IN (SELECT id FROM developers WHERE deletedAt IS NOT NULL)';
+    const [countRows] = await executor.execute(
+      `SELECT COUNT(DISTINCT developerId) as total FROM profile_views WHERE ${condition}`,
+      [companyUserId]
+    );
+    // LIMIT values are validated integers (see developers.list)
+    const [views] = await executor.execute(
+      `SELECT developerId, SUM(views) as views, MIN(createdAt) as firstViewedAt, MAX(lastViewedAt) as lastViewedAt
+       FROM profile_views
+       WHERE ${condition}
+       GROUP BY developerId
+       ORDER BY lastViewedAt DESC, developerId DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      [companyUserId]
+    );
+    return { total: countRows[0].total, views: views.map(view => ({ ...view, views: Number(view.views) })) };
+  },
+
+  // Profile views per day between two dates (inclusive)
+  countByDay: async (from, to) => {
+    const [stats] = await executor.execute(
+      `SELECT DATE_FORMAT(date, '%Y-%m-%d') as date, SUM(views) as views
+       FROM profile_views
+       WHERE date BETWEEN ? AND ?
+       GROUP BY date`,
+      [from, to]
+    );
+    return stats.map(stat => ({ ...stat, views: Number(stat.views) }));
+  },
+
+  // Most viewed developers between two dates (inclusive)
+  listTopDevelopers: async (from, to, limit) => {
+    // LIMIT values are validated integers (see developers.list)
+    const [developers] = await executor.execute(
+      `SELECT pv.developerId, d.firstName, d.lastName, d.field,
+         SUM(pv.views) as views, COUNT(DISTINCT pv.companyUserId) as companies
+       FROM profile_views pv
+       JOIN developers d ON d.id = pv.developerId
+       WHERE pv.date BETWEEN ? AND ?
+       GROUP BY pv.developerId, d.firstName, d.lastName, d.field
+       ORDER BY views DESC, companies DESC, pv.developerId ASC
+       LIMIT ${limit}`,
+      [from, to]
+    );
+    return developers.map(developer => ({ ...developer, views: Number(developer.views) }));
+  }
+});
+
+const CONTACT_REQUEST_SELECT = `
+  SELECT cr.id, cr.companyUserId, cr.developerId, cr.status, cr.createdAt, cr.updatedAt, cr.respondedAt,
+    d.userId as developerUserId, d.firstName, d.lastName, d.email as developerEmail, d.github, d.linkedin,
+    d.emailVisibility, d.githubVisibility, d.linkedinVisibility,
+    EXISTS (
+      SELECT 1 FROM developer_blocks b WHERE b.developerId = cr.developerId AND b.companyUserId = cr.companyUserId
+    ) as companyBlocked,
+    u.name as companyName, u.email as companyEmail,
+    c.legalName as companyLegalName, c.website as companyWebsite, c.sector as companySector,
+    c.logoUrl as companyLogoUrl, c.verificationStatus as companyVerificationStatus
+  FROM contact_requests cr
+  JOIN developers d ON d.id = cr.developerId AND d.deletedAt IS NULL
+  JOIN users u ON u.userId = cr.companyUserId AND u.deletedAt IS NULL
+  LEFT JOIN companies c ON c.userId = cr.companyUserId`;
+
+const createContactRequestRepository = (executor) => ({
+  findByCompanyAndDeveloper: async (companyUserId, developerId) => {
+    const [requests] = await executor.execute(
+      'SELECT id, status FROM contact_requests WHERE companyUserId = ? AND developerId = ?',
+      [companyUserId, developerId]
+    );
+    return first(requests);
+  },
+
+  create: async ({ id, companyUserId, developerId }) => {
+    await executor.execute(
+      'INSERT INTO contact_requests (id, companyUserId, developerId) VALUES (?, ?, ?)',
+      [id, companyUserId, developerId]
+    );
+  },
+
+  // Request joined with both parties
+  findById: async (id) => {
+    const [requests] = await executor.execute(`${CONTACT_REQUEST_SELECT} WHERE cr.id = ?`, [id]);
+    return first(requests);
+  },
+
+  // Outgoing requests of a company (asCompany) or incoming requests of a student,
+  // with the number of messages the user has not read yet
+  listForUser: async (userId, { asCompany, status }) => {
+    const ownerColumn = asCompany ? 'cr.companyUserId' : 'd.userId';
+    const values = [userId, userId];
+    let statusCondition = '';
+    if (status) {
+      statusCondition = ' AND cr.status = ?';
+      values.push(status);
+    }
+
+    const [requests] = await executor.execute(
+      `SELECT r.*, (
+         SELECT COUNT(*) FROM contact_messages m
+         WHERE m.requestId = r.id AND m.senderUserId <> ? AND m.readAt IS NULL
+       ) as unreadCount
+       FROM (${CONTACT_REQUEST_SELECT} WHERE ${ownerColumn} = ?${statusCondition}) r
+       ORDER BY r.updatedAt DESC`,
+      values
+    );
+    return requests;
+  },
+
+  // Answer a pending request; false when it was already answered
+  respond: async (id, status) => {
+    const [result] = await executor.execute(
+      "UPDATE contact_requests SET status = ?, respondedAt = NOW() WHERE id = ? AND status = 'pending'",
+      [status, id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  touch: async (id) => {
+    await executor.execute('UPDATE contact_requests SET updatedAt = NOW() WHERE id = ?', [id]);
+  },
+
+  addMessage: async ({ requestId, senderUserId, body }) => {
+    const [result] = await executor.execute(
+      'INSERT INTO contact_messages (requestId, senderUserId, body) VALUES (?, ?, ?)',
+      [requestId, senderUserId, body]
+    );
+    const [messages] = await executor.execute(
+      'SELECT id, senderUserId, body, readAt, createdAt FROM contact_messages WHERE id = ?',
+      [result.insertId]
+    );
+    return messages[0];
+  },
+
+  listMessages: async (requestId) => {
+    const [messages] = await executor.execute(
+      `SELECT id, senderUserId, body, readAt, createdAt
+       FROM contact_messages
+       WHERE requestId = ?
+       ORDER BY id ASC`,
+      [requestId]
+    );
+    return messages;
+  },
+
+  // Mark messages from the other party as read; returns the number of messages marked
+  markRead: async (requestId, readerUserId) => {
+    const [result] = await executor.execute(
+      'UPDATE contact_messages SET readAt = NOW() WHERE requestId = ? AND senderUserId <> ? AND readAt IS NULL',
+      [requestId, readerUserId]
+    );
+    return result.affectedRows;
+  },
+
+  // Requests sent per day between two dates (inclusive) and how many of them were accepted
+  countCreatedByDay: async (from, to) => {
+    const [stats] = await executor.execute(
+      `SELECT DATE_FORMAT(createdAt, '%Y-%m-%d') as date, COUNT(*) as count, SUM(status = 'accepted') as accepted
+       FROM contact_requests
+       WHERE createdAt >= ? AND createdAt < DATE_ADD(?, INTERVAL 1 DAY)
+       GROUP BY date`,
+      [from, to]
+    );
+    return stats.map(stat => ({ ...stat, accepted: Number(stat.accepted) }));
+  },
+
+  // Companies that sent the most requests between two dates (inclusive)
+  listTopCompanies: async (from, to, limit) => {
+    // LIMIT values are validated integers (see developers.list)
+    const [companies] = await executor.execute(
+      `SELECT cr.companyUserId, u.name as companyName, c.legalName as companyLegalName,
+         COUNT(*) as requests, SUM(cr.status = 'accepted') as accepted
+       FROM contact_requests cr
+       JOIN users u ON u.userId = cr.companyUserId
+       LEFT JOIN companies c ON c.userId = cr.companyUserId
+       WHERE cr.createdAt >= ? AND cr.createdAt < DATE_ADD(?, INTERVAL 1 DAY)
+       GROUP BY cr.companyUserId, u.name, c.legalName
+       ORDER BY requests DESC, accepted DESC, cr.companyUserId ASC
+       LIMIT ${limit}`,
+      [from, to]
+    );
+    return companies.map(company => ({ ...company, accepted: Number(company.accepted) }));
+  }
+});
+
+const createCompanyRepository = (executor) => ({
+  findByUserId: async (userId) => {
+    const [companies] = await executor.execute('SELECT * FROM companies WHERE userId = ?', [userId]);
+    return first(companies);
+  },
+
+  // Public profile fields together with the account name
+  findProfile: async (userId) => {
+    const [companies] = await executor.execute(
+      `SELECT c.userId, u.name, c.legalName, c.website, c.size, c.sector, c.location, c.logoUrl,
+        c.verificationStatus, c.verifiedAt, c.createdAt
+       FROM companies c
+       JOIN users u ON u.userId = c.userId
+       WHERE c.userId = ? AND u.deletedAt IS NULL`,
+      [userId]
+    );
+    return first(companies);
+  },
+
+  create: async (userId, values) => {
+    const columns = ['userId', ...Object.keys(values)];
+    await executor.execute(
+      `INSERT INTO companies (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+      [userId, ...Object.values(values)]
+    );
+  },
+
+  // Update the given columns; resetVerification sends the profile back to the verification queue
+  update: async (userId, values, { resetVerification = false } = {}) => {
+    const updates = Object.keys(values).map(key => `${key} = ?`);
+    if (resetVerification) {
+      updates.push("verificationStatus = 'pending'", 'verificationNote = NULL', 'verifiedAt = NULL', 'verifiedBy = NULL');
+    }
+    await executor.execute(
+      `UPDATE companies SET ${updates.join(', ')} WHERE userId = ?`,
+      [...Object.values(values), userId]
+    );
+  },
+
+  delete: async (userId) => {
+    const [result] = await executor.execute('DELETE FROM companies WHERE userId = ?', [userId]);
+    return result.affectedRows;
+  },
+
+  listByStatus: async (status) => {
+    const [companies] = await executor.execute(
+      `SELECT c.*, u.name, u.email
+       FROM companies c
+       JOIN users u ON u.userId = c.userId
+       WHERE c.verificationStatus = ?
+       ORDER BY c.createdAt ASC`,
+      [status]
+    );
+    return companies;
+  },
+
+  // Returns false when the company does not exist
+  setVerification: async (userId, { status, note, verifiedAt, verifiedBy }) => {
+    const [result] = await executor.execute(
+      `UPDATE companies
+       SET verificationStatus = ?, verificationNote = ?, verifiedAt = ?, verifiedBy = ?
+       WHERE userId = ?`,
+      [status, note, verifiedAt, verifiedBy, userId]
+    );
+    return result.affectedRows > 0;
+  }
+});
+
+// A posting is listed publicly while it is open and not expired
+// Postings of soft-deleted companies are never active
+const ACTIVE_JOB_CONDITION = `j.status = 'open' AND (j.expiresAt IS NULL OR j.expiresAt > NOW())
+  AND j.companyUserId NOT IN (SELECT userId FROM users WHERE deletedAt IS NOT NULL)`;
+
+const JOB_SELECT = `
+  SELECT j.*, u.name as companyName, c.legalName as companyLegalName, c.logoUrl as companyLogoUrl,
+    (${ACTIVE_JOB_CONDITION}) as isActive
+  FROM job_postings j
+  JOIN users u ON u.userId = j.companyUserId AND u.deletedAt IS NULL
+  LEFT JOIN companies c ON c.userId = j.companyUserId`;
+
+const createJobRepository = (executor) => ({
+  // Active postings matching the filters, newest first
+  listActive: async ({ fields, workTypes, q, location, companyUserId, minSalary }, { limit, offset }) => {
+    const conditions = [ACTIVE_JOB_CONDITION];
+    const values = [];
+
+    if (fields) {
+      conditions.push(`j.field IN (${placeholders(fields)})`);
+      values.push(...fields);
+    }
+    if (workTypes) {
+      conditions.push(`j.workType IN (${placeholders(workTypes)})`);
+      values.push(...workTypes);
+    }
+    if (q) {
+      const pattern = `%${escapeLike(q)}%`;
+      conditions.push('(j.title LIKE ? OR j.description LIKE ?)');
+      values.push(pattern, pattern);
+    }
+    if (location) {
+      conditions.push('j.location LIKE ?');
+      values.push(`%${escapeLike(location)}%`);
+    }
+    if (companyUserId) {
+      conditions.push('j.companyUserId = ?');
+      values.push(companyUserId);
+    }
+    if (minSalary !== undefined) {
+      // Postings without a salary range are excluded when a minimum salary is requested
+      conditions.push('COALESCE(j.salaryMax, j.salaryMin) >= ?');
+      values.push(minSalary);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const [countRows] = await executor.execute(`SELECT COUNT(*) as total FROM job_postings j ${whereClause}`, values);
+    const [jobs] = await executor.execute(
+      `${JOB_SELECT} ${whereClause} ORDER BY j.createdAt DESC, j.id DESC LIMIT ${limit} OFFSET ${offset}`,
+      values
+    );
+
+    return { total: countRows[0].total, jobs };
+  },
+
+  // All postings of a company, including closed/expired ones, with application counts
+  listForCompany: async (companyUserId) => {
+    const [jobs] = await executor.execute(
+      `SELECT jobs.*, (SELECT COUNT(*) FROM job_applications a WHERE a.jobId = jobs.id) as applicationCount
+       FROM (${JOB_SELECT} WHERE j.companyUserId = ?) jobs
+       ORDER BY jobs.createdAt DESC`,
+      [companyUserId]
+    );
+    return jobs;
+  },
+
+  findById: async (id) => {
+    const [jobs] = await executor.execute(`${JOB_SELECT} WHERE j.id = ?`, [id]);
+    return first(jobs);
+  },
+
+  isActive: async (id) => {
+    const [jobs] = await executor.execute(
+      `SELECT j.id FROM job_postings j WHERE j.id = ? AND ${ACTIVE_JOB_CONDITION}`,
+      [id]
+    );
+    return jobs.length > 0;
+  },
+
+  create: async (id, companyUserId, values) => {
+    const columns = ['id', 'companyUserId', ...Object.keys(values)];
+    await executor.execute(
+      `INSERT INTO job_postings (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+      [id, companyUserId, ...Object.values(values)]
+    );
+  },
+
+  update: async (id, values) => {
+    await executor.execute(
+      `UPDATE job_postings SET ${Object.keys(values).map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+  },
+
+  delete: async (id) => {
+    const [result] = await executor.execute('DELETE FROM job_postings WHERE id = ?', [id]);
+    return result.affectedRows;
+  }
+});
+
+const createApplicationRepository = (executor) => ({
+  create: async ({ id, jobId, developerId, coverLetter }) => {
+    await executor.execute(
+      'INSERT INTO job_applications (id, jobId, developerId, coverLetter) VALUES (?, ?, ?, ?)',
+      [id, jobId, developerId, coverLetter]
+    );
+  },
+
+  findById: async (id) => {
+    const [applications] = await executor.execute(
+      'SELECT id, jobId, developerId, status, coverLetter, createdAt, updatedAt FROM job_applications WHERE id = ?',
+      [id]
+    );
+    return first(applications);
+  },
+
+  // Application with the company that owns the posting
+  findWithCompany: async (id) => {
+    const [applications] = await executor.execute(
+      `SELECT a.id, j.companyUserId
+       FROM job_applications a
+       JOIN job_postings j ON j.id = a.jobId
+       WHERE a.id = ?`,
+      [id]
+    );
+    return first(applications);
+  },
+
+  // Applications of a student with job details
+  listForStudent: async (userId) => {
+    const [applications] = await executor.execute(
+      `SELECT a.id, a.jobId, a.status, a.coverLetter, a.createdAt, a.updatedAt,
+        j.title, j.field, j.workType, j.location, j.status as jobStatus,
+        u.name as companyName, c.legalName as companyLegalName
+       FROM job_applications a
+       JOIN developers d ON d.id = a.developerId
+       JOIN job_postings j ON j.id = a.jobId
+       JOIN users u ON u.userId = j.companyUserId
+       LEFT JOIN companies c ON c.userId = j.companyUserId
+       WHERE d.userId = ?
+       ORDER BY a.createdAt DESC`,
+      [userId]
+    );
+    return applications;
+  },
+
+  // Applications to a posting, leaving out soft-deleted profiles
+  listForJob: async (jobId, status) => {
+    const [applications] = await executor.execute(
+      `SELECT a.id, a.developerId, a.status, a.coverLetter, a.createdAt, a.updatedAt
+       FROM job_applications a
+       JOIN developers d ON d.id = a.developerId AND d.deletedAt IS NULL
+       WHERE a.jobId = ?${status ? ' AND a.status = ?' : ''}
+       ORDER BY a.createdAt ASC`,
+      status ? [jobId, status] : [jobId]
+    );
+    return applications;
+  },
+
+  setStatus: async (id, status) => {
+    await executor.execute('UPDATE job_applications SET status = ? WHERE id = ?', [status, id]);
+  }
+});
+
+const createPlanRepository = (executor) => ({
+  // Plans with the number of companies subscribed to them
+  list: async () => {
+    const [plans] = await executor.execute(
+      `SELECT p.*, COUNT(cs.userId) as companyCount
+       FROM plans p
+       LEFT JOIN company_subscriptions cs ON cs.planId = p.id
+       GROUP BY p.id
+       ORDER BY p.createdAt ASC`
+    );
+    return plans;
+  },
+
+  findById: async (id) => {
+    const [plans] = await executor.execute('SELECT * FROM plans WHERE id = ?', [id]);
+    return first(plans);
+  },
+
+  create: async ({ id, name, dailyContactLimit, monthlyContactLimit }) => {
+    await executor.execute(
+      'INSERT INTO plans (id, name, dailyContactLimit, monthlyContactLimit) VALUES (?, ?, ?, ?)',
+      [id, name, dailyContactLimit, monthlyContactLimit]
+    );
+  },
+
+  update: async (id, values) => {
+    await executor.execute(
+      `UPDATE plans SET ${Object.keys(values).map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+  },
+
+  // Plan id of a company's subscription, or null when it has none
+  findSubscriptionPlanId: async (userId) => {
+    const [subscriptions] = await executor.execute(
+      'SELECT planId FROM company_subscriptions WHERE userId = ?',
+      [userId]
+    );
+    return subscriptions.length > 0 ? subscriptions[0].planId : null;
+  },
+
+  subscribe: async (userId, planId) => {
+    await executor.execute(
+      'INSERT INTO company_subscriptions (userId, planId) VALUES (?, ?) ON DUPLICATE KEY UPDATE planId = VALUES(planId)',
+      [userId, planId]
+    );
+  },
+
+  addBonus: async ({ userId, period, periodStart, amount, reason, grantedBy }) => {
+    await executor.execute(
+      'INSERT INTO quota_bonuses (userId, period, periodStart, amount, reason, grantedBy) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, period, periodStart, amount, reason, grantedBy]
+    );
+  },
+
+  // Bonus contacts granted for the day `date` and for the month starting at `monthStart`
+  sumBonuses: async (userId, date, monthStart) => {
+    const [bonuses] = await executor.execute(
+      `SELECT period, SUM(amount) as amount FROM quota_bonuses
+       WHERE userId = ? AND ((period = 'daily' AND periodStart = ?) OR (period = 'monthly' AND periodStart = ?))
+       GROUP BY period`,
+      [userId, date, monthStart]
+    );
+    const bonusFor = (period) => Number((bonuses.find(bonus => bonus.period === period) || {}).amount || 0);
+    return { daily: bonusFor('daily'), monthly: bonusFor('monthly') };
+  }
+});
+
+// Append-only: entries are never updated or deleted
+const createAuditLogRepository = (executor) => ({
+  record: async ({ id, actorUserId, action, targetType, targetId, ip, userAgent, changes, metadata }) => {
+    await executor.execute(
+      `INSERT INTO audit_log (id, actorUserId, action, targetType, targetId, ip, userAgent, changes, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, actorUserId, action, targetType, targetId, ip, userAgent,
+        changes ? JSON.stringify(changes) : null,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+  },
+
+  // Newest first. `from`/`to` are YYYY-MM-DD (inclusive), `actions` a list of action names.
+  list: async ({ actorUserId, targetType, targetId, actions, from, to, limit, offset }) => {
+    const { conditions, values } = exportConditions({ dateColumn: 'createdAt', from, to });
+    for (const [column, value] of [['actorUserId', actorUserId], ['targetType', targetType], ['targetId', targetId]]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        values.push(value);
+      }
+    }
+    if (actions) {
+      conditions.push(`action IN (${placeholders(actions)})`);
+      values.push(...actions);
+    }
+
+    const [countRows] = await executor.execute(`SELECT COUNT(*) as total FROM audit_log ${buildWhere(conditions)}`, values);
+    // LIMIT values are validated integers (see developers.list)
+    const [entries] = await executor.execute(
+      `SELECT * FROM audit_log ${buildWhere(conditions)} ORDER BY createdAt DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+      values
+    );
+    return { total: countRows[0].total, entries };
+  }
+});
+
+// Fixed-window counters of the database rate limit store (see rate-limit.js)
+const createRateLimitRepository = (executor) => ({
+  // Count a hit and return the key's window. An expired window restarts at 1; assignments run
+  // left to right, so `count` still compares against the old resetAt.
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    await executor.execute(
+      `INSERT INTO rate_limits (limitKey, count, resetAt) VALUES (?, 1, ?)
+       ON DUPLICATE KEY UPDATE
+         count = IF(resetAt <= ?, 1, count + 1),
+         resetAt = IF(resetAt <= ?, VALUES(resetAt), resetAt)`,
+      [key, new Date(now.getTime() + windowMs), now, now]
+    );
+    const [rows] = await executor.execute('SELECT count, resetAt FROM rate_limits WHERE limitKey = ?', [key]);
+    return first(rows);
+  },
+
+  get: async (key) => {
+    const [rows] = await executor.execute(
+      'SELECT count, resetAt FROM rate_limits WHERE limitKey = ? AND resetAt > ?',
+      [key, new Date()]
+    );
+    return first(rows);
+  },
+
+  reset: async (key) => {
+    await executor.execute('DELETE FROM rate_limits WHERE limitKey = ?', [key]);
+  },
+
+  purgeExpired: async () => {
+    const [result] = await executor.execute('DELETE FROM rate_limits WHERE resetAt <= ?', [new Date()]);
+    return result.affectedRows;
+  }
+});
+
+// Company workspace (shortlists, notes, saved searches). Soft-deleted developers are left out
+// until they are restored or purged.
+const createShortlistRepository = (executor) => ({
+  listForCompany: async (companyUserId) => {
+    const [shortlists] = await executor.execute(
+      `SELECT s.*, (
+         SELECT COUNT(*) FROM shortlist_developers sd
+         JOIN developers d ON d.id = sd.developerId AND d.deletedAt IS NULL
+         WHERE sd.shortlistId = s.id
+       ) as developerCount
+       FROM shortlists s WHERE s.companyUserId = ? ORDER BY s.name`,
+      [companyUserId]
+    );
+    return shortlists;
+  },
+
+  countForCompany: async (companyUserId) => {
+    const [rows] = await executor.execute('SELECT COUNT(*) as count FROM shortlists WHERE companyUserId = ?', [companyUserId]);
+    return rows[0].count;
+  },
+
+  findById: async (id) => {
+    const [shortlists] = await executor.execute('SELECT * FROM shortlists WHERE id = ?', [id]);
+    return first(shortlists);
+  },
+
+  create: async ({ id, companyUserId, name }) => {
+    await executor.execute('INSERT INTO shortlists (id, companyUserId, name) VALUES (?, ?, ?)', [id, companyUserId, name]);
+  },
+
+  rename: async (id, name) => {
+    await executor.execute('UPDATE shortlists SET name = ? WHERE id = ?', [name, id]);
+  },
+
+  delete: async (id) => {
+    const [result] = await executor.execute('DELETE FROM shortlists WHERE id = ?', [id]);
+    return result.affectedRows;
+  },
+
+  // Most recently added first
+  listEntries: async (shortlistId) => {
+    const [entries] = await executor.execute(
+      `SELECT sd.developerId, sd.createdAt as addedAt FROM shortlist_developers sd
+       JOIN developers d ON d.id = sd.developerId AND d.deletedAt IS NULL
+       WHERE sd.shortlistId = ? ORDER BY sd.createdAt DESC, sd.developerId`,
+      [shortlistId]
+    );
+    return entries;
+  },
+
+  countEntries: async (shortlistId) => {
+    const [rows] = await executor.execute('SELECT COUNT(*) as count FROM shortlist_developers WHERE shortlistId = ?', [shortlistId]);
+    return rows[0].count;
+  },
+
+  // Returns false when the developer is already on the list
+  addDeveloper: async (shortlistId, developerId) => {
+    const [result] = await executor.execute(
+      'INSERT IGNORE INTO shortlist_developers (shortlistId, developerId) VALUES (?, ?)',
+      [shortlistId, developerId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  removeDeveloper: async (shortlistId, developerId) => {
+    const [result] = await executor.execute(
+      'DELETE FROM shortlist_developers WHERE shortlistId = ? AND developerId = ?',
+      [shortlistId, developerId]
+    );
+    return result.affectedRows;
+  }
+});
+
+const createDeveloperNoteRepository = (executor) => ({
+  find: async (companyUserId, developerId) => {
+    const [notes] = await executor.execute(
+      'SELECT * FROM developer_notes WHERE companyUserId = ? AND developerId = ?',
+      [companyUserId, developerId]
+    );
+    return first(notes);
+  },
+
+  findForDevelopers: async (companyUserId, developerIds) => {
+    if (developerIds.length === 0) {
+      return [];
+    }
+    const [notes] = await executor.execute(
+      `SELECT * FROM developer_notes WHERE companyUserId = ? AND developerId IN (${placeholders(developerIds)})`,
+      [companyUserId, ...developerIds]
+    );
+    return notes;
+  },
+
+  save: async (companyUserId, developerId, note) => {
+    await executor.execute(
+      `INSERT INTO developer_notes (companyUserId, developerId, note) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE note = VALUES(note)`,
+      [companyUserId, developerId, note]
+    );
+  },
+
+  delete: async (companyUserId, developerId) => {
+    const [result] = await executor.execute(
+      'DELETE FROM developer_notes WHERE companyUserId = ? AND developerId = ?',
+      [companyUserId, developerId]
+    );
+    return result.affectedRows;
+  }
+});
+
+// Own columns of the profile section tables (see migrations/020_profile_sections.js)
+const EDUCATION_COLUMNS = ['school', 'degree', 'fieldOfStudy', 'startDate', 'endDate', 'description'];
+const EXPERIENCE_COLUMNS = ['company', 'title', 'location', 'startDate', 'endDate', 'description'];
+const PROJECT_COLUMNS = ['name', 'description', 'url', 'repositoryUrl', 'startDate', 'endDate'];
+
+// Entries of a developer profile section (developer_education, developer_experience or
+// developer_projects): `columns` are the section's own columns, startDate and endDate included.
+// Entries are listed newest first; undated ones last.
+const createProfileSectionRepository = (executor, table, columns) => {
+  const select = ['id', 'developerId', ...columns, 'createdAt', 'updatedAt']
+    .map(column => (column === 'startDate' || column === 'endDate' ? `DATE_FORMAT(${column}, '%Y-%m-%d') as ${column}` : column))
+    .join(', ');
+
+  return {
+    listForDeveloper: async (developerId) => {
+      const [entries] = await executor.execute(
+        `SELECT ${select} FROM ${table} WHERE developerId = ? ORDER BY startDate DESC, createdAt DESC, id DESC`,
+        [developerId]
+      );
+      return entries;
+    },
+
+    countForDeveloper: async (developerId) => {
+      const [rows] = await executor.execute(`SELECT COUNT(*) as count FROM ${table} WHERE developerId = ?`, [developerId]);
+      return rows[0].count;
+    },
+
+    findById: async (id) => {
+      const [entries] = await executor.execute(`SELECT ${select} FROM ${table} WHERE id = ?`, [id]);
+      return first(entries);
+    },
+
+    create: async ({ id, developerId, ...values }) => {
+      const entry = Object.fromEntries(columns.map(column => [column, values[column] === undefined ? null : values[column]]));
+      await executor.execute(
+        `INSERT INTO ${table} (id, developerId, ${columns.join(', ')}) VALUES (?, ?, ${placeholders(columns)})`,
+        [id, developerId, ...Object.values(entry)]
+      );
+    },
+
+    // Update the given columns; keys are validated column names
+    update: async (id, values) => {
+      await executor.execute(
+        `UPDATE ${table} SET ${Object.keys(values).map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(values), id]
+      );
+    },
+
+    delete: async (id) => {
+      const [result] = await executor.execute(`DELETE FROM ${table} WHERE id = ?`, [id]);
+      return result.affectedRows;
+    }
+  };
+};
+
+const createSavedSearchRepository = (executor) => ({
+  listForCompany: async (companyUserId) => {
+    const [searches] = await executor.execute(
+      'SELECT * FROM saved_searches WHERE companyUserId = ? ORDER BY name',
+      [companyUserId]
+    );
+    return searches;
+  },
+
+  countForCompany: async (companyUserId) => {
+    const [rows] = await executor.execute('SELECT COUNT(*) as count FROM saved_searches WHERE companyUserId = ?', [companyUserId]);
+    return rows[0].count;
+  },
+
+  findById: async (id) => {
+    const [searches] = await executor.execute('SELECT * FROM saved_searches WHERE id = ?', [id]);
+    return first(searches);
+  },
+
+  create: async ({ id, companyUserId, name, filters }) => {
+    await executor.execute(
+      'INSERT INTO saved_searches (id, companyUserId, name, filters) VALUES (?, ?, ?, ?)',
+      [id, companyUserId, name, JSON.stringify(filters)]
+    );
+  },
+
+  update: async (id, { name, filters }) => {
+    const values = { ...(name !== undefined && { name }), ...(filters !== undefined && { filters: JSON.stringify(filters) }) };
+    await executor.execute(
+      `UPDATE saved_searches SET ${Object.keys(values).map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+  },
+
+  // Searches of every active company, used to notify companies about matching new profiles
+  listAll: async () => {
+    const [searches] = await executor.execute(
+      `SELECT ss.* FROM saved_searches ss
+       JOIN users u ON u.userId = ss.companyUserId AND u.deletedAt IS NULL AND u.suspendedAt IS NULL`
+    );
+    return searches;
+  },
+
+  // Running a search is not an edit: updatedAt is kept
+  markRun: async (id) => {
+    await executor.execute('UPDATE saved_searches SET lastRunAt = NOW(), updatedAt = updatedAt WHERE id = ?', [id]);
+  },
+
+  delete: async (id) => {
+    const [result] = await executor.execute('DELETE FROM saved_searches WHERE id = ?', [id]);
+    return result.affectedRows;
+  }
+});
+
+const createNotificationRepository = (executor) => ({
+  create: async ({ id, userId, type, data }) => {
+    await executor.execute(
+      'INSERT INTO notifications (id, userId, type, data) VALUES (?, ?, ?, ?)',
+      [id, userId, type, data ? JSON.stringify(data) : null]
+    );
+  },
+
+  findById: async (id) => {
+    const [notifications] = await executor.execute('SELECT * FROM notifications WHERE id = ?', [id]);
+    return first(notifications);
+  },
+
+  // Newest first; `unread` leaves out read notifications
+  list: async (userId, { unread = false, limit, offset }) => {
+    const where = `WHERE userId = ?${unread ? ' AND readAt IS NULL' : ''}`;
+    const [countRows] = await executor.execute(`SELECT COUNT(*) as total FROM notifications ${where}`, [userId]);
+    // LIMIT values are validated integers (see developers.list)
+    const [notifications] = await executor.execute(
+      `SELECT * FROM notifications ${where} ORDER BY createdAt DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+      [userId]
+    );
+    return { total: countRows[0].total, notifications };
+  },
+
+  countUnread: async (userId) => {
+    const [rows] = await executor.execute('SELECT COUNT(*) as count FROM notifications WHERE userId = ? AND readAt IS NULL', [userId]);
+    return rows[0].count;
+  },
+
+  markRead: async (id) => {
+    const [result] = await executor.execute('UPDATE notifications SET readAt = NOW() WHERE id = ? AND readAt IS NULL', [id]);
+    return result.affectedRows;
+  },
+
+  markAllRead: async (userId) => {
+    const [result] = await executor.execute(
+      'UPDATE notifications SET readAt = NOW() WHERE userId = ? AND readAt IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  },
+
+  // Unread notifications created after `since`, newest first: `limit` of them and the total
+  listUnreadSince: async (userId, since, limit) => {
+    const [countRows] = await executor.execute(
+      'SELECT COUNT(*) as total FROM notifications WHERE userId = ? AND readAt IS NULL AND createdAt > ?',
+      [userId, since]
+    );
+    const [notifications] = await executor.execute(
+      `SELECT * FROM notifications WHERE userId = ? AND readAt IS NULL AND createdAt > ?
+       ORDER BY createdAt DESC, id DESC LIMIT ${limit}`,
+      [userId, since]
+    );
+    return { total: countRows[0].total, notifications };
+  },
+
+  findPreferences: async (userId) => {
+    const [rows] = await executor.execute('SELECT * FROM notification_preferences WHERE userId = ?', [userId]);
+    return first(rows);
+  },
+
+  savePreferences: async (userId, { digestFrequency, mutedTypes }) => {
+    await executor.execute(
+      `INSERT INTO notification_preferences (userId, digestFrequency, mutedTypes) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE digestFrequency = VALUES(digestFrequency), mutedTypes = VALUES(mutedTypes)`,
+      [userId, digestFrequency, JSON.stringify(mutedTypes)]
+    );
+  },
+
+  // Active users on `frequency` (users without preferences are on `defaultFrequency`) whose last digest
+  // was sent before `sentBefore` and who have unread notifications since then
+  listDigestRecipients: async ({ frequency, defaultFrequency, sentBefore }) => {
+    const [users] = await executor.execute(
+      `SELECT u.userId, u.email, u.name, u.locale, p.lastDigestAt
+       FROM users u
+       LEFT JOIN notification_preferences p ON p.userId = u.userId
+       WHERE COALESCE(p.digestFrequency, ?) = ? AND u.deletedAt IS NULL AND u.suspendedAt IS NULL
+         AND (p.lastDigestAt IS NULL OR p.lastDigestAt <= ?)
+         AND EXISTS (
+           SELECT 1 FROM notifications n
+           WHERE n.userId = u.userId AND n.readAt IS NULL AND n.createdAt > COALESCE(p.lastDigestAt, ?)
+         )`,
+      [defaultFrequency, frequency, sentBefore, sentBefore]
+    );
+    return users;
+  },
+
+  markDigestSent: async (userId, sentAt) => {
+    await executor.execute(
+      `INSERT INTO notification_preferences (userId, lastDigestAt) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE lastDigestAt = VALUES(lastDigestAt)`,
+      [userId, sentAt]
+    );
+  }
+});
+
+// Numeric IDs replaced by migration 010_uuid_ids, so old links keep working
+const createLegacyIdRepository = (executor) => ({
+  // Current ID of an entity ('user', 'developer', 'job', ...) from its old numeric ID, or null
+  resolve: async (entity, legacyId) => {
+    const [rows] = await executor.execute('SELECT id FROM legacy_ids WHERE entity = ? AND legacyId = ?', [entity, legacyId]);
+    return rows.length > 0 ? rows[0].id : null;
+  }
+});
+
+const createRepositories = (executor) => ({
+  users: createUserRepository(executor),
+  sessions: createSessionRepository(executor),
+  userTokens: createUserTokenRepository(executor),
+  developers: createDeveloperRepository(executor),
+  skills: createSkillRepository(executor),
+  contacts: createContactRepository(executor),
+  profileViews: createProfileViewRepository(executor),
+  contactRequests: createContactRequestRepository(executor),
+  companies: createCompanyRepository(executor),
+  jobs: createJobRepository(executor),
+  applications: createApplicationRepository(executor),
+  plans: createPlanRepository(executor),
+  auditLog: createAuditLogRepository(executor),
+  rateLimits: createRateLimitRepository(executor),
+  shortlists: createShortlistRepository(executor),
+  developerNotes: createDeveloperNoteRepository(executor),
+  developerEducation: createProfileSectionRepository(executor, 'developer_education', EDUCATION_COLUMNS),
+  developerExperience: createProfileSectionRepository(executor, 'developer_experience', EXPERIENCE_COLUMNS),
+  developerProjects: createProfileSectionRepository(executor, 'developer_projects', PROJECT_COLUMNS),
+  savedSearches: createSavedSearchRepository(executor),
+  notifications: createNotificationRepository(executor),
+  legacyIds: createLegacyIdRepository(executor)
+});
+
+const createMysqlStorage = () => {
+  // The pool is created on startup, so it is looked up on every call
+  const poolExecutor = { execute: (...args) => db.pool.execute(...args) };
+
+  return {
+    name: 'mysql',
+    label: 'MySQL',
+
+    // Create the database if needed, connect and refuse to run against an outdated schema
+    init: async () => {
+      console.log('Checking database...');
+      await db.createDatabaseIfNotExists();
+      db.initializePool();
+
+      if (!(await db.testConnection())) {
+        throw new Error('Failed to connect to database');
+      }
+
+      // Migrations are applied with `npm run migrate`
+      console.log('Checking database schema...');
+      await assertSchemaUpToDate();
+    },
+
+    healthCheck: () => db.testConnection(),
+
+    // Run fn with repositories bound to one connection; commits when it resolves, rolls back when it throws
+    transaction: async (fn) => {
+      const connection = await db.pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        const result = await fn(createRepositories(connection));
+        await connection.commit();
+        return result;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+    },
+
+    ...createRepositories(poolExecutor)
+  };
+};
+
+module.exports = { createMysqlStorage };
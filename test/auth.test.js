@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, useServer, request, login, loginAdmin, registerVerified } = require('./helpers');
+
+useServer();
+
+test('register, login and refresh', async () => {
+  const registered = await registerVerified('student@example.com', 'student');
+  assert.equal(registered.code, 'registered');
+  assert.equal(registered.user.role, 'student');
+
+  const wrongPassword = await request('POST', '/api/auth/login', { body: { email: 'student@example.com', password: 'Wr0ngpassword' } });
+  assert.equal(wrongPassword.status, 401);
+
+  const loggedIn = await request('POST', '/api/auth/login', { body: { email: 'student@example.com', password: PASSWORD } });
+  assert.equal(loggedIn.status, 200);
+  assert.ok(loggedIn.body.token);
+  assert.ok(loggedIn.body.refreshToken);
+
+  const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: loggedIn.body.refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.ok(refreshed.body.token);
+  assert.notEqual(refreshed.body.refreshToken, loggedIn.body.refreshToken);
+
+  const sessions = await request('GET', '/api/auth/sessions', { token: refreshed.body.token });
+  assert.equal(sessions.status, 200);
+  assert.equal(sessions.body.data.filter(session => session.current).length, 1);
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  await registerVerified('student@example.com', 'student');
+  const loggedIn = await request('POST', '/api/auth/login', { body: { email: 'student@example.com', password: PASSWORD } });
+  const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: loggedIn.body.refreshToken } });
+  assert.equal(refreshed.status, 200);
+
+  // Refresh tokens are single use; presenting an old one again means it may have been stolen
+  const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken: loggedIn.body.refreshToken } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'refresh_token_reused');
+
+  // The session is revoked, so the tokens issued by the legitimate refresh stop working too
+  const sessions = await request('GET', '/api/auth/sessions', { token: refreshed.body.token });
+  assert.equal(sessions.status, 401);
+  assert.equal(sessions.body.code, 'session_revoked');
+
+  const refreshedAgain = await request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.equal(refreshedAgain.status, 401);
+});
+
+test('logout revokes the current session and logout-all every session', async () => {
+  const { token: registrationToken } = await registerVerified('student@example.com', 'student');
+  const first = await login('student@example.com');
+  const second = await login('student@example.com');
+
+  const loggedOut = await request('POST', '/api/auth/logout', { token: first });
+  assert.equal(loggedOut.status, 200);
+  assert.equal((await request('GET', '/api/auth/sessions', { token: first })).body.code, 'session_revoked');
+  assert.equal((await request('GET', '/api/auth/sessions', { token: second })).status, 200);
+
+  const loggedOutAll = await request('POST', '/api/auth/logout-all', { token: second });
+  assert.equal(loggedOutAll.status, 200);
+  assert.equal((await request('GET', '/api/auth/sessions', { token: second })).status, 401);
+  assert.equal((await request('GET', '/api/auth/sessions', { token: registrationToken })).status, 401);
+});
+
+test('tokens of a deleted user are rejected', async () => {
+  const { token, user } = await registerVerified('student@example.com', 'student');
+
+  const deleted = await request('DELETE', `/api/admin/users/${user.userId}`, { token: await loginAdmin() });
+  assert.equal(deleted.status, 200);
+
+  assert.equal((await request('GET', '/api/auth/sessions', { token })).status, 401);
+  const loggedIn = await request('POST', '/api/auth/login', { body: { email: 'student@example.com', password: PASSWORD } });
+  assert.equal(loggedIn.status, 401);
+});
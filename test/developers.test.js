@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, request, registerVerified, createDeveloper } = require('./helpers');
+
+useServer();
+
+test('create, list and get a developer profile', async () => {
+  const { token } = await registerVerified('dev@example.com', 'student');
+  const profile = {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    workType: 'remote',
+    field: 'backend',
+    email: 'dev@example.com',
+    github: 'https://github.com/ada',
+    skills: [{ name: 'Node.js', level: 'expert' }]
+  };
+
+  const unauthenticated = await request('POST', '/api/developers', { body: profile });
+  assert.equal(unauthenticated.status, 401);
+
+  const created = await request('POST', '/api/developers', { body: profile, token });
+  assert.equal(created.status, 201);
+  const { id } = created.body.data;
+
+  const duplicate = await request('POST', '/api/developers', { body: profile, token });
+  assert.equal(duplicate.status, 400);
+
+  const list = await request('GET', '/api/developers?field=backend&skills=node.js');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.data.map(developer => developer.id), [id]);
+  assert.equal(list.body.pagination.total, 1);
+
+  const otherField = await request('GET', '/api/developers?field=mobil');
+  assert.equal(otherField.body.data.length, 0);
+
+  // Contact details are only released to connected companies by default
+  const single = await request('GET', `/api/developers/${id}`);
+  assert.equal(single.status, 200);
+  assert.equal(single.body.data.firstName, 'Ada');
+  assert.equal(single.body.data.github, undefined);
+  assert.deepEqual(single.body.data.skills.map(skill => skill.slug), ['node.js']);
+
+  const own = await request('GET', `/api/developers/${id}`, { token });
+  assert.equal(own.body.data.github, 'https://github.com/ada');
+
+  const missing = await request('GET', '/api/developers/does-not-exist');
+  assert.equal(missing.status, 404);
+});
+
+test('search, sort and paginate the developer listing', async () => {
+  await createDeveloper('grace@example.com', { firstName: 'Grace', lastName: 'Hopper', workType: 'onsite' });
+  await createDeveloper('alan@example.com', { firstName: 'Alan', lastName: 'Turing' });
+  await createDeveloper('ada@example.com', { firstName: 'Ada', lastName: 'Lovelace' });
+
+  const names = (response) => response.body.data.map(developer => developer.firstName);
+
+  const byName = await request('GET', '/api/developers?sort=firstName');
+  assert.deepEqual(names(byName), ['Ada', 'Alan', 'Grace']);
+
+  const search = await request('GET', '/api/developers?q=turing');
+  assert.deepEqual(names(search), ['Alan']);
+
+  const remote = await request('GET', '/api/developers?workType=remote&sort=firstName&order=desc');
+  assert.deepEqual(names(remote), ['Alan', 'Ada']);
+
+  const firstPage = await request('GET', '/api/developers?sort=firstName&limit=2');
+  assert.deepEqual(names(firstPage), ['Ada', 'Alan']);
+  assert.equal(firstPage.body.pagination.total, 3);
+  assert.equal(firstPage.body.pagination.totalPages, 2);
+  assert.equal(firstPage.body.pagination.nextPage, 2);
+
+  const secondPage = await request('GET', '/api/developers?sort=firstName&limit=2&page=2');
+  assert.deepEqual(names(secondPage), ['Grace']);
+  assert.equal(secondPage.body.pagination.hasNextPage, false);
+
+  const { nextCursor } = firstPage.body.pagination;
+  const afterCursor = await request('GET', `/api/developers?sort=firstName&limit=2&cursor=${encodeURIComponent(nextCursor)}`);
+  assert.deepEqual(names(afterCursor), ['Grace']);
+  assert.equal(afterCursor.body.pagination.nextCursor, null);
+
+  const conflicting = await request('GET', `/api/developers?page=2&cursor=${encodeURIComponent(nextCursor)}`);
+  assert.equal(conflicting.status, 400);
+});
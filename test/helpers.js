@@ -0,0 +1,115 @@
+// Shared harness for the integration tests: the API runs in-process against the in-memory storage
+// driver (no database service needed). Every test file runs in its own process, so each gets a
+// fresh store and its own rate limit counters.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DIGEST_INTERVAL_MINUTES = '0';
+process.env.ADMIN_EMAIL = 'admin@example.com';
+process.env.ADMIN_PASSWORD = 'Adm1nPassw0rd!';
+
+const { before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTransport } = require('../mail');
+const { app, storage } = require('../server');
+
+const PASSWORD = 'Passw0rd!x';
+
+// Emails are kept instead of being printed
+const sentMails = [];
+setTransport({ name: 'test', send: async (message) => { sentMails.push(message); } });
+
+let baseUrl;
+
+// Start the server for the calling test file and reset the store (reseeding plans and the admin)
+// before each test
+const useServer = () => {
+  let server;
+
+  before(async () => {
+    await storage.init();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(async () => {
+    await storage.reset();
+    sentMails.length = 0;
+  });
+};
+
+// JSON request to the test server. Returns { status, headers, body }.
+const request = async (method, path, { body, token } = {}) => {
+  const res = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept-Language': 'en',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+const login = async (email, password = PASSWORD) => {
+  const res = await request('POST', '/api/auth/login', { body: { email, password } });
+  assert.equal(res.status, 200);
+  return res.body.token;
+};
+
+const loginAdmin = () => login(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+
+// Register and verify the email address with the token from the verification email.
+// Returns the registration response ({ token, refreshToken, user, ... }).
+const registerVerified = async (email, role) => {
+  const registered = await request('POST', '/api/auth/register', { body: { email, password: PASSWORD, name: 'Test User', role } });
+  assert.equal(registered.status, 201);
+
+  const mail = sentMails.find(message => message.to === email);
+  const [, verificationToken] = /token=([\w-]+)/.exec(mail.text);
+  const verified = await request('POST', '/api/auth/verify-email', { body: { token: verificationToken } });
+  assert.equal(verified.status, 200);
+
+  return registered.body;
+};
+
+// A verified student with a public developer profile. Returns { token, userId, developerId }.
+const createDeveloper = async (email, profile = {}) => {
+  const { token, user } = await registerVerified(email, 'student');
+  const created = await request('POST', '/api/developers', {
+    token,
+    body: { firstName: 'Ada', lastName: 'Lovelace', workType: 'remote', field: 'backend', email, ...profile }
+  });
+  assert.equal(created.status, 201);
+  return { token, userId: user.userId, developerId: created.body.data.id };
+};
+
+// A verified company user with a company profile, verified by the admin unless `verified` is
+// false. Returns { token, userId }.
+const createCompany = async (email, { verified = true } = {}) => {
+  const { token, user } = await registerVerified(email, 'company');
+  const company = await request('POST', '/api/companies', { token, body: { legalName: `${email} Ltd` } });
+  assert.equal(company.status, 201);
+
+  if (verified) {
+    const approved = await request('POST', `/api/admin/companies/${user.userId}/verify`, { token: await loginAdmin(), body: {} });
+    assert.equal(approved.status, 200);
+  }
+  return { token, userId: user.userId };
+};
+
+module.exports = {
+  PASSWORD,
+  storage,
+  sentMails,
+  useServer,
+  request,
+  login,
+  loginAdmin,
+  registerVerified,
+  createDeveloper,
+  createCompany
+};
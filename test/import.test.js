@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, storage, sentMails, useServer, request, loginAdmin, registerVerified, createDeveloper } = require('./helpers');
+
+useServer();
+
+const importUsers = async (rows, { dryRun = false } = {}) =>
+  request('POST', `/api/admin/import/users${dryRun ? '?dryRun=true' : ''}`, { token: await loginAdmin(), body: { rows } });
+
+const findUsers = (emails) => Promise.all(emails.map(email => storage.users.findByEmail(email)));
+
+test('a user import with an invalid row imports nothing', async () => {
+  await registerVerified('taken@example.com', 'student');
+
+  const imported = await importUsers([
+    { email: 'ok@example.com', name: 'Ok User' },
+    { email: 'not-an-email', name: 'Bad Email' },
+    { email: 'taken@example.com', name: 'Taken' },
+    { email: 'ok@example.com', name: 'Twice' }
+  ]);
+
+  assert.equal(imported.status, 400);
+  assert.equal(imported.body.code, 'import_invalid');
+  assert.deepEqual(imported.body.data, { total: 4, valid: 1, invalid: 3, dryRun: false });
+  assert.deepEqual(imported.body.errors.map(error => [error.row, error.code]), [
+    [2, 'invalid_email'],
+    [3, 'email_in_use'],
+    [4, 'duplicate_in_import']
+  ]);
+  assert.deepEqual(await findUsers(['ok@example.com']), [null]);
+});
+
+test('a dry run validates a user import without creating accounts', async () => {
+  const rows = [
+    { email: 'student@example.com', name: 'Student', password: PASSWORD },
+    { email: 'company@example.com', name: 'Company', role: 'company' }
+  ];
+
+  const validated = await importUsers(rows, { dryRun: true });
+  assert.equal(validated.status, 200);
+  assert.equal(validated.body.code, 'import_validated');
+  assert.deepEqual(validated.body.data, { total: 2, valid: 2, invalid: 0, dryRun: true });
+  assert.deepEqual(await findUsers(rows.map(row => row.email)), [null, null]);
+});
+
+test('a valid user import creates every account and invites those without a password', async () => {
+  const imported = await importUsers([
+    { email: 'student@example.com', name: 'Student', password: PASSWORD },
+    { email: 'company@example.com', name: 'Company', role: 'company' }
+  ]);
+
+  assert.equal(imported.status, 201);
+  assert.deepEqual(imported.body.data.created.map(({ row, role, invited }) => [row, role, invited]), [
+    [1, 'student', false],
+    [2, 'company', true]
+  ]);
+  const [student, company] = await findUsers(['student@example.com', 'company@example.com']);
+  assert.ok(student.emailVerifiedAt);
+  assert.equal(company.role, 'company');
+  assert.deepEqual(sentMails.map(mail => mail.to), ['company@example.com']);
+
+  const login = await request('POST', '/api/auth/login', { body: { email: 'student@example.com', password: PASSWORD } });
+  assert.equal(login.status, 200);
+});
+
+test('a developer import with a conflicting row imports nothing', async () => {
+  await registerVerified('company@example.com', 'company');
+  await createDeveloper('existing@example.com');
+  const profile = { firstName: 'Grace', lastName: 'Hopper', workType: 'remote', field: 'backend' };
+
+  const imported = await request('POST', '/api/admin/import/developers', {
+    token: await loginAdmin(),
+    body: {
+      rows: [
+        { ...profile, email: 'new@example.com', skills: 'Node.js:expert' },
+        { ...profile, email: 'company@example.com' },
+        { ...profile, email: 'existing@example.com' }
+      ]
+    }
+  });
+
+  assert.equal(imported.status, 400);
+  assert.deepEqual(imported.body.errors.map(error => [error.row, error.code]), [
+    [2, 'not_student'],
+    [3, 'profile_exists']
+  ]);
+  assert.deepEqual(await findUsers(['new@example.com']), [null]);
+  const listing = await request('GET', '/api/developers');
+  assert.equal(listing.body.pagination.total, 1);
+});
+
+test('a valid developer import creates the profiles and missing student accounts', async () => {
+  const { user } = await registerVerified('student@example.com', 'student');
+  const profile = { firstName: 'Grace', lastName: 'Hopper', workType: 'remote', field: 'backend' };
+
+  const imported = await request('POST', '/api/admin/import/developers', {
+    token: await loginAdmin(),
+    body: {
+      rows: [
+        { ...profile, email: 'student@example.com', skills: 'Node.js:expert; SQL' },
+        { ...profile, email: 'new@example.com' }
+      ]
+    }
+  });
+
+  assert.equal(imported.status, 201);
+  const listing = await request('GET', '/api/developers?skills=node.js,sql');
+  assert.equal(listing.body.data.length, 1);
+  assert.equal((await storage.users.findByEmail('new@example.com')).role, 'student');
+  assert.equal((await storage.developers.findByUserIds([user.userId])).length, 1);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, useServer, request, loginAdmin, registerVerified, createCompany } = require('./helpers');
+
+useServer();
+
+const posting = { title: 'Backend intern', description: 'Build APIs', field: 'backend', workType: 'remote' };
+
+const createJob = async (token) => {
+  const created = await request('POST', '/api/jobs', { token, body: posting });
+  assert.equal(created.status, 201);
+  return created.body.data.id;
+};
+
+// Status of GET /api/jobs/:id for each kind of reader
+const detailStatuses = async (jobId, readers) => {
+  const statuses = {};
+  for (const [name, token] of Object.entries(readers)) {
+    statuses[name] = (await request('GET', `/api/jobs/${jobId}`, { token })).status;
+  }
+  return statuses;
+};
+
+const createReaders = async () => {
+  const owner = await createCompany('owner@example.com');
+  const other = await createCompany('other@example.com');
+  const { token: student } = await registerVerified('student@example.com', 'student');
+  return {
+    owner: owner.token,
+    readers: { anonymous: undefined, student, otherCompany: other.token, owner: owner.token, admin: await loginAdmin() }
+  };
+};
+
+test('an open job posting is public', async () => {
+  const { owner, readers } = await createReaders();
+  const jobId = await createJob(owner);
+
+  assert.deepEqual(await detailStatuses(jobId, readers), { anonymous: 200, student: 200, otherCompany: 200, owner: 200, admin: 200 });
+});
+
+test('a closed job posting is only shown to the owning company and admins', async () => {
+  const { owner, readers } = await createReaders();
+  const jobId = await createJob(owner);
+
+  const closed = await request('PUT', `/api/jobs/${jobId}`, { token: owner, body: { status: 'closed' } });
+  assert.equal(closed.status, 200);
+
+  assert.deepEqual(await detailStatuses(jobId, readers), { anonymous: 404, student: 404, otherCompany: 404, owner: 200, admin: 200 });
+  assert.equal((await request('GET', `/api/jobs/${jobId}`)).body.code, 'job_not_found');
+  assert.deepEqual((await request('GET', '/api/jobs')).body.data, []);
+});
+
+test('an expired job posting is only shown to the owning company and admins', async () => {
+  const { owner, readers } = await createReaders();
+  const jobId = await createJob(owner);
+
+  // Expiry dates must be in the future when set through the API
+  await storage.jobs.update(jobId, { expiresAt: new Date(Date.now() - 60 * 1000) });
+
+  assert.deepEqual(await detailStatuses(jobId, readers), { anonymous: 404, student: 404, otherCompany: 404, owner: 200, admin: 200 });
+});
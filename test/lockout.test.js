@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLockout } = require('../rate-limit');
+const { PASSWORD, sentMails, useServer, request, registerVerified } = require('./helpers');
+
+useServer();
+
+// Lockouts are kept by the rate limit store, which storage.reset() does not clear, so every test
+// uses its own identifiers
+
+const attemptLogin = (email, password) => request('POST', '/api/auth/login', { body: { email, password } });
+
+test('each failure from the threshold on doubles the lock up to the maximum', async () => {
+  const lockout = createLockout({ name: 'test', threshold: 2, baseMs: 1000, maxMs: 4000, windowMs: 60 * 1000 });
+
+  const durations = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    durations.push(await lockout.recordFailure('escalating'));
+  }
+  assert.deepEqual(durations, [0, 1, 2, 4, 4]);
+  assert.equal(await lockout.check('escalating'), 4);
+  assert.equal(await lockout.check('other'), 0);
+
+  await lockout.reset('escalating');
+  assert.equal(await lockout.check('escalating'), 0);
+  assert.equal(await lockout.recordFailure('escalating'), 0);
+});
+
+test('repeated wrong passwords lock the account, even for the right password', async () => {
+  await registerVerified('locked@example.com', 'student');
+
+  // LOGIN_LOCKOUT: the fifth failure locks the email for a minute
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await attemptLogin('locked@example.com', 'Wr0ngpassword')).status, 401);
+  }
+
+  const locked = await attemptLogin('locked@example.com', PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'account_locked');
+  const retryAfter = Number(locked.headers.get('Retry-After'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60);
+
+  // Other accounts are not affected
+  await registerVerified('other@example.com', 'student');
+  assert.equal((await attemptLogin('other@example.com', PASSWORD)).status, 200);
+});
+
+test('a successful login forgets earlier failures', async () => {
+  await registerVerified('forgiven@example.com', 'student');
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    await attemptLogin('forgiven@example.com', 'Wr0ngpassword');
+  }
+  assert.equal((await attemptLogin('forgiven@example.com', PASSWORD)).status, 200);
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    assert.equal((await attemptLogin('forgiven@example.com', 'Wr0ngpassword')).status, 401);
+  }
+  assert.equal((await attemptLogin('forgiven@example.com', PASSWORD)).status, 200);
+});
+
+test('resetting the password lifts the lock', async () => {
+  await registerVerified('reset@example.com', 'student');
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await attemptLogin('reset@example.com', 'Wr0ngpassword');
+  }
+  assert.equal((await attemptLogin('reset@example.com', PASSWORD)).status, 429);
+
+  sentMails.length = 0;
+  assert.equal((await request('POST', '/api/auth/forgot-password', { body: { email: 'reset@example.com' } })).status, 200);
+  const [, resetToken] = /token=([\w-]+)/.exec(sentMails[0].text);
+  const newPassword = 'N3wPassw0rd!x';
+  assert.equal((await request('POST', '/api/auth/reset-password', { body: { token: resetToken, password: newPassword } })).status, 200);
+
+  assert.equal((await attemptLogin('reset@example.com', newPassword)).status, 200);
+});
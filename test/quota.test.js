@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, request, createDeveloper, createCompany } = require('./helpers');
+
+useServer();
+
+// Unverified companies get a lower daily limit than the free plan (UNVERIFIED_COMPANY_LIMITS)
+const UNVERIFIED_DAILY_LIMIT = 3;
+
+const contact = (developerId, token) =>
+  request('POST', `/api/developers/${developerId}/contact`, { token, body: { message: 'Hello!' } });
+
+test('concurrent contact requests never exceed the daily limit', async () => {
+  const developers = [];
+  for (let index = 0; index <= UNVERIFIED_DAILY_LIMIT; index++) {
+    developers.push(await createDeveloper(`dev${index}@example.com`));
+  }
+  const company = await createCompany('company@example.com', { verified: false });
+
+  // One request more than the limit, all at once: the reservations are serialized, so exactly
+  // one of them is turned down
+  const responses = await Promise.all(developers.map(({ developerId }) => contact(developerId, company.token)));
+
+  const statuses = responses.map(response => response.status).sort();
+  assert.deepEqual(statuses, [201, 201, 201, 429]);
+  assert.equal(responses.find(response => response.status === 429).body.code, 'daily_limit_reached');
+
+  const stats = await request('GET', '/api/contacts/stats', { token: company.token });
+  assert.equal(stats.body.stats.contactsToday, UNVERIFIED_DAILY_LIMIT);
+  assert.equal(stats.body.stats.remainingContacts, 0);
+});
+
+test('a rejected reservation leaves no contact request behind', async () => {
+  const developers = [];
+  for (let index = 0; index <= UNVERIFIED_DAILY_LIMIT; index++) {
+    developers.push(await createDeveloper(`dev${index}@example.com`));
+  }
+  const company = await createCompany('company@example.com', { verified: false });
+
+  for (const { developerId } of developers.slice(0, UNVERIFIED_DAILY_LIMIT)) {
+    assert.equal((await contact(developerId, company.token)).status, 201);
+  }
+  const [last] = developers.slice(UNVERIFIED_DAILY_LIMIT);
+  assert.equal((await contact(last.developerId, company.token)).status, 429);
+
+  // The transaction rolled back, so no request reached the developer
+  const received = await request('GET', '/api/contact-requests', { token: last.token });
+  assert.equal(received.status, 200);
+  assert.equal(received.body.data.length, 0);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, useServer, request, loginAdmin, createDeveloper } = require('./helpers');
+
+useServer();
+
+const listedDeveloperIds = async () =>
+  (await request('GET', '/api/developers')).body.data.map(developer => developer.id);
+
+const listedUserIds = async (admin, { deleted = false } = {}) =>
+  (await request('GET', `/api/admin/users?deleted=${deleted}`, { token: admin })).body.data.map(user => user.userId);
+
+test('a deleted user and their profile are hidden until restored', async () => {
+  const admin = await loginAdmin();
+  const { userId, developerId } = await createDeveloper('dev@example.com');
+
+  const deleted = await request('DELETE', `/api/admin/users/${userId}`, { token: admin });
+  assert.equal(deleted.status, 200);
+
+  assert.deepEqual(await listedDeveloperIds(), []);
+  assert.equal((await request('GET', `/api/developers/${developerId}`)).status, 404);
+  assert.ok(!(await listedUserIds(admin)).includes(userId));
+  assert.deepEqual(await listedUserIds(admin, { deleted: true }), [userId]);
+  assert.equal((await request('POST', '/api/auth/login', { body: { email: 'dev@example.com', password: PASSWORD } })).status, 401);
+
+  // Deleted profiles cannot be restored on their own while the user is deleted
+  const profileRestore = await request('POST', `/api/admin/developers/${developerId}/restore`, { token: admin });
+  assert.equal(profileRestore.status, 409);
+  assert.equal(profileRestore.body.code, 'developer_user_deleted');
+
+  const restored = await request('POST', `/api/admin/users/${userId}/restore`, { token: admin });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.deletedAt, null);
+
+  assert.deepEqual(await listedDeveloperIds(), [developerId]);
+  assert.equal((await request('GET', `/api/developers/${developerId}`)).status, 200);
+  assert.equal((await request('POST', '/api/auth/login', { body: { email: 'dev@example.com', password: PASSWORD } })).status, 200);
+
+  const restoredAgain = await request('POST', `/api/admin/users/${userId}/restore`, { token: admin });
+  assert.equal(restoredAgain.status, 409);
+});
+
+test('a profile deleted on its own stays deleted when its user is restored', async () => {
+  const admin = await loginAdmin();
+  const { userId, developerId } = await createDeveloper('dev@example.com');
+
+  assert.equal((await request('DELETE', `/api/admin/developers/${developerId}`, { token: admin })).status, 200);
+  assert.deepEqual(await listedDeveloperIds(), []);
+  assert.equal((await request('GET', `/api/developers/${developerId}`)).status, 404);
+
+  // The account itself keeps working
+  assert.equal((await request('POST', '/api/auth/login', { body: { email: 'dev@example.com', password: PASSWORD } })).status, 200);
+
+  assert.equal((await request('DELETE', `/api/admin/users/${userId}`, { token: admin })).status, 200);
+  assert.equal((await request('POST', `/api/admin/users/${userId}/restore`, { token: admin })).status, 200);
+  assert.deepEqual(await listedDeveloperIds(), []);
+
+  const profileRestore = await request('POST', `/api/admin/developers/${developerId}/restore`, { token: admin });
+  assert.equal(profileRestore.status, 200);
+  assert.deepEqual(await listedDeveloperIds(), [developerId]);
+});
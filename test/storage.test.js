@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateId } = require('../ids');
+const { storage, useServer } = require('./helpers');
+
+useServer();
+
+const newUser = (email) => ({ userId: generateId(), email, password: 'hash', name: 'Test User', role: 'student' });
+
+test('unique keys raise ER_DUP_ENTRY like mysql2', async () => {
+  await storage.users.create(newUser('dup@example.com'));
+
+  await assert.rejects(storage.users.create(newUser('dup@example.com')), { code: 'ER_DUP_ENTRY' });
+});
+
+test('a transaction commits when fn resolves and rolls back when it throws', async () => {
+  const committed = newUser('committed@example.com');
+  await storage.transaction(async (tx) => {
+    await tx.users.create(committed);
+  });
+  assert.ok(await storage.users.findById(committed.userId));
+
+  const rolledBack = newUser('rolled-back@example.com');
+  await assert.rejects(storage.transaction(async (tx) => {
+    await tx.users.create(rolledBack);
+    await tx.users.create(newUser('committed@example.com'));
+  }), { code: 'ER_DUP_ENTRY' });
+  assert.equal(await storage.users.findById(rolledBack.userId), null);
+  assert.ok(await storage.users.findById(committed.userId));
+});
+
+test('reset drops all data and seeds the default plans and admin again', async () => {
+  await storage.users.create(newUser('gone@example.com'));
+
+  await storage.reset();
+
+  assert.equal(await storage.users.findByEmail('gone@example.com'), null);
+  assert.equal((await storage.users.findByEmail('admin@example.com')).role, 'admin');
+  assert.ok(await storage.plans.findById('free'));
+});
@@ -0,0 +1,240 @@
+// Declarative request validation.
+//
+// A schema maps field names to rules. Rule keys:
+//   type        'string', 'integer', 'boolean', 'date', 'array', 'object' or 'list'
+//               ('list' is a comma separated query parameter, e.g. ?field=web,mobil)
+//   required    the field must be present and not empty
+//   nullable    null is accepted; empty strings become null
+//   default     value used when the field is missing
+//   enum        allowed values (for lists: allowed items)
+//   minLength, maxLength, pattern, lowercase, format ('email', 'url' or 'password')   strings
+//   trim        set to false to keep surrounding whitespace (passwords)
+//   min, max    integers
+//   future      dates must be in the future
+//   items, maxItems           arrays and lists ('items' is the rule of each item)
+//   properties, preprocess    objects ('preprocess' normalizes the raw value first)
+// Strings are trimmed unless trim is false, and fields missing from the schema are dropped.
+//
+// validate({ query, body }) returns a middleware that replaces req.query / req.body with the
+// validated values, or responds 400 with every failing field:
+//   { success: false, code: 'validation_failed', errors: [{ field, code, params }] }
+// Error messages are added from the validation.* entries of the locale catalogs (see i18n.js).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// Build an error entry; also used by routes for checks a schema cannot express
+const fieldError = (field, code, params = {}) => ({ field, code, params });
+
+const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  code: 'validation_failed',
+  errors
+});
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+};
+
+const FORMATS = {
+  email: { test: value => EMAIL_PATTERN.test(value), code: 'invalid_email' },
+  url: { test: isHttpUrl, code: 'invalid_url' },
+  password: { test: value => /\p{L}/u.test(value) && /\d/.test(value), code: 'weak_password' }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Sentinel for values that failed validation (their errors are already recorded)
+const INVALID = Symbol('invalid');
+
+// Validate one value against its rule. `coerce` converts query string values to numbers and booleans.
+const validateValue = (raw, rule, field, errors, coerce) => {
+  const fail = (code, params) => {
+    errors.push(fieldError(field, code, params));
+    return INVALID;
+  };
+
+  let value = rule.preprocess ? rule.preprocess(raw) : raw;
+  if (typeof value === 'string' && rule.trim !== false) {
+    value = value.trim();
+  }
+
+  if (value === undefined || (coerce && value === '')) {
+    if (rule.default !== undefined) {
+      return rule.default;
+    }
+    return rule.required ? fail('required') : undefined;
+  }
+  if (value === null || value === '') {
+    if (rule.nullable) {
+      return null;
+    }
+    return rule.required || value === '' ? fail('required') : fail('invalid_type', { type: rule.type });
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return fail('invalid_type', { type: 'string' });
+      }
+      if (rule.lowercase) {
+        value = value.toLowerCase();
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail('too_short', { min: rule.minLength });
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail('too_long', { max: rule.maxLength });
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail('invalid_format');
+      }
+      if (rule.format && !FORMATS[rule.format].test(value)) {
+        return fail(FORMATS[rule.format].code);
+      }
+      break;
+    }
+
+    case 'integer': {
+      if (coerce && typeof value === 'string' && INTEGER_PATTERN.test(value)) {
+        value = Number(value);
+      }
+      if (!Number.isInteger(value)) {
+        return fail('invalid_type', { type: 'integer' });
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return fail('too_small', { min: rule.min });
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return fail('too_large', { max: rule.max });
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (coerce && (value === 'true' || value === 'false')) {
+        value = value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        return fail('invalid_type', { type: 'boolean' });
+      }
+      break;
+    }
+
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return fail('invalid_type', { type: 'date' });
+      }
+      if (rule.future && date <= new Date()) {
+        return fail('not_in_future');
+      }
+      value = date;
+      break;
+    }
+
+    case 'list':
+    case 'array': {
+      if (rule.type === 'list' && typeof value === 'string') {
+        value = [...new Set(value.split(',').map(item => item.trim()).filter(Boolean))];
+        if (value.length === 0) {
+          return rule.required ? fail('required') : undefined;
+        }
+      }
+      if (!Array.isArray(value)) {
+        return fail('invalid_type', { type: rule.type });
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail('too_many_items', { max: rule.maxItems });
+      }
+      if (rule.enum) {
+        const invalid = value.find(item => !rule.enum.includes(item));
+        if (invalid !== undefined) {
+          return fail('invalid_option', { values: rule.enum });
+        }
+      }
+      if (rule.items) {
+        const items = value.map((item, index) => validateValue(item, rule.items, `${field}[${index}]`, errors, coerce));
+        return items.includes(INVALID) ? INVALID : items;
+      }
+      return value;
+    }
+
+    case 'object': {
+      if (!isPlainObject(value)) {
+        return fail('invalid_type', { type: 'object' });
+      }
+      const errorCount = errors.length;
+      const values = validateObject(value, rule.properties, errors, { coerce, prefix: `${field}.` });
+      return errors.length > errorCount ? INVALID : values;
+    }
+
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('invalid_option', { values: rule.enum });
+  }
+  return value;
+};
+
+// Validate an object against a schema. Returns the validated values (missing optional fields omitted).
+const validateObject = (input, schema, errors, { coerce = false, prefix = '' } = {}) => {
+  const source = isPlainObject(input) ? input : {};
+  const values = {};
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = validateValue(source[key], rule, `${prefix}${key}`, errors, coerce);
+    if (value !== undefined && value !== INVALID) {
+      values[key] = value;
+    }
+  }
+
+  return values;
+};
+
+// Same schema with every top-level field optional and without defaults (for partial updates)
+const partial = (schema) => Object.fromEntries(
+  Object.entries(schema).map(([key, rule]) => [key, { ...rule, required: false, default: undefined }])
+);
+
+// Validate a single object outside of a request, e.g. the rows of a bulk import.
+// Returns { values, errors }.
+const validateValues = (input, schema, { coerce = false } = {}) => {
+  const errors = [];
+  const values = validateObject(input, schema, errors, { coerce });
+  return { values, errors };
+};
+
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const validated = {};
+
+  if (schemas.query) {
+    validated.query = validateObject(req.query, schemas.query, errors, { coerce: true });
+  }
+  if (schemas.body) {
+    validated.body = validateObject(req.body, schemas.body, errors);
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  Object.assign(req, validated);
+  next();
+};
+
+module.exports = {
+  validate,
+  validateValues,
+  partial,
+  fieldError,
+  sendValidationError
+};